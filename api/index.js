@@ -1,508 +1,1560 @@
 import express from "express";
 import cors from "cors";
-import { createClient } from '@supabase/supabase-js';
-
-// Configuração do Supabase usando variáveis de ambiente da Vercel
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
+import db from "../lib/db/index.js";
+import productsRepository from "../lib/repositories/products.js";
+import categoriesRepository from "../lib/repositories/categories.js";
+import credentialsRepository from "../lib/repositories/credentials.js";
+import { checkAuth, requireAuth, requireCron, hasPermission, createSession, refreshSession, revokeSession } from "../lib/auth.js";
+import { hashPassword, verifyPassword, verifyLegacyPassword, needsRehash } from "../lib/passwords.js";
+import { validate, sendValidationError } from "../lib/validation.js";
+import { productSchema, productListSchema, newCategorySchema, categoryListSchema } from "../lib/schemas.js";
+import { cached, invalidateCache, clearCache, sendCachedJson, hashValue } from "../lib/cache/index.js";
+import { applyStockChanges, findVariant } from "../lib/stock.js";
+import { recordStockDiff, stockChangedEvents } from "../lib/movements.js";
+import { notifyLowStockCrossings } from "../lib/alerts.js";
+import { releaseImages, attachImageRefs } from "../lib/images.js";
+import { parseCatalogQuery, searchCatalog } from "../lib/catalog.js";
+import {
+  slugify,
+  toCategoryResponse,
+  toCategoryRow,
+  sortCategories,
+  buildCategoryTree,
+  findCategory,
+  descendantIds,
+  hierarchyErrors,
+  categoryErrors
+} from "../lib/categories.js";
+import { getActivePromotions, applyPromotions, lastPromotionChange } from "../lib/promotions.js";
+import { normalizeShipping } from "../lib/shipping.js";
+import {
+  normalizeStatus,
+  normalizeDateTime,
+  effectiveStatus,
+  withEffectiveStatus,
+  lastScheduleChange,
+  lifecycleErrors
+} from "../lib/lifecycle.js";
+import { normalizeVariant, variantPrice, keepVariantFields, variantCodeErrors, findVariantByCode } from "../lib/variants.js";
+import {
+  diffProducts,
+  recordProductVersions,
+  productEvents,
+  listProductHistory,
+  getProductVersion,
+  createCatalogSnapshot,
+  listCatalogSnapshots,
+  getCatalogSnapshot,
+  withCurrentStock
+} from "../lib/history.js";
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { CATALOG_COLUMNS, productsToRows, rowsToProducts, matchExistingIds, diffCatalog, productErrorsToRows } from "../lib/catalogRows.js";
+import logger from "../lib/logger.js";
+import { renderMetrics } from "../lib/metrics.js";
+import { trackRequests, notFound, handleErrors } from "../lib/http.js";
+import { loginRateLimit, loginLockRemaining, recordLoginFailure, clearLoginFailures, sendLoginLocked } from "../lib/rateLimit.js";
+import { corsOptions } from "../lib/cors.js";
+import adminsRouter from "../lib/routes/admins.js";
+import checkoutRouter from "../lib/routes/checkout.js";
+import ordersRouter from "../lib/routes/orders.js";
+import stockRouter from "../lib/routes/stock.js";
+import imagesRouter from "../lib/routes/images.js";
+import promotionsRouter from "../lib/routes/promotions.js";
+import shippingRouter from "../lib/routes/shipping.js";
+import webhooksRouter from "../lib/routes/webhooks.js";
+import reportsRouter from "../lib/routes/reports.js";
+import { emitEvent, emitEvents } from "../lib/webhooks.js";
 
 // Inicializar Express
 const app = express();
 
-// Middleware
-app.use(cors());
+// IP do cliente (req.ip, usado nos limites de requisições) vem do
+// X-Forwarded-For adicionado pelo proxy da Vercel
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS) || 1);
+
+// Middleware (o primeiro atribui o id da requisição, usado nos logs)
+app.use(trackRequests());
+app.use(cors(corsOptions()));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
-// Cache
-let cache = {
-  products: null,
-  productsTimestamp: 0
-};
+// Normalizar categorias recebidas. Campos não informados mantêm o valor
+// atual (existing: Map id -> categoria) ou usam o padrão: raiz, a posição
+// na lista e o slug gerado a partir do nome.
+function normalizeCategories(categories, existing = new Map()) {
+  if (!Array.isArray(categories)) return [];
+  
+  return categories.map((cat, index) => {
+    if (!cat || typeof cat !== 'object' || !cat.id) return null;
 
-const CACHE_DURATION = 2 * 60 * 1000; // 2 minutos
+    const current = existing.get(cat.id);
+    const name = cat.name || current?.name || cat.id.charAt(0).toUpperCase() + cat.id.slice(1);
 
-// Função para criptografar
-function simpleEncrypt(text) {
-  return Buffer.from(text).toString('base64').split('').reverse().join('');
+    return {
+      id: cat.id,
+      name: name,
+      description: cat.description || current?.description || `Categoria de ${name}`,
+      parentId: cat.parentId !== undefined ? cat.parentId || null : current?.parentId ?? null,
+      position: cat.position !== undefined ? Number(cat.position) : index,
+      slug: cat.slug || current?.slug || slugify(name)
+    };
+  }).filter(cat => cat !== null);
 }
 
-// Função para descriptografar
-function simpleDecrypt(encrypted) {
-  return Buffer.from(encrypted.split('').reverse().join(''), 'base64').toString('utf8');
+// Categorias no formato da API (em cache)
+async function loadCategories() {
+  const { value } = await cached('categories:all', ['categories'], async () => {
+    logger.debug('Buscando categorias do banco');
+    return (await categoriesRepository.findAll()).map(toCategoryResponse);
+  });
+  return value;
 }
 
-// Normalizar categorias
-function normalizeCategories(categories) {
-  if (!Array.isArray(categories)) return [];
-  
-  return categories.map(cat => {
-    if (typeof cat === 'string') {
-      return {
-        id: cat,
-        name: cat.charAt(0).toUpperCase() + cat.slice(1),
-        description: `Categoria de ${cat}`
-      };
-    }
-    if (cat && typeof cat === 'object' && cat.id) {
-      return {
-        id: cat.id,
-        name: cat.name || cat.id.charAt(0).toUpperCase() + cat.id.slice(1),
-        description: cat.description || `Categoria de ${cat.name || cat.id}`
-      };
-    }
-    return null;
-  }).filter(cat => cat !== null);
+// Catálogo completo normalizado (em cache; filtros são aplicados depois)
+async function loadCatalog() {
+  const { value, hit } = await cached('products:all', ['products'], async () => {
+    logger.debug('Buscando produtos do banco');
+    const products = await productsRepository.findAll();
+    logger.debug('Produtos carregados do banco', { count: products.length });
+    return normalizeProducts(products);
+  });
+
+  if (hit) {
+    logger.debug('Produtos servidos do cache');
+  }
+  return value;
 }
 
+// Último início ou fim de promoção já ocorrido (0 se as promoções não
+// puderem ser carregadas: os produtos saem com o preço normal)
+async function loadPromotionChange() {
+  try {
+    return await lastPromotionChange();
+  } catch (error) {
+    return 0;
+  }
+}
+
+// Limite de estoque baixo do produto (undefined = usar o padrão global)
+function parseThreshold(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const threshold = parseInt(value);
+  return Number.isInteger(threshold) && threshold >= 0 ? threshold : undefined;
+}
+
+// Imagens da cor, na ordem de exibição. `image` (campo antigo, uma URL)
+// continua aceito: se não estiver na lista, substitui a imagem principal.
+function normalizeImages(color) {
+  const images = Array.isArray(color.images)
+    ? color.images
+      .filter(image => image && image.url)
+      .map(image => ({ id: image.id || null, url: image.url, thumbnailUrl: image.thumbnailUrl || null }))
+    : [];
+
+  if (color.image && !images.some(image => image.url === color.image)) {
+    images.splice(0, 1, { id: null, url: color.image, thumbnailUrl: null });
+  }
+
+  return images;
+}
+
+// Tamanhos de cores cadastradas sem a lista de tamanhos
+const DEFAULT_SIZES = [
+  { name: 'P', stock: 0 },
+  { name: 'M', stock: 0 },
+  { name: 'G', stock: 0 },
+  { name: 'GG', stock: 0 }
+];
+
 // Normalizar produtos
 function normalizeProducts(products) {
   if (!Array.isArray(products)) return [];
   
-  return products.map((product, index) => {
-    const id = product.id || index + 1;
+  return products.map(product => {
+    // Produtos novos ficam sem id até serem gravados no banco
+    const id = product.id || undefined;
     
     let colors = [];
     
     if (product.colors && Array.isArray(product.colors)) {
-      colors = product.colors.map(color => ({
-        name: color.name || 'Padrão',
-        image: color.image || 'https://via.placeholder.com/400x300',
-        sizes: Array.isArray(color.sizes) ? color.sizes.map(size => ({
-          name: String(size.name || 'M'),
-          stock: parseInt(size.stock) || 0
-        })) : [
-          { name: 'P', stock: 0 },
-          { name: 'M', stock: 0 },
-          { name: 'G', stock: 0 },
-          { name: 'GG', stock: 0 }
-        ]
-      }));
+      colors = product.colors.map(color => {
+        const images = normalizeImages(color);
+        const name = color.name || 'Padrão';
+        const sizes = Array.isArray(color.sizes) ? color.sizes : DEFAULT_SIZES;
+        return {
+          name: name,
+          image: images.length > 0 ? images[0].url : 'https://via.placeholder.com/400x300',
+          images: images,
+          sizes: sizes.map(size => normalizeVariant(size, id, name))
+        };
+      });
     } else {
+      const images = normalizeImages({ image: product.image });
       colors = [{
         name: 'Padrão',
-        image: product.image || 'https://via.placeholder.com/400x300',
-        sizes: [
-          { name: 'P', stock: 0 },
-          { name: 'M', stock: 0 },
-          { name: 'G', stock: 0 },
-          { name: 'GG', stock: 0 }
-        ]
+        image: images.length > 0 ? images[0].url : 'https://via.placeholder.com/400x300',
+        images: images,
+        sizes: DEFAULT_SIZES.map(size => normalizeVariant(size, id, 'Padrão'))
       }];
     }
     
     return {
       id: id,
+      // Versão lida (concorrência otimista); ausente em produtos novos
+      version: Number.isInteger(product.version) ? product.version : undefined,
       title: product.title || 'Produto sem nome',
       category: product.category || 'camisa',
       price: parseFloat(product.price) || 0,
       description: product.description || 'Sem descrição',
-      status: product.status || 'active',
+      status: normalizeStatus(product.status),
+      publishAt: normalizeDateTime('publishAt' in product ? product.publishAt : product.publish_at),
+      unpublishAt: normalizeDateTime('unpublishAt' in product ? product.unpublishAt : product.unpublish_at),
+      lowStockThreshold: parseThreshold(product.lowStockThreshold ?? product.low_stock_threshold),
+      shipping: normalizeShipping(product.shipping),
       colors: colors
     };
   });
 }
 
-// Verificar autenticação
-function checkAuth(token) {
-  return token === "authenticated_admin_token";
-}
+// ENDPOINTS DA API
 
-// Limpar cache
-function clearCache() {
-  cache = {
-    products: null,
-    productsTimestamp: 0
-  };
-  console.log('🔄 Cache de produtos limpo');
+// Senha errada (ou usuário inexistente): conta para o bloqueio do usuário
+async function rejectLogin(res, username) {
+  const lockSeconds = typeof username === 'string' ? await recordLoginFailure(username) : 0;
+  if (lockSeconds > 0) {
+    return sendLoginLocked(res, lockSeconds);
+  }
+  return res.status(401).json({ error: "Credenciais inválidas" });
 }
 
-// ENDPOINTS DA API
-
-// Autenticação
-app.post("/api/auth/login", async (req, res) => {
+// Autenticação. Limitado por IP; após várias senhas erradas o usuário fica
+// bloqueado por um tempo crescente, mesmo que a senha seguinte esteja certa.
+app.post("/api/auth/login", loginRateLimit, async (req, res) => {
   try {
     const { username, password } = req.body;
+
+    if (typeof username === 'string') {
+      const lockSeconds = await loginLockRemaining(username);
+      if (lockSeconds > 0) {
+        return sendLoginLocked(res, lockSeconds);
+      }
+    }
     
-    const { data: credentials, error } = await supabase
-      .from('admin_credentials')
-      .select('*')
-      .eq('username', username)
-      .single();
+    const credentials = typeof username === 'string'
+      ? await credentialsRepository.findByUsername(username)
+      : null;
 
-    if (error || !credentials) {
-      return res.status(401).json({ error: "Credenciais inválidas" });
+    if (!credentials || credentials.disabled) {
+      return rejectLogin(res, username);
     }
 
-    const encryptedPassword = simpleEncrypt(password);
-    
-    if (encryptedPassword === credentials.encrypted_password || password === credentials.password) {
-      res.json({ 
-        success: true, 
-        token: "authenticated_admin_token", 
-        user: { username: username } 
-      });
+    let valid = false;
+
+    if (credentials.password_hash) {
+      valid = await verifyPassword(password, credentials.password_hash);
     } else {
-      res.status(401).json({ error: "Credenciais inválidas" });
+      valid = verifyLegacyPassword(password, credentials);
+    }
+
+    if (!valid) {
+      return rejectLogin(res, username);
     }
+
+    await clearLoginFailures(username);
+
+    // Migrar senha legada (ou hash com parâmetros antigos) para scrypt
+    if (!credentials.password_hash || needsRehash(credentials.password_hash)) {
+      try {
+        await credentialsRepository.update(credentials.id, {
+          password_hash: await hashPassword(password),
+          encrypted_password: null,
+          password: null
+        });
+        logger.info('Senha migrada para scrypt', { username: credentials.username });
+      } catch (rehashError) {
+        logger.error('Erro ao migrar senha', { error: rehashError, username: credentials.username });
+      }
+    }
+
+    const session = await createSession(credentials);
+    logger.info('Login', { username: credentials.username });
+    res.json({ 
+      success: true, 
+      ...session
+    });
   } catch (error) {
-    console.error("Erro no login:", error);
+    logger.error("Erro no login", { error });
     res.status(500).json({ error: "Erro no processo de login" });
   }
 });
 
-// Buscar produtos
-app.get("/api/products", async (req, res) => {
+// Renovar sessão com refresh token
+app.post("/api/auth/refresh", async (req, res) => {
   try {
-    // Verificar cache em memória
-    const now = Date.now();
-    if (cache.products && (now - cache.productsTimestamp) < CACHE_DURATION) {
-      console.log('📦 Retornando produtos do cache');
-      return res.json({ products: cache.products });
+    const { refreshToken } = req.body;
+    const session = await refreshSession(refreshToken);
+
+    if (!session) {
+      return res.status(401).json({ error: "Sessão inválida ou expirada" });
     }
 
-    console.log('🔄 Buscando produtos do Supabase...');
-    const { data: products, error } = await supabase
-      .from('products')
-      .select('*')
-      .order('id');
+    res.json({ 
+      success: true, 
+      ...session
+    });
+  } catch (error) {
+    logger.error("Erro ao renovar sessão", { error });
+    res.status(500).json({ error: "Erro ao renovar sessão" });
+  }
+});
+
+// Encerrar sessão
+app.post("/api/auth/logout", requireAuth(), async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId);
+    logger.info('Logout', { username: req.user.username });
+    res.json({ success: true, message: "Sessão encerrada" });
+  } catch (error) {
+    logger.error("Erro ao encerrar sessão", { error });
+    res.status(500).json({ error: "Erro ao encerrar sessão" });
+  }
+});
+
+// Gerenciamento de administradores
+app.use(adminsRouter);
+
+// Reservas de estoque e checkout
+app.use(checkoutRouter);
+
+// Pedidos
+app.use(ordersRouter);
+
+// Movimentações de estoque
+app.use(stockRouter);
+
+// Upload de imagens
+app.use(imagesRouter);
+
+// Promoções, cupons e orçamento do carrinho
+app.use(promotionsRouter);
+
+// Frete
+app.use(shippingRouter);
+
+// Webhooks de saída e log de entregas
+app.use(webhooksRouter);
+
+// Relatórios de estoque e vendas do painel
+app.use(reportsRouter);
 
-    if (error) {
-      console.error("Erro Supabase produtos:", error.message);
-      return res.json({ products: [] });
+// Promoções vigentes para a vitrine; se não for possível carregá-las, os
+// produtos são exibidos com o preço normal
+async function loadPromotions() {
+  try {
+    return await getActivePromotions();
+  } catch (error) {
+    logger.error("Erro ao carregar promoções", { error });
+    return [];
+  }
+}
+
+// Leitura pelo painel: sessão com permissão de editar o catálogo vê
+// produtos em qualquer estado; a loja só vê os ativos
+async function canSeeAllProducts(req) {
+  if (!req.headers.authorization) return false;
+  return hasPermission(await checkAuth(req.headers.authorization), 'catalog:write');
+}
+
+// Catálogo com o status efetivo agora. scheduleChange (a última publicação
+// ou retirada agendada já ocorrida) e promotionChange (o último início ou
+// fim de promoção) entram na chave do cache e no Last-Modified: quando uma
+// dessas datas chega, as respostas em cache deixam de valer na hora.
+async function loadCatalogSchedule() {
+  const now = Date.now();
+  const catalog = await loadCatalog();
+  return {
+    now,
+    catalog,
+    scheduleChange: lastScheduleChange(catalog, now),
+    promotionChange: await loadPromotionChange()
+  };
+}
+
+// Buscar produtos. Cada combinação de filtros fica em cache até a próxima
+// alteração de produtos, categorias ou promoções, ou até a próxima
+// publicação/retirada agendada.
+app.get("/api/products", async (req, res) => {
+  try {
+    const { options, error: queryError } = parseCatalogQuery(req.query);
+    if (queryError) {
+      return res.status(400).json({ error: queryError });
     }
 
-    console.log(`✅ ${products?.length || 0} produtos encontrados`);
-    const normalizedProducts = normalizeProducts(products || []);
+    res.vary('Authorization');
+    if (!(await canSeeAllProducts(req))) {
+      options.status = 'active';
+    }
+
+    const { now, catalog, scheduleChange, promotionChange } = await loadCatalogSchedule();
 
-    // Atualizar cache
-    cache.products = normalizedProducts;
-    cache.productsTimestamp = now;
+    const result = await cached(`products:query:${hashValue({ ...options, scheduleChange, promotionChange })}`, ['products', 'categories', 'promotions'], async () => {
+      // Filtro por categoria (id ou slug) inclui as subcategorias
+      if (options.category) {
+        const categories = await loadCategories();
+        const category = findCategory(categories, options.category);
+        options.categories = category ? descendantIds(categories, category.id) : new Set();
+      }
 
-    res.json({ products: normalizedProducts });
+      // Preço promocional ao lado do original (o catálogo em cache guarda
+      // só os produtos)
+      const promotions = await loadPromotions();
+      return searchCatalog(applyPromotions(withEffectiveStatus(catalog, now), promotions), options);
+    });
+
+    sendCachedJson(req, res, {
+      ...result,
+      lastModified: Math.max(result.lastModified, scheduleChange, promotionChange)
+    });
   } catch (error) {
-    console.error("Erro ao buscar produtos:", error);
-    res.json({ products: [] });
+    logger.error("Erro ao buscar produtos", { error });
+    res.status(500).json({ error: "Erro ao buscar produtos: " + error.message });
   }
 });
 
-// Buscar categorias
+// Buscar categorias (em ordem de exibição; ?tree=true: aninhadas em children)
 app.get("/api/categories", async (req, res) => {
   try {
-    console.log('🔄 Buscando categorias do banco...');
-    
-    const { data: categories, error } = await supabase
-      .from('categories')
-      .select('*')
-      .order('name');
+    const tree = req.query.tree === 'true';
+    const result = await cached(`categories:list:${tree}`, ['categories'], async () => {
+      const categories = sortCategories(await loadCategories());
+
+      if (categories.length > 0) {
+        logger.debug('Categorias carregadas do banco', { count: categories.length });
+      } else {
+        logger.debug('Nenhuma categoria encontrada no banco');
+      }
+
+      return { categories: tree ? buildCategoryTree(categories) : categories };
+    });
+
+    sendCachedJson(req, res, result);
+  } catch (error) {
+    logger.error("Erro ao buscar categorias", { error });
+    res.status(500).json({ error: "Erro ao buscar categorias: " + error.message });
+  }
+});
+
+// Converter produto normalizado em linha da tabela products.
+// Produtos sem id recebem um novo id do banco; os demais mantêm o id.
+function toProductRow(product) {
+  const row = {
+    title: product.title,
+    category: product.category,
+    price: product.price,
+    description: product.description,
+    status: product.status,
+    colors: product.colors
+  };
+  if (product.id !== undefined && product.id !== null) {
+    row.id = product.id;
+  }
+  if (product.lowStockThreshold !== undefined) {
+    row.low_stock_threshold = product.lowStockThreshold;
+  }
+  if (product.shipping !== undefined) {
+    row.shipping = product.shipping;
+  }
+  if (product.publishAt !== undefined) {
+    row.publish_at = product.publishAt;
+  }
+  if (product.unpublishAt !== undefined) {
+    row.unpublish_at = product.unpublishAt;
+  }
+  return row;
+}
+
+// Ids das categorias existentes, para validar produtos
+async function loadCategoryIds() {
+  return new Set(await categoriesRepository.findIds());
+}
+
+// Gravação em lote recusada porque algum produto mudou depois de lido
+// (conflicts: [{ productId, version, currentVersion }]). Responde 409.
+class VersionConflictError extends Error {
+  constructor(conflicts) {
+    super("Produtos alterados por outra operação, recarregue e tente novamente");
+    this.conflicts = conflicts;
+  }
+}
+
+function sendVersionConflict(res, error) {
+  return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+}
 
-    if (error) {
-      console.error("❌ Erro ao buscar categorias:", error.message);
-      return res.json({ categories: [] });
+// SKU ou código de barras recusado pela chave única do banco
+// (product_variant_codes, migração 017): outra gravação passou a usar o
+// código depois da validação. Nas gravações de produtos, é o único 23505
+// possível (produtos novos não enviam id). Responde 409.
+function isVariantCodeConflict(error) {
+  return error?.code === '23505';
+}
+
+function sendVariantCodeConflict(res, error) {
+  return res.status(409).json({ error: error.message });
+}
+
+// Desfazer as gravações já feitas de um lote (compare-and-swap na versão
+// gravada; se outra operação já alterou o produto, fica só o log)
+async function revertProductWrites(applied) {
+  for (const { previous, version } of applied) {
+    const { id, version: previousVersion, ...fields } = previous;
+    try {
+      const reverted = await productsRepository.update(id, { ...fields, version: version + 1 }, { expectedVersion: version });
+      if (!reverted) {
+        logger.error('Não foi possível desfazer a gravação do produto (alterado por outra operação)', { productId: id });
+      }
+    } catch (error) {
+      logger.error('Erro ao desfazer gravação do produto', { error, productId: id });
     }
+  }
+}
 
-    let normalizedCategories = [];
-    
-    if (categories && categories.length > 0) {
-      normalizedCategories = normalizeCategories(categories);
-      console.log(`✅ ${normalizedCategories.length} categorias carregadas do banco`);
+// Gravar produtos por id, tudo ou nada, com a concorrência otimista das
+// reservas e do estoque: um produto existente só é gravado se a versão no
+// banco ainda é a lida aqui (ou a que o painel enviou em product.version) e
+// cada gravação incrementa a versão. Em conflito, desfaz o que já gravou e
+// lança VersionConflictError. Retorna as linhas gravadas, na ordem recebida.
+async function writeProducts(normalizedProducts, existing) {
+  const previousById = new Map(existing.map(product => [String(product.id), product]));
+
+  const conflicts = normalizedProducts
+    .filter(product => product.version !== undefined && previousById.has(String(product.id)))
+    .map(product => ({
+      productId: product.id,
+      version: product.version,
+      currentVersion: previousById.get(String(product.id)).version || 0
+    }))
+    .filter(conflict => conflict.version !== conflict.currentVersion);
+  if (conflicts.length > 0) {
+    throw new VersionConflictError(conflicts);
+  }
+
+  const saved = new Map();
+  const applied = [];
+
+  try {
+    for (const product of normalizedProducts) {
+      const previous = previousById.get(String(product.id));
+      if (!previous) continue;
+
+      const expectedVersion = previous.version || 0;
+      const { id, ...fields } = toProductRow(product);
+      const updated = await productsRepository.update(id, { ...fields, version: expectedVersion + 1 }, { expectedVersion });
+
+      if (!updated) {
+        const current = await productsRepository.findById(id, 'id, version');
+        await revertProductWrites(applied);
+        throw new VersionConflictError([{ productId: id, version: expectedVersion, currentVersion: current ? current.version || 0 : null }]);
+      }
+
+      applied.push({ previous, version: expectedVersion + 1 });
+      saved.set(product, updated);
+    }
+
+    const newProducts = normalizedProducts.filter(product => !previousById.has(String(product.id)));
+    const inserted = await productsRepository.upsertMany(newProducts.map(toProductRow));
+    newProducts.forEach((product, index) => saved.set(product, inserted[index]));
+  } catch (error) {
+    if (!(error instanceof VersionConflictError)) {
+      await revertProductWrites(applied);
+    }
+    throw error;
+  }
+
+  return normalizedProducts.map(product => saved.get(product));
+}
+
+// Inserir/atualizar produtos por id (tudo ou nada, ver writeProducts).
+// As diferenças de estoque vão para o livro de movimentações e os produtos
+// novos ou alterados ganham uma versão no histórico (history.action e
+// history.note substituem o padrão create/update). Os webhooks do lote são
+// enfileirados de uma vez no fim, para o cron entregar.
+async function upsertProducts(normalizedProducts, movement, history = {}) {
+  if (normalizedProducts.length === 0) return [];
+
+  const existingIds = normalizedProducts.map(product => product.id).filter(Boolean);
+  const existing = await productsRepository.findByIds(existingIds);
+
+  const data = await writeProducts(normalizedProducts, existing);
+
+  const previousById = new Map(existing.map(product => [String(product.id), product]));
+  const versions = [];
+  const stockChanges = [];
+  for (const product of data) {
+    const previous = previousById.get(String(product.id));
+    const previousColors = previous ? previous.colors : [];
+    const changes = await recordStockDiff(product.id, previousColors, product.colors, movement, { emit: false });
+    stockChanges.push(...changes);
+    await notifyLowStockCrossings(product, changes);
+    await releaseImages(previousColors, product.colors);
+
+    const [saved] = normalizeProducts([product]);
+    const before = previous ? normalizeProducts([previous])[0] : null;
+    if (!before || diffProducts(before, saved).length > 0) {
+      versions.push({ product: saved, action: history.action || (before ? 'update' : 'create'), note: history.note });
+    }
+  }
+
+  await recordProductVersions(versions, { actor: movement.actor, emit: false });
+  await emitEvents([
+    ...stockChangedEvents(stockChanges, movement),
+    ...productEvents(versions, movement.actor)
+  ]);
+
+  return normalizeProducts(data);
+}
+
+// Salvar catálogo completo: upsert por id e remoção dos produtos ausentes.
+// Se o upsert falhar, nada foi removido.
+async function saveCatalog(normalizedProducts, actor, history = {}) {
+  const savedProducts = await upsertProducts(normalizedProducts, {
+    reason: 'import',
+    actor: actor
+  }, history);
+
+  const keepIds = savedProducts.map(product => product.id);
+  const removedProducts = await productsRepository.deleteExcept(keepIds);
+
+  const removal = { reason: 'import', actor: actor, reference: 'product-removed' };
+  const stockChanges = [];
+  for (const product of removedProducts) {
+    stockChanges.push(...await recordStockDiff(product.id, product.colors, [], removal, { emit: false }));
+    await releaseImages(product.colors, []);
+  }
+
+  const versions = normalizeProducts(removedProducts).map(product => ({ product, action: 'delete', note: history.note }));
+  await recordProductVersions(versions, { actor, emit: false });
+  await emitEvents([
+    ...stockChangedEvents(stockChanges, removal),
+    ...productEvents(versions, actor)
+  ]);
+
+  return { savedProducts, removedProducts };
+}
+
+// Erros dos produtos a gravar (normalizados) que dependem do catálogo
+// atual: SKUs e códigos de barras repetidos ou já usados no restante do
+// catálogo e transições de status não permitidas. Com replaceAll, os
+// produtos recebidos substituem o catálogo inteiro.
+async function productWriteErrors(products, pathFor, { replaceAll = false } = {}) {
+  const catalog = await loadCatalog();
+  const currentById = new Map(catalog.map(product => [String(product.id), product]));
+  const ids = new Set(products.map(product => String(product.id)));
+  const others = replaceAll ? [] : catalog.filter(product => !ids.has(String(product.id)));
+
+  return [
+    ...variantCodeErrors(products, others, pathFor),
+    // Sem status (PUT só com as cores): o ciclo de vida é validado à parte
+    ...products.flatMap((product, index) => product.status === undefined
+      ? []
+      : lifecycleErrors(product, currentById.get(String(product.id)) || null, pathFor(index))
+    )
+  ];
+}
+
+// Snapshot do catálogo atual antes de uma gravação em lote
+async function snapshotCatalog(reason, actor) {
+  return createCatalogSnapshot(normalizeProducts(await productsRepository.findAll()), { reason, actor });
+}
+
+// Exportar catálogo em planilha (uma linha por variante)
+app.get("/api/products/export", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: "Formato inválido (use csv ou json)" });
+    }
+
+    const products = normalizeProducts(await productsRepository.findAll());
+    const rows = productsToRows(products);
+
+    logger.info('Exportando produtos', { count: products.length, rows: rows.length, format, actor: req.user.username });
+
+    if (format === 'json') {
+      return res.json({ columns: CATALOG_COLUMNS, rows: rows });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="catalogo.csv"');
+    res.send(toCsv(rows, CATALOG_COLUMNS));
+  } catch (error) {
+    logger.error("Erro ao exportar catálogo", { error });
+    res.status(500).json({ error: "Erro ao exportar catálogo: " + error.message });
+  }
+});
+
+// Importar catálogo em planilha (CSV no corpo ou JSON { rows }).
+// ?dryRun=true só relata o que seria criado, alterado e removido;
+// ?mode=merge não remove os produtos ausentes da planilha.
+app.post("/api/products/import", requireAuth('catalog:write'), express.text({ type: ['text/csv', 'text/plain'], limit: '50mb' }), async (req, res) => {
+  try {
+    const user = req.user;
+    const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+    const mode = req.query.mode || 'replace';
+
+    if (!['replace', 'merge'].includes(mode)) {
+      return res.status(400).json({ error: "Modo inválido (use replace ou merge)" });
+    }
+
+    let rows;
+    if (typeof req.body === 'string') {
+      rows = parseCsv(req.body);
+    } else if (Array.isArray(req.body?.rows)) {
+      rows = req.body.rows;
     } else {
-      console.log('ℹ️ Nenhuma categoria encontrada no banco');
-      normalizedCategories = [];
+      return res.status(400).json({ error: "Envie um CSV (Content-Type: text/csv) ou JSON com a lista rows" });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: "Planilha vazia" });
+    }
+
+    const { products, errors } = rowsToProducts(rows, { categoryIds: await loadCategoryIds() });
+    const current = normalizeProducts(await productsRepository.findAll());
+    const normalizedProducts = await attachImageRefs(
+      normalizeProducts(keepVariantFields(matchExistingIds(products, current), current))
+    );
+
+    const writeErrors = await productWriteErrors(normalizedProducts, index => `products[${index}]`, { replaceAll: mode === 'replace' });
+    errors.push(...productErrorsToRows(writeErrors, normalizedProducts, rows));
+    errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+
+    const diff = diffCatalog(current, normalizedProducts, { removeMissing: mode === 'replace' });
+
+    const report = {
+      dryRun: dryRun,
+      mode: mode,
+      summary: {
+        rows: rows.length,
+        create: diff.create.length,
+        update: diff.update.length,
+        unchanged: diff.unchanged.length,
+        remove: diff.remove.length,
+        errors: errors.length
+      },
+      ...diff,
+      errors: errors
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+
+    // Nada é aplicado se alguma linha for inválida
+    if (errors.length > 0) {
+      logger.warn('Importação recusada', { invalidRows: errors.length });
+      return res.status(422).json({ error: "Dados inválidos", ...report });
     }
 
-    res.json({ categories: normalizedCategories });
+    logger.info('Importando produtos', { count: normalizedProducts.length, mode, actor: user.username });
+
+    await createCatalogSnapshot(current, { reason: `import-${mode}`, actor: user.username });
+
+    if (mode === 'replace') {
+      await saveCatalog(normalizedProducts, user.username);
+    } else {
+      await upsertProducts(normalizedProducts, { reason: 'import', actor: user.username });
+    }
+
+    await invalidateCache('products');
+
+    logger.info('Importação concluída', { created: diff.create.length, updated: diff.update.length, removed: diff.remove.length });
+    res.json({ success: true, ...report });
   } catch (error) {
-    console.error("❌ Erro ao buscar categorias:", error);
-    res.json({ categories: [] });
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
+    if (isVariantCodeConflict(error)) {
+      return sendVariantCodeConflict(res, error);
+    }
+    logger.error("Erro ao importar catálogo", { error });
+    res.status(500).json({ error: "Erro ao importar catálogo: " + error.message });
   }
 });
 
-// Salvar produtos
-app.post("/api/products", async (req, res) => {
+// Buscar produto individual
+app.get("/api/products/:id", async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-      return res.status(401).json({ error: "Não autorizado" });
+    res.vary('Authorization');
+    const { now, scheduleChange, promotionChange } = await loadCatalogSchedule();
+
+    const result = await cached(`products:item:${req.params.id}:${scheduleChange}:${promotionChange}`, ['products', 'promotions'], async () => {
+      const product = await productsRepository.findById(req.params.id);
+      if (!product) return null;
+
+      const [promotedProduct] = applyPromotions(withEffectiveStatus(normalizeProducts([product]), now), await loadPromotions());
+      return { product: promotedProduct };
+    });
+
+    // Fora da loja (rascunho, agendado, arquivado): só o painel vê
+    if (!result.value || (result.value.product.status !== 'active' && !(await canSeeAllProducts(req)))) {
+      return res.status(404).json({ error: "Produto não encontrado" });
     }
+
+    sendCachedJson(req, res, {
+      ...result,
+      lastModified: Math.max(result.lastModified, scheduleChange, promotionChange)
+    });
+  } catch (error) {
+    logger.error("Erro ao buscar produto", { error });
+    res.status(500).json({ error: "Erro ao buscar produto: " + error.message });
+  }
+});
+
+// Gravar as publicações e retiradas agendadas que já ocorreram (agendador
+// externo / Vercel Cron). A loja já as vê na hora; aqui o status passa para
+// o banco e o histórico.
+app.get("/api/cron/publish-products", requireCron, async (req, res) => {
+  try {
+    const now = Date.now();
+    const changed = [];
+
+    for (const row of await productsRepository.findAll()) {
+      const [product] = normalizeProducts([row]);
+      const status = effectiveStatus(product, now);
+      if (status === product.status) continue;
+
+      // Produto alterado no painel enquanto isso: fica para a próxima execução
+      const expectedVersion = row.version || 0;
+      const updated = await productsRepository.update(row.id, { status, version: expectedVersion + 1 }, { expectedVersion });
+      if (!updated) continue;
+
+      changed.push({
+        product: normalizeProducts([updated])[0],
+        action: 'update',
+        note: status === 'active' ? 'publicação agendada' : 'retirada agendada'
+      });
+    }
+
+    if (changed.length > 0) {
+      await recordProductVersions(changed, { actor: 'agendador' });
+      await invalidateCache('products');
+    }
+
+    const published = changed.filter(entry => entry.product.status === 'active').length;
+    logger.info('Agendamentos de produtos aplicados', { published, unpublished: changed.length - published });
+    res.json({ success: true, published: published, unpublished: changed.length - published });
+  } catch (error) {
+    logger.error("Erro ao aplicar agendamentos de produtos", { error });
+    res.status(500).json({ error: "Erro ao aplicar agendamentos de produtos: " + error.message });
+  }
+});
+
+// Criar produto individual
+app.post("/api/products/item", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const { product } = req.body;
+
+    const errors = validate(product, productSchema, { ctx: { categoryIds: await loadCategoryIds() } }, 'product');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const [normalizedProduct] = normalizeProducts([{ ...product, id: undefined }]);
+    delete normalizedProduct.id;
+
+    const writeErrors = await productWriteErrors([normalizedProduct], () => 'product');
+    if (writeErrors.length > 0) {
+      return sendValidationError(res, writeErrors);
+    }
+
+    const data = await productsRepository.insert(toProductRow(normalizedProduct));
+
+    await recordStockDiff(data.id, [], data.colors, { reason: 'import', actor: req.user.username });
+    await recordProductVersions([{ product: normalizeProducts([data])[0], action: 'create' }], { actor: req.user.username });
+
+    await invalidateCache('products');
+
+    logger.info('Produto criado', { productId: data.id, actor: req.user.username });
+    res.status(201).json({ 
+      success: true, 
+      message: "Produto criado com sucesso",
+      product: normalizeProducts([data])[0] 
+    });
+  } catch (error) {
+    if (isVariantCodeConflict(error)) {
+      return sendVariantCodeConflict(res, error);
+    }
+    logger.error("Erro ao criar produto", { error });
+    res.status(500).json({ error: "Erro ao criar produto: " + error.message });
+  }
+});
+
+// Inserir/atualizar vários produtos por id, sem remover os demais
+app.post("/api/products/bulk", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const { products } = req.body;
+
+    const errors = validate(products, productListSchema, { ctx: { categoryIds: await loadCategoryIds() } }, 'products');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const normalizedProducts = normalizeProducts(keepVariantFields(products, await loadCatalog()));
+    const writeErrors = await productWriteErrors(normalizedProducts, index => `products[${index}]`);
+    if (writeErrors.length > 0) {
+      return sendValidationError(res, writeErrors);
+    }
+
+    logger.info('Upsert de produtos', { count: products.length, actor: req.user.username });
+    await snapshotCatalog('bulk', req.user.username);
+
+    const savedProducts = await upsertProducts(normalizedProducts, {
+      reason: 'import',
+      actor: req.user.username
+    });
+
+    await invalidateCache('products');
+
+    res.json({ 
+      success: true, 
+      message: `${savedProducts.length} produtos salvos`,
+      products: savedProducts 
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
+    if (isVariantCodeConflict(error)) {
+      return sendVariantCodeConflict(res, error);
+    }
+    logger.error("Erro ao salvar produtos", { error });
+    res.status(500).json({ error: "Erro ao salvar produtos: " + error.message });
+  }
+});
+
+// Salvar catálogo completo: upsert por id e remoção dos produtos ausentes
+app.post("/api/products", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const user = req.user;
     
     const { products } = req.body;
-    console.log(`💾 Recebendo ${products?.length || 0} produtos para salvar...`);
+    logger.info('Salvando catálogo', { count: products?.length || 0, actor: user.username });
     
-    if (!products || !Array.isArray(products)) {
-      return res.status(400).json({ error: "Dados de produtos inválidos" });
+    const errors = validate(products, productListSchema, { ctx: { categoryIds: await loadCategoryIds() } }, 'products');
+    if (errors.length > 0) {
+      logger.warn('Erros de validação nos produtos', { errors: errors.length });
+      return sendValidationError(res, errors);
     }
 
     // Normalizar os produtos antes de salvar
-    const normalizedProducts = normalizeProducts(products);
-    console.log(`✅ ${normalizedProducts.length} produtos normalizados`);
+    const normalizedProducts = normalizeProducts(keepVariantFields(products, await loadCatalog()));
 
-    // Deletar todos os produtos existentes
-    console.log('🗑️  Limpando produtos antigos...');
-    const { error: deleteError } = await supabase
-      .from('products')
-      .delete()
-      .neq('id', 0);
-
-    if (deleteError && !deleteError.message.includes('No rows found')) {
-      console.error('❌ Erro ao deletar produtos:', deleteError);
-    }
-
-    // Inserir os novos produtos
-    if (normalizedProducts.length > 0) {
-      console.log(`📤 Inserindo ${normalizedProducts.length} produtos...`);
-      
-      const productsToInsert = normalizedProducts.map(product => ({
-        title: product.title,
-        category: product.category,
-        price: product.price,
-        description: product.description,
-        status: product.status,
-        colors: product.colors
-      }));
-
-      const { data, error: insertError } = await supabase
-        .from('products')
-        .insert(productsToInsert)
-        .select();
-
-      if (insertError) {
-        console.error('❌ Erro ao inserir produtos:', insertError);
-        
-        // Tentar inserir um por um
-        console.log('🔄 Tentando inserir produtos individualmente...');
-        const errors = [];
-        const successful = [];
-        
-        for (const product of productsToInsert) {
-          try {
-            const { error: singleError } = await supabase
-              .from('products')
-              .insert(product);
-            
-            if (singleError) {
-              errors.push({ product: product.title, error: singleError.message });
-            } else {
-              successful.push(product.title);
-            }
-          } catch (singleError) {
-            errors.push({ product: product.title, error: singleError.message });
-          }
-        }
-        
-        if (errors.length > 0) {
-          throw new Error(`Falha ao inserir alguns produtos: ${JSON.stringify(errors)}`);
-        }
-        
-        console.log(`✅ ${successful.length} produtos inseridos individualmente`);
-      } else {
-        console.log(`✅ ${data?.length || 0} produtos inseridos com sucesso`);
-      }
+    const writeErrors = await productWriteErrors(normalizedProducts, index => `products[${index}]`, { replaceAll: true });
+    if (writeErrors.length > 0) {
+      return sendValidationError(res, writeErrors);
     }
 
-    // Limpar cache após alterações
-    clearCache();
+    await snapshotCatalog('catalog-save', user.username);
+
+    const { savedProducts, removedProducts } = await saveCatalog(normalizedProducts, user.username);
+    logger.info('Catálogo salvo', { saved: savedProducts.length, removed: removedProducts.length });
+
+    await invalidateCache('products');
 
-    console.log('🎉 Produtos salvos com sucesso!');
     res.json({ 
       success: true, 
-      message: `${normalizedProducts.length} produtos salvos`,
-      products: normalizedProducts 
+      message: `${savedProducts.length} produtos salvos`,
+      products: savedProducts 
     });
   } catch (error) {
-    console.error("❌ Erro ao salvar produtos:", error);
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
+    if (isVariantCodeConflict(error)) {
+      return sendVariantCodeConflict(res, error);
+    }
+    logger.error("Erro ao salvar produtos", { error });
     res.status(500).json({ 
       error: "Erro ao salvar produtos: " + error.message
     });
   }
 });
 
-// Adicionar categoria individual
-app.post("/api/categories/add", async (req, res) => {
+// Alterar produto (campos enviados substituem os atuais)
+app.put("/api/products/:id", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const user = req.user;
+
+    const productId = req.params.id;
+
+    const errors = validate(req.body, productSchema, {
+      ctx: { categoryIds: await loadCategoryIds() },
+      partial: true
+    }, 'product');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    // Apenas campos conhecidos do produto são gravados
+    const productData = {};
+    for (const field of Object.keys(productSchema.fields)) {
+      if (field in req.body) {
+        productData[field] = req.body[field];
+      }
+    }
+    const sentVersion = productData.version;
+    delete productData.version;
+    if ('price' in productData) {
+      productData.price = parseFloat(productData.price);
+    }
+    if ('colors' in productData) {
+      const [withFields] = keepVariantFields([{ id: productId, colors: productData.colors }], await loadCatalog());
+      productData.colors = normalizeProducts([withFields])[0].colors;
+
+      const codeErrors = await productWriteErrors([{ id: productId, colors: productData.colors }], () => 'product');
+      if (codeErrors.length > 0) {
+        return sendValidationError(res, codeErrors);
+      }
+    }
+    // Datas de publicação/retirada: undefined = não enviada, null = sem data
+    const schedule = {
+      status: productData.status,
+      publishAt: normalizeDateTime(productData.publishAt),
+      unpublishAt: normalizeDateTime(productData.unpublishAt)
+    };
+    for (const [field, column] of [['publishAt', 'publish_at'], ['unpublishAt', 'unpublish_at']]) {
+      if (field in productData) {
+        productData[column] = schedule[field];
+        delete productData[field];
+      }
+    }
+    if ('lowStockThreshold' in productData) {
+      productData.low_stock_threshold = parseThreshold(productData.lowStockThreshold) ?? null;
+      delete productData.lowStockThreshold;
+    }
+    if ('shipping' in productData) {
+      productData.shipping = normalizeShipping(productData.shipping) ?? null;
+    }
+
+    logger.info('Atualizando produto', { productId, actor: user.username });
+
+    const current = await productsRepository.findById(productId);
+
+    if (!current) {
+      return res.status(404).json({ error: "Produto não encontrado" });
+    }
+
+    const [currentProduct] = normalizeProducts([current]);
+    const lifecycle = lifecycleErrors({ ...schedule, status: schedule.status ?? currentProduct.status }, currentProduct, 'product');
+    if (lifecycle.length > 0) {
+      return sendValidationError(res, lifecycle);
+    }
+
+    // Alterar cores mexe no estoque: usar a mesma versão das reservas.
+    // Com version no corpo (a versão lida pelo painel), ela é conferida.
+    let expectedVersion = null;
+    if ('colors' in productData || sentVersion !== undefined) {
+      expectedVersion = sentVersion ?? (current.version || 0);
+      productData.version = expectedVersion + 1;
+    }
+
+    const updated = await productsRepository.update(productId, productData, { expectedVersion });
+
+    if (!updated) {
+      return res.status(409).json({ error: "Produto alterado por outra operação, tente novamente" });
+    }
+
+    if ('colors' in productData) {
+      const changes = await recordStockDiff(updated.id, current.colors, updated.colors, {
+        reason: 'adjustment',
+        actor: user.username
+      });
+      await notifyLowStockCrossings(updated, changes);
+      await releaseImages(current.colors, updated.colors);
+    }
+
+    const [updatedProduct] = normalizeProducts([updated]);
+    if (diffProducts(currentProduct, updatedProduct).length > 0) {
+      await recordProductVersions([{ product: updatedProduct, action: 'update' }], { actor: user.username });
+    }
+
+    // Limpar cache
+    await invalidateCache('products');
+
+    res.json({ 
+      success: true, 
+      message: "Produto atualizado com sucesso",
+      product: updatedProduct 
+    });
+
+  } catch (error) {
+    if (isVariantCodeConflict(error)) {
+      return sendVariantCodeConflict(res, error);
+    }
+    logger.error("Erro ao atualizar produto", { error });
+    res.status(500).json({ error: "Erro ao atualizar produto: " + error.message });
+  }
+});
+
+// Excluir produto individual
+app.delete("/api/products/:id", requireAuth('catalog:write'), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-      return res.status(401).json({ error: "Não autorizado" });
+    const productId = req.params.id;
+
+    const removed = await productsRepository.deleteById(productId);
+
+    if (!removed) {
+      return res.status(404).json({ error: "Produto não encontrado" });
     }
+
+    await recordStockDiff(removed.id, removed.colors, [], {
+      reason: 'adjustment',
+      actor: req.user.username,
+      reference: 'product-removed'
+    });
+    await releaseImages(removed.colors, []);
+    await recordProductVersions([{ product: normalizeProducts([removed])[0], action: 'delete' }], { actor: req.user.username });
+
+    await invalidateCache('products');
+
+    logger.info('Produto excluído', { productId, actor: req.user.username });
+    res.json({ 
+      success: true, 
+      message: `Produto "${removed.title}" excluído` 
+    });
+  } catch (error) {
+    logger.error("Erro ao excluir produto", { error });
+    res.status(500).json({ error: "Erro ao excluir produto: " + error.message });
+  }
+});
+
+// Histórico do produto: versões com as diferenças para a anterior
+app.get("/api/products/:id/history", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const versions = await listProductHistory(productId);
+
+    if (versions.length === 0 && !(await productsRepository.findById(productId, 'id'))) {
+      return res.status(404).json({ error: "Produto não encontrado" });
+    }
+
+    res.json({ productId: productId, versions: versions });
+  } catch (error) {
+    logger.error("Erro ao buscar histórico do produto", { error });
+    res.status(500).json({ error: "Erro ao buscar histórico do produto: " + error.message });
+  }
+});
+
+// Versão completa do produto
+app.get("/api/products/:id/history/:version", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const version = await getProductVersion(req.params.id, req.params.version);
+
+    if (!version) {
+      return res.status(404).json({ error: "Versão não encontrada" });
+    }
+
+    res.json({ version: version });
+  } catch (error) {
+    logger.error("Erro ao buscar versão do produto", { error });
+    res.status(500).json({ error: "Erro ao buscar versão do produto: " + error.message });
+  }
+});
+
+// Reverter produto para uma versão do histórico (produto excluído volta com
+// o mesmo id). O estoque atual das variantes é mantido; ?restoreStock=true
+// restaura também o estoque da versão.
+app.post("/api/products/:id/revert/:version", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const user = req.user;
+    const productId = req.params.id;
+    const version = await getProductVersion(productId, req.params.version);
+
+    if (!version) {
+      return res.status(404).json({ error: "Versão não encontrada" });
+    }
+
+    if (version.action === 'delete') {
+      return res.status(400).json({ error: `A versão ${version.version} registra a exclusão do produto; escolha uma versão anterior` });
+    }
+
+    const current = await productsRepository.findById(productId);
+
+    let [product] = normalizeProducts([version.product]);
+    if (current && req.query.restoreStock !== 'true') {
+      product = withCurrentStock(product, current.colors);
+    }
+
+    // A categoria da versão pode ter sido excluída depois
+    if (!(await loadCategoryIds()).has(product.category)) {
+      return sendValidationError(res, [{ field: 'product.category', message: `categoria "${product.category}" não existe` }]);
+    }
+
+    logger.info('Revertendo produto', { productId, version: version.version, actor: user.username });
+
+    const movement = { reason: 'adjustment', actor: user.username, reference: `revert:${version.version}` };
+    const history = { action: 'revert', note: `versão ${version.version}` };
+    let saved;
+
+    if (current) {
+      // Mesma versão das reservas: uma venda no meio do caminho não se perde
+      const expectedVersion = current.version || 0;
+      const { id, ...fields } = toProductRow(product);
+      const updated = await productsRepository.update(productId, { ...fields, version: expectedVersion + 1 }, { expectedVersion });
+
+      if (!updated) {
+        return res.status(409).json({ error: "Produto alterado por outra operação, tente novamente" });
+      }
+
+      const changes = await recordStockDiff(updated.id, current.colors, updated.colors, movement);
+      await notifyLowStockCrossings(updated, changes);
+      await releaseImages(current.colors, updated.colors);
+
+      [saved] = normalizeProducts([updated]);
+      await recordProductVersions([{ product: saved, ...history }], { actor: user.username });
+    } else {
+      [saved] = await upsertProducts([product], movement, history);
+    }
+
+    await invalidateCache('products');
+
+    res.json({
+      success: true,
+      message: `Produto revertido para a versão ${version.version}`,
+      product: saved
+    });
+  } catch (error) {
+    if (isVariantCodeConflict(error)) {
+      return sendVariantCodeConflict(res, error);
+    }
+    logger.error("Erro ao reverter produto", { error });
+    res.status(500).json({ error: "Erro ao reverter produto: " + error.message });
+  }
+});
+
+// Snapshots do catálogo (tirados antes de cada gravação em lote)
+app.get("/api/catalog/snapshots", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    res.json({ snapshots: await listCatalogSnapshots() });
+  } catch (error) {
+    logger.error("Erro ao listar snapshots do catálogo", { error });
+    res.status(500).json({ error: "Erro ao listar snapshots do catálogo: " + error.message });
+  }
+});
+
+app.get("/api/catalog/snapshots/:id", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const snapshot = await getCatalogSnapshot(req.params.id);
+
+    if (!snapshot) {
+      return res.status(404).json({ error: "Snapshot não encontrado" });
+    }
+
+    res.json({ snapshot: snapshot });
+  } catch (error) {
+    logger.error("Erro ao buscar snapshot do catálogo", { error });
+    res.status(500).json({ error: "Erro ao buscar snapshot do catálogo: " + error.message });
+  }
+});
+
+// Restaurar o catálogo de um snapshot: substitui o catálogo atual, que antes
+// vira um novo snapshot (a restauração também pode ser desfeita). Estoque
+// como na reversão de produto (?restoreStock=true usa o do snapshot).
+app.post("/api/catalog/snapshots/:id/restore", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const user = req.user;
+    const snapshot = await getCatalogSnapshot(req.params.id);
+
+    if (!snapshot) {
+      return res.status(404).json({ error: "Snapshot não encontrado" });
+    }
+
+    const current = await productsRepository.findAll();
+    const currentColors = new Map(current.map(product => [String(product.id), product.colors]));
+
+    // A versão guardada no snapshot é antiga: a restauração grava sobre a atual
+    let products = normalizeProducts(snapshot.products).map(({ version, ...product }) => product);
+    if (req.query.restoreStock !== 'true') {
+      products = products.map(product => currentColors.has(String(product.id))
+        ? withCurrentStock(product, currentColors.get(String(product.id)))
+        : product);
+    }
+
+    const categoryIds = await loadCategoryIds();
+    const errors = products
+      .map((product, index) => ({ product, index }))
+      .filter(({ product }) => !categoryIds.has(product.category))
+      .map(({ product, index }) => ({ field: `products[${index}].category`, message: `categoria "${product.category}" não existe` }));
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    logger.info('Restaurando catálogo', { snapshotId: snapshot.id, actor: user.username });
+
+    await createCatalogSnapshot(normalizeProducts(current), { reason: 'restore', actor: user.username });
+
+    const { savedProducts, removedProducts } = await saveCatalog(products, user.username, {
+      action: 'revert',
+      note: `snapshot ${snapshot.id}`
+    });
+
+    await invalidateCache('products');
+
+    logger.info('Catálogo restaurado', { saved: savedProducts.length, removed: removedProducts.length });
+    res.json({
+      success: true,
+      message: `Catálogo restaurado do snapshot ${snapshot.id}`,
+      restored: savedProducts.length,
+      removed: removedProducts.length
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
+    if (isVariantCodeConflict(error)) {
+      return sendVariantCodeConflict(res, error);
+    }
+    logger.error("Erro ao restaurar catálogo", { error });
+    res.status(500).json({ error: "Erro ao restaurar catálogo: " + error.message });
+  }
+});
+
+// Adicionar categoria individual
+app.post("/api/categories/add", requireAuth('categories:write'), async (req, res) => {
+  try {
+    const user = req.user;
     
     const { category } = req.body;
     
-    if (!category || !category.id || !category.name) {
-      return res.status(400).json({ error: "Dados da categoria inválidos" });
+    const errors = validate(category, newCategorySchema, {}, 'category');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
     }
 
-    console.log(`➕ Adicionando categoria: ${category.name} (ID: ${category.id})`);
+    const categories = await loadCategories();
+    const current = categories.find(c => c.id === category.id);
+    const [normalized] = normalizeCategories([category], new Map(categories.map(c => [c.id, c])));
 
-    const { data, error } = await supabase
-      .from('categories')
-      .upsert([{
-        id: category.id,
-        name: category.name,
-        description: category.description || `Categoria de ${category.name}`
-      }], {
-        onConflict: 'id',
-        ignoreDuplicates: false
-      });
+    // Sem posição informada: mantém a atual ou entra no fim entre as irmãs
+    if (category.position === undefined) {
+      const siblings = categories.filter(c => c.id !== normalized.id && c.parentId === normalized.parentId);
+      normalized.position = current ? current.position : Math.max(-1, ...siblings.map(c => c.position)) + 1;
+    }
 
-    if (error) {
-      console.error('❌ Erro ao adicionar categoria:', error);
-      throw error;
+    const hierarchyErrorList = categoryErrors(normalized, categories);
+    if (hierarchyErrorList.length > 0) {
+      return sendValidationError(res, hierarchyErrorList);
     }
 
-    console.log('✅ Categoria adicionada com sucesso:', category.name);
+    logger.info('Adicionando categoria', { categoryId: normalized.id, name: normalized.name, actor: user.username });
+
+    await categoriesRepository.upsertMany([toCategoryRow(normalized)]);
+    await invalidateCache('categories');
+    await emitEvent(current ? 'category.updated' : 'category.created', { category: normalized, actor: user.username });
+
     res.json({ 
       success: true, 
-      message: `Categoria "${category.name}" adicionada`,
-      category: category 
+      message: `Categoria "${normalized.name}" adicionada`,
+      category: normalized 
     });
   } catch (error) {
-    console.error("❌ Erro ao adicionar categoria:", error);
+    logger.error("Erro ao adicionar categoria", { error });
     res.status(500).json({ error: "Erro ao adicionar categoria: " + error.message });
   }
 });
 
-// Excluir categoria individual
-app.delete("/api/categories/:categoryId", async (req, res) => {
+// Alterar categoria: nome, descrição, mãe, posição ou slug (o id não muda)
+app.put("/api/categories/:categoryId", requireAuth('categories:write'), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-      return res.status(401).json({ error: "Não autorizado" });
+    const user = req.user;
+    const { categoryId } = req.params;
+
+    const categories = await loadCategories();
+    const current = categories.find(c => c.id === categoryId);
+
+    if (!current) {
+      return res.status(404).json({ error: "Categoria não encontrada" });
     }
+
+    const category = { ...current, ...req.body, id: current.id };
+
+    const errors = validate(category, newCategorySchema, {}, 'category');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const [normalized] = normalizeCategories([category]);
+
+    const hierarchyErrorList = categoryErrors(normalized, categories);
+    if (hierarchyErrorList.length > 0) {
+      return sendValidationError(res, hierarchyErrorList);
+    }
+
+    const { id, ...fields } = toCategoryRow(normalized);
+    await categoriesRepository.update(id, fields);
+    await invalidateCache('categories');
+    await emitEvent('category.updated', { category: normalized, actor: user.username });
+
+    logger.info('Categoria alterada', { categoryId, actor: user.username });
+    res.json({ success: true, category: normalized });
+  } catch (error) {
+    logger.error("Erro ao alterar categoria", { error });
+    res.status(500).json({ error: "Erro ao alterar categoria: " + error.message });
+  }
+});
+
+// Excluir categoria individual. Os produtos da categoria vão para a categoria
+// informada em ?moveTo=<id>; sem ela, a exclusão é recusada (409) com a
+// lista de produtos afetados. Subcategorias passam para a mãe da excluída.
+app.delete("/api/categories/:categoryId", requireAuth('categories:delete'), async (req, res) => {
+  try {
+    const user = req.user;
     
     const { categoryId } = req.params;
-    console.log(`🗑️ Tentando excluir categoria: ${categoryId}`);
+    const { moveTo } = req.query;
+    logger.info('Excluindo categoria', { categoryId, actor: user.username });
     
     // Verificar se a categoria existe
-    const { data: category, error: fetchError } = await supabase
-      .from('categories')
-      .select('*')
-      .eq('id', categoryId)
-      .single();
+    const category = await categoriesRepository.findById(categoryId);
 
-    if (fetchError || !category) {
-      console.log('❌ Categoria não encontrada:', categoryId);
+    if (!category) {
       return res.status(404).json({ error: "Categoria não encontrada" });
     }
 
-    console.log('✅ Categoria encontrada:', category.name);
-
-    // Verificar se há produtos usando esta categoria
-    const { data: productsInCategory, error: productsError } = await supabase
-      .from('products')
-      .select('id, title')
-      .eq('category', categoryId);
-
-    if (productsError) {
-      console.error('❌ Erro ao verificar produtos:', productsError);
-      throw productsError;
-    }
-
-    // Se há produtos, mover para a primeira categoria disponível
-    if (productsInCategory && productsInCategory.length > 0) {
-      console.log(`🔄 Movendo ${productsInCategory.length} produtos da categoria...`);
-      
-      const { data: otherCategories } = await supabase
-        .from('categories')
-        .select('id')
-        .neq('id', categoryId)
-        .limit(1);
-
-      if (otherCategories && otherCategories.length > 0) {
-        const newCategoryId = otherCategories[0].id;
-        const { error: updateError } = await supabase
-          .from('products')
-          .update({ category: newCategoryId })
-          .eq('category', categoryId);
-
-        if (updateError) {
-          console.error('❌ Erro ao mover produtos:', updateError);
-          throw updateError;
-        }
-        console.log(`✅ ${productsInCategory.length} produtos movidos para categoria: ${newCategoryId}`);
-      } else {
-        console.log('⚠️ Nenhuma outra categoria encontrada, produtos não movidos');
+    if (moveTo !== undefined) {
+      if (moveTo === categoryId) {
+        return res.status(400).json({ error: "moveTo deve ser outra categoria" });
+      }
+      if (!(await categoriesRepository.findById(moveTo))) {
+        return res.status(404).json({ error: `Categoria de destino "${moveTo}" não encontrada` });
       }
     }
 
-    // Deletar a categoria
-    const { error: deleteError } = await supabase
-      .from('categories')
-      .delete()
-      .eq('id', categoryId);
+    // Verificar se há produtos usando esta categoria
+    const productsInCategory = await productsRepository.findByCategory(categoryId, 'id, title');
+
+    if (productsInCategory.length > 0 && moveTo === undefined) {
+      logger.warn('Exclusão de categoria recusada: possui produtos', { categoryId, products: productsInCategory.length });
+      return res.status(409).json({
+        error: "A categoria possui produtos. Informe moveTo com a categoria que vai recebê-los",
+        products: productsInCategory
+      });
+    }
 
-    if (deleteError) {
-      console.error('❌ Erro ao excluir categoria:', deleteError);
-      throw deleteError;
+    // Pelo caminho normal de gravação: versão incrementada, histórico e
+    // webhooks product.updated dos produtos movidos
+    if (productsInCategory.length > 0) {
+      const moved = normalizeProducts(await productsRepository.findByCategory(categoryId))
+        .map(product => ({ ...product, category: moveTo }));
+      await upsertProducts(moved, { reason: 'adjustment', actor: user.username }, {
+        note: `Categoria "${category.name}" excluída`
+      });
+      logger.info('Produtos movidos de categoria', { from: categoryId, to: moveTo, count: moved.length });
     }
 
-    console.log('✅ Categoria excluída com sucesso:', categoryId);
+    // Subcategorias sobem um nível
+    await categoriesRepository.reparent(categoryId, category.parent_id ?? null);
+
+    // Deletar a categoria
+    await categoriesRepository.deleteById(categoryId);
+    await invalidateCache('categories', 'products');
+    await emitEvent('category.deleted', {
+      category: { id: category.id, name: category.name, parentId: category.parent_id ?? null },
+      movedTo: productsInCategory.length > 0 ? moveTo : null,
+      movedProducts: productsInCategory.map(product => product.id),
+      actor: user.username
+    });
+
+    logger.info('Categoria excluída', { categoryId });
     res.json({ 
       success: true, 
-      message: `Categoria "${category.name}" excluída` 
+      message: `Categoria "${category.name}" excluída`,
+      movedProducts: productsInCategory.length
     });
   } catch (error) {
-    console.error("❌ Erro ao excluir categoria:", error);
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
+    if (isVariantCodeConflict(error)) {
+      return sendVariantCodeConflict(res, error);
+    }
+    logger.error("Erro ao excluir categoria", { error });
     res.status(500).json({ error: "Erro ao excluir categoria: " + error.message });
   }
 });
 
-// Salvar categorias
-app.post("/api/categories", async (req, res) => {
+// Salvar categorias (lista completa: as ausentes são excluídas; a ordem da
+// lista é a ordem de exibição quando position não é informado)
+app.post("/api/categories", requireAuth('categories:write'), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-      return res.status(401).json({ error: "Não autorizado" });
-    }
+    const user = req.user;
     
     const { categories } = req.body;
-    console.log(`💾 Salvando ${categories?.length || 0} categorias...`);
+    logger.info('Salvando categorias', { count: categories?.length || 0, actor: user.username });
     
-    const normalizedCategories = normalizeCategories(categories);
-
-    if (normalizedCategories.length === 0) {
-      return res.status(400).json({ error: "Nenhuma categoria fornecida" });
+    // Categorias podem vir apenas como id (texto)
+    const categoryInput = Array.isArray(categories)
+      ? categories.map(cat => typeof cat === 'string' ? { id: cat } : cat)
+      : categories;
+
+    const errors = validate(categoryInput, categoryListSchema, {}, 'categories');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
     }
 
-    // Deletar categorias que não estão na nova lista
-    const categoryIds = normalizedCategories.map(cat => cat.id);
-    
-    const { error: deleteError } = await supabase
-      .from('categories')
-      .delete()
-      .not('id', 'in', `(${categoryIds.map(id => `'${id}'`).join(',')})`);
+    const existing = await loadCategories();
+    const normalizedCategories = normalizeCategories(categoryInput, new Map(existing.map(c => [c.id, c])));
 
-    if (deleteError && !deleteError.message.includes('No rows found')) {
-      console.error('❌ Erro ao deletar categorias antigas:', deleteError);
-      throw deleteError;
+    const hierarchyErrorList = hierarchyErrors(normalizedCategories);
+    if (hierarchyErrorList.length > 0) {
+      return sendValidationError(res, hierarchyErrorList);
     }
 
-    // Inserir/atualizar as categorias
-    const categoriesToUpsert = normalizedCategories.map(category => ({
-      id: category.id,
-      name: category.name,
-      description: category.description
-    }));
+    // Categorias fora da nova lista não podem ter produtos
+    const categoryIds = new Set(normalizedCategories.map(cat => cat.id));
+    const removedIds = new Set(existing.map(cat => cat.id).filter(id => !categoryIds.has(id)));
 
-    const { error: upsertError } = await supabase
-      .from('categories')
-      .upsert(categoriesToUpsert, { 
-        onConflict: 'id'
-      });
+    if (removedIds.size > 0) {
+      const affected = (await productsRepository.findAll('id, title, category'))
+        .filter(product => removedIds.has(product.category));
 
-    if (upsertError) {
-      console.error('❌ Erro ao salvar categorias:', upsertError);
-      throw upsertError;
+      if (affected.length > 0) {
+        return res.status(409).json({
+          error: "Categorias removidas possuem produtos. Mova os produtos antes de removê-las",
+          products: affected
+        });
+      }
     }
 
-    console.log('✅ Categorias salvas com sucesso!');
+    // Inserir/atualizar as categorias e depois excluir as que saíram da lista
+    await categoriesRepository.upsertMany(normalizedCategories.map(toCategoryRow));
+    await categoriesRepository.deleteExcept([...categoryIds]);
+    await invalidateCache('categories');
+
+    const existingById = new Map(existing.map(cat => [cat.id, cat]));
+    await emitEvents([
+      ...normalizedCategories
+        .filter(cat => JSON.stringify(cat) !== JSON.stringify(existingById.get(cat.id)))
+        .map(cat => ({
+          type: existingById.has(cat.id) ? 'category.updated' : 'category.created',
+          data: { category: cat, actor: user.username }
+        })),
+      ...existing
+        .filter(cat => removedIds.has(cat.id))
+        .map(cat => ({
+          type: 'category.deleted',
+          data: { category: { id: cat.id, name: cat.name, parentId: cat.parentId }, movedTo: null, movedProducts: [], actor: user.username }
+        }))
+    ]);
+
     res.json({ 
       success: true, 
       message: `${normalizedCategories.length} categorias salvas`,
       categories: normalizedCategories 
     });
   } catch (error) {
-    console.error("❌ Erro ao salvar categorias:", error);
+    logger.error("Erro ao salvar categorias", { error });
     res.status(500).json({ error: "Erro ao salvar categorias: " + error.message });
   }
 });
@@ -510,82 +1562,124 @@ app.post("/api/categories", async (req, res) => {
 // Verificar autenticação
 app.get("/api/auth/verify", async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace("Bearer ", "");
+    const user = await checkAuth(req.headers.authorization);
     
-    if (token && checkAuth(token)) {
-      res.json({ valid: true, user: { username: "admin" } });
+    if (user) {
+      res.json({ valid: true, user: { id: user.id, username: user.username, role: user.role } });
     } else {
       res.json({ valid: false });
     }
   } catch (error) {
-    console.error("Erro ao verificar autenticação:", error);
+    logger.error("Erro ao verificar autenticação", { error });
     res.status(500).json({ error: "Erro ao verificar autenticação" });
   }
 });
 
 // NOVO: Endpoint para atualizar estoque em tempo real
-app.post("/api/stock/update", async (req, res) => {
+app.post("/api/stock/update", requireAuth('stock:write'), async (req, res) => {
   try {
-    const { productId, colorIndex, size, quantityChange } = req.body;
+    const { sku, productId, color, size, quantityChange, reason = 'adjustment' } = req.body;
     
-    if (!productId || colorIndex === undefined || !size || quantityChange === undefined) {
-      return res.status(400).json({ error: "Dados inválidos para atualização de estoque" });
+    if ((!sku && (!productId || !color || !size)) || !Number.isInteger(quantityChange)) {
+      return res.status(400).json({ error: "Dados inválidos para atualização de estoque (informe sku ou productId, color e size, e quantityChange inteiro)" });
     }
     
-    console.log(`📊 Atualizando estoque: Produto ${productId}, Cor ${colorIndex}, Tamanho ${size}, Alteração: ${quantityChange}`);
-    
-    // Buscar o produto atual
-    const { data: products, error: fetchError } = await supabase
-      .from('products')
-      .select('*')
-      .eq('id', productId);
-    
-    if (fetchError || !products || products.length === 0) {
-      return res.status(404).json({ error: "Produto não encontrado" });
+    if (!['sale', 'return', 'adjustment'].includes(reason)) {
+      return res.status(400).json({ error: "Motivo inválido (use sale, return ou adjustment)" });
     }
     
-    const product = products[0];
-    
-    // Atualizar o estoque
-    if (product.colors && product.colors[colorIndex]) {
-      const color = product.colors[colorIndex];
-      const sizeIndex = color.sizes.findIndex(s => s.name === size);
-      
-      if (sizeIndex !== -1) {
-        // Calcular novo estoque (não permitir negativo)
-        const newStock = Math.max(0, color.sizes[sizeIndex].stock + quantityChange);
-        product.colors[colorIndex].sizes[sizeIndex].stock = newStock;
-        
-        // Atualizar no banco de dados
-        const { error: updateError } = await supabase
-          .from('products')
-          .update({ colors: product.colors })
-          .eq('id', productId);
-        
-        if (updateError) {
-          throw updateError;
-        }
-        
-        // Limpar cache
-        clearCache();
-        
-        res.json({ 
-          success: true, 
-          message: "Estoque atualizado com sucesso",
-          newStock: newStock
-        });
-      } else {
-        res.status(400).json({ error: "Tamanho não encontrado" });
+    // Variante pelo SKU ou pelos nomes da cor e do tamanho (nunca pela
+    // posição na lista, que muda quando as cores são reordenadas)
+    let target;
+    if (sku) {
+      target = findVariantByCode(await loadCatalog(), { sku });
+      if (!target) {
+        return res.status(404).json({ error: "SKU não encontrado" });
       }
     } else {
-      res.status(400).json({ error: "Cor não encontrada" });
+      const [product] = normalizeProducts([await productsRepository.findById(productId)].filter(Boolean));
+      if (!product) {
+        return res.status(404).json({ error: "Produto não encontrado" });
+      }
+      const variantColor = product.colors.find(c => c.name === color);
+      const variant = variantColor && variantColor.sizes.find(s => s.name === String(size));
+      if (!variant) {
+        return res.status(404).json({ error: "Variante não encontrada" });
+      }
+      target = { product, color: variantColor, variant };
     }
+    
+    logger.info('Atualizando estoque', {
+      productId: target.product.id,
+      sku: target.variant.sku,
+      quantityChange,
+      actor: req.user.username
+    });
+    
+    // Gravar com compare-and-swap (não permitir negativo)
+    const result = await applyStockChanges([{
+      productId: target.product.id,
+      color: target.color.name,
+      size: target.variant.name,
+      delta: quantityChange
+    }], {
+      clamp: true,
+      movement: { reason: reason, actor: req.user.username }
+    });
+    
+    if (!result.success) {
+      return res.status(409).json({ error: result.errors[0].error });
+    }
+    
+    const newStock = findVariant(result.products[String(target.product.id)], target.color.name, target.variant.name).stock;
+    
+    // Limpar cache
+    await invalidateCache('products');
+    
+    res.json({ 
+      success: true, 
+      message: "Estoque atualizado com sucesso",
+      productId: target.product.id,
+      sku: target.variant.sku,
+      newStock: newStock
+    });
   } catch (error) {
-    console.error("❌ Erro ao atualizar estoque:", error);
+    logger.error("Erro ao atualizar estoque", { error });
     res.status(500).json({ error: "Erro ao atualizar estoque: " + error.message });
   }
 });
 
+// Variante pelo SKU ou código de barras (leitor da loja física):
+// produto, cor, tamanho, preço e estoque atuais
+app.get("/api/variants/:type(sku|barcode)/:code", requireAuth('stock:write'), async (req, res) => {
+  try {
+    const found = findVariantByCode(await loadCatalog(), { [req.params.type]: req.params.code });
+    if (!found) {
+      return res.status(404).json({ error: req.params.type === 'sku' ? "SKU não encontrado" : "Código de barras não encontrado" });
+    }
+
+    const { product, color, variant } = found;
+    const [promoted] = applyPromotions([product], await loadPromotions());
+
+    res.json({
+      product: { id: product.id, title: product.title, category: product.category, status: effectiveStatus(product) },
+      variant: {
+        sku: variant.sku,
+        barcode: variant.barcode,
+        color: color.name,
+        size: variant.name,
+        image: color.image,
+        stock: variant.stock,
+        price: variantPrice(product, variant),
+        promotionalPrice: findVariantByCode([promoted], { sku: variant.sku }).variant.promotionalPrice
+      }
+    });
+  } catch (error) {
+    logger.error("Erro ao buscar variante", { error });
+    res.status(500).json({ error: "Erro ao buscar variante: " + error.message });
+  }
+});
+
 // Health check
 app.get("/", (req, res) => {
   res.json({ 
@@ -597,20 +1691,32 @@ app.get("/", (req, res) => {
 });
 
 // Endpoint para limpar cache manualmente
-app.post("/api/cache/clear", (req, res) => {
-  clearCache();
-  res.json({ success: true, message: "Cache de produtos limpo com sucesso" });
+app.post("/api/cache/clear", requireAuth('cache:clear'), async (req, res) => {
+  logger.info('Limpeza de cache solicitada', { actor: req.user.username });
+  await clearCache();
+  res.json({ success: true, message: "Cache limpo com sucesso" });
+});
+
+// Métricas no formato do Prometheus (contadores desta instância).
+// Autenticado pelo header Authorization: Bearer METRICS_TOKEN.
+app.get("/api/metrics", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token || req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({ error: "Não autorizado" });
+  }
+
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
 // Endpoint para debug
-app.get("/api/debug/tables", async (req, res) => {
+app.get("/api/debug/tables", requireAuth('debug:read'), async (req, res) => {
   try {
-    const { data: products, error: productsError } = await supabase
+    const { data: products, error: productsError } = await db
       .from('products')
       .select('*')
       .limit(1);
     
-    const { data: categories, error: categoriesError } = await supabase
+    const { data: categories, error: categoriesError } = await db
       .from('categories')
       .select('*')
       .limit(1);
@@ -624,50 +1730,21 @@ app.get("/api/debug/tables", async (req, res) => {
       } : null
     });
   } catch (error) {
-    res.json({ error: error.message });
+    logger.error("Erro ao verificar tabelas", { error });
+    res.status(500).json({ error: "Erro ao verificar tabelas: " + error.message });
   }
 });
 
-// NOVO: Handler para a Vercel Serverless Functions
+// Rotas inexistentes e erros não tratados (depois de todas as rotas)
+app.use(notFound);
+app.use(handleErrors);
+
+// App Express sem o handler da Vercel (testes montam o app com o banco em
+// memória)
+export { app };
+
+// Handler para a Vercel Serverless Functions
 export default (req, res) => {
   // Iniciar o app Express
   app(req, res);
 };
-// Adicione após os outros endpoints no backend
-app.put("/api/products/:id", async (req, res) => {
-    try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !checkAuth(authHeader.replace("Bearer ", ""))) {
-            return res.status(401).json({ error: "Não autorizado" });
-        }
-        
-        const productId = req.params.id;
-        const productData = req.body;
-        
-        console.log(`✏️ Atualizando produto ${productId}...`);
-        
-        const { data, error } = await supabase
-            .from('products')
-            .update(productData)
-            .eq('id', productId)
-            .select();
-        
-        if (error) {
-            console.error('❌ Erro ao atualizar produto:', error);
-            throw error;
-        }
-        
-        // Limpar cache
-        clearCache();
-        
-        res.json({ 
-            success: true, 
-            message: "Produto atualizado com sucesso",
-            product: data[0] 
-        });
-        
-    } catch (error) {
-        console.error("❌ Erro ao atualizar produto:", error);
-        res.status(500).json({ error: "Erro ao atualizar produto: " + error.message });
-    }
-});
\ No newline at end of file
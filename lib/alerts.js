@@ -0,0 +1,76 @@
+import productsRepository from './repositories/products.js';
+import { notify } from './notifier.js';
+import logger from './logger.js';
+
+// Alertas de estoque baixo. O limite vem do produto (low_stock_threshold)
+// ou do padrão global LOW_STOCK_THRESHOLD (0: só as variantes esgotadas).
+const configuredThreshold = parseInt(process.env.LOW_STOCK_THRESHOLD);
+export const DEFAULT_LOW_STOCK_THRESHOLD = Number.isNaN(configuredThreshold) ? 2 : configuredThreshold;
+
+export function thresholdFor(product) {
+  const threshold = product.lowStockThreshold ?? product.low_stock_threshold;
+  return Number.isInteger(threshold) ? threshold : DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+// Variantes no limite ou abaixo dele
+export function findLowStockVariants(products, overrideThreshold = null) {
+  const variants = [];
+
+  for (const product of products) {
+    const threshold = overrideThreshold ?? thresholdFor(product);
+
+    for (const color of product.colors || []) {
+      for (const size of color.sizes || []) {
+        const stock = parseInt(size.stock) || 0;
+        if (stock <= threshold) {
+          variants.push({
+            productId: product.id,
+            title: product.title,
+            color: color.name,
+            size: String(size.name),
+            stock: stock,
+            threshold: threshold
+          });
+        }
+      }
+    }
+  }
+
+  return variants.sort((a, b) => a.stock - b.stock);
+}
+
+// Disparar alerta para as variantes que cruzaram o limite nesta alteração.
+// changes: [{ color, size, delta, stockAfter }] (ver lib/movements.js)
+export async function notifyLowStockCrossings(product, changes) {
+  const threshold = thresholdFor(product);
+
+  const crossed = changes
+    .filter(change => change.stockAfter <= threshold && change.stockAfter - change.delta > threshold)
+    .map(change => ({
+      productId: product.id,
+      title: product.title,
+      color: change.color,
+      size: String(change.size),
+      stock: change.stockAfter,
+      threshold: threshold
+    }));
+
+  if (crossed.length === 0) return;
+
+  logger.warn('Estoque baixo', { variants: crossed });
+  await notify({
+    type: 'stock.low',
+    at: new Date().toISOString(),
+    variants: crossed
+  });
+}
+
+// Relatório de variantes com estoque baixo
+export async function getLowStockReport({ productId = null, threshold = null } = {}) {
+  const columns = 'id, title, colors, low_stock_threshold';
+  const products = productId
+    ? [await productsRepository.findById(productId, columns)].filter(Boolean)
+    : await productsRepository.findAll(columns);
+
+  return findLowStockVariants(products, threshold);
+}
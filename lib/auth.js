@@ -0,0 +1,267 @@
+import crypto from 'node:crypto';
+import db from './db/index.js';
+import credentialsRepository from './repositories/credentials.js';
+import logger from './logger.js';
+
+// Sessões de administrador: token de acesso assinado (HMAC-SHA256) de curta
+// duração + refresh token opaco guardado como hash na tabela admin_sessions.
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutos (segundos)
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 dias (segundos)
+
+// Permissões de cada papel. O papel vai no token de acesso; ao alterar o
+// papel de alguém, as sessões dessa pessoa são revogadas.
+export const ROLES = {
+  owner: [
+    'catalog:write',
+    'categories:write',
+    'categories:delete',
+    'stock:read',
+    'stock:write',
+    'cache:clear',
+    'debug:read',
+    'admins:manage',
+    'orders:read',
+    'orders:write',
+    'promotions:write',
+    'shipping:write',
+    'webhooks:manage',
+    'reports:read'
+  ],
+  catalog_editor: [
+    'catalog:write',
+    'categories:write',
+    'stock:read',
+    'stock:write',
+    'cache:clear',
+    'orders:read',
+    'promotions:write',
+    'shipping:write',
+    'reports:read'
+  ],
+  stock_clerk: [
+    'stock:read',
+    'stock:write',
+    'orders:read',
+    'orders:write'
+  ]
+};
+
+export const DEFAULT_ROLE = 'owner';
+
+function getSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_SECRET não configurado');
+  }
+  return secret;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function nowInSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Gerar token de acesso para uma sessão
+function createAccessToken(user, sessionId) {
+  const iat = nowInSeconds();
+  const payload = base64url(JSON.stringify({
+    sub: user.id,
+    usr: user.username,
+    rol: user.role || DEFAULT_ROLE,
+    sid: sessionId,
+    iat: iat,
+    exp: iat + ACCESS_TOKEN_TTL
+  }));
+  return `${payload}.${sign(payload)}`;
+}
+
+// Validar assinatura e expiração do token de acesso
+function decodeAccessToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp <= nowInSeconds()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+function buildSessionResponse(user, sessionId, refreshToken) {
+  return {
+    token: createAccessToken(user, sessionId),
+    refreshToken: refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user: { id: user.id, username: user.username, role: user.role || DEFAULT_ROLE }
+  };
+}
+
+// Criar nova sessão para um administrador autenticado
+export async function createSession(user) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+  const { data: session, error } = await db
+    .from('admin_sessions')
+    .insert({
+      admin_id: user.id,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: new Date((nowInSeconds() + REFRESH_TOKEN_TTL) * 1000).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  return buildSessionResponse(user, session.id, refreshToken);
+}
+
+// Trocar um refresh token válido por um novo par de tokens (rotação)
+export async function refreshSession(refreshToken) {
+  if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+  const { data: session, error } = await db
+    .from('admin_sessions')
+    .select('*')
+    .eq('refresh_token_hash', hashToken(refreshToken))
+    .single();
+
+  if (error || !session) return null;
+  if (session.revoked_at || new Date(session.expires_at).getTime() <= Date.now()) return null;
+
+  const user = await credentialsRepository.findById(session.admin_id);
+  if (!user || user.disabled) return null;
+
+  // Compare-and-swap no hash do token: de duas renovações com o mesmo
+  // refresh token, só uma troca o token. A outra é reutilização (token
+  // vazado ou copiado) e encerra a sessão.
+  const newRefreshToken = crypto.randomBytes(32).toString('base64url');
+  const { data: rotated, error: updateError } = await db
+    .from('admin_sessions')
+    .update({
+      refresh_token_hash: hashToken(newRefreshToken),
+      expires_at: new Date((nowInSeconds() + REFRESH_TOKEN_TTL) * 1000).toISOString()
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', session.refresh_token_hash)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (updateError) throw updateError;
+
+  if (!rotated || rotated.length === 0) {
+    logger.warn('Refresh token reutilizado; sessão revogada', { sessionId: session.id, adminId: session.admin_id });
+    await revokeSession(session.id);
+    return null;
+  }
+
+  return buildSessionResponse(user, session.id, newRefreshToken);
+}
+
+// Revogar a sessão (logout)
+export async function revokeSession(sessionId) {
+  const { error } = await db
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId);
+
+  if (error) throw error;
+}
+
+// Revogar todas as sessões ativas de um administrador (troca de senha, desativação)
+export async function revokeAdminSessions(adminId, exceptSessionId = null) {
+  let query = db
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('admin_id', adminId)
+    .is('revoked_at', null);
+
+  if (exceptSessionId) {
+    query = query.neq('id', exceptSessionId);
+  }
+
+  const { error } = await query;
+  if (error) throw error;
+}
+
+// Verificar autenticação a partir do header Authorization.
+// Retorna o usuário da sessão ({ id, username, role, sessionId }) ou null.
+export async function checkAuth(authHeader) {
+  if (!authHeader) return null;
+
+  const claims = decodeAccessToken(authHeader.replace("Bearer ", ""));
+  if (!claims) return null;
+
+  const { data: session, error } = await db
+    .from('admin_sessions')
+    .select('id, revoked_at, expires_at')
+    .eq('id', claims.sid)
+    .single();
+
+  if (error || !session || session.revoked_at) return null;
+  if (new Date(session.expires_at).getTime() <= Date.now()) return null;
+
+  return { id: claims.sub, username: claims.usr, role: claims.rol, sessionId: claims.sid };
+}
+
+export function hasPermission(user, permission) {
+  return Boolean(user && ROLES[user.role]?.includes(permission));
+}
+
+// Middleware: exige sessão válida e, se informada, a permissão.
+// Disponibiliza o usuário autenticado em req.user.
+export function requireAuth(permission = null) {
+  return async (req, res, next) => {
+    try {
+      const user = await checkAuth(req.headers.authorization);
+      if (!user) {
+        return res.status(401).json({ error: "Não autorizado" });
+      }
+
+      if (permission && !hasPermission(user, permission)) {
+        logger.warn('Acesso negado', { username: user.username, role: user.role, permission });
+        return res.status(403).json({ error: "Permissão insuficiente" });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      logger.error("Erro ao verificar autenticação", { error });
+      res.status(500).json({ error: "Erro ao verificar autenticação" });
+    }
+  };
+}
+
+// Middleware das rotas /api/cron/* (Vercel Cron ou agendador externo):
+// exige o header Authorization: Bearer CRON_SECRET. Os valores são
+// comparados pelo hash, em tempo constante.
+export function requireCron(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const expected = crypto.createHash('sha256').update(`Bearer ${secret}`).digest();
+  const received = crypto.createHash('sha256').update(req.headers.authorization || '').digest();
+
+  if (!secret || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({ error: "Não autorizado" });
+  }
+  next();
+}
@@ -0,0 +1,154 @@
+import crypto from 'node:crypto';
+import { createMemoryCache } from './memory.js';
+import { createRedisCache } from './redis.js';
+import logger from '../logger.js';
+import { recordCacheLookup } from '../metrics.js';
+
+// Cache selecionado por CACHE_DRIVER:
+//   memory (padrão)  memória da instância
+//   redis            Redis pela API REST (REDIS_REST_URL / REDIS_REST_TOKEN),
+//                    compartilhado entre as instâncias serverless
+//
+// Os valores pertencem a namespaces (products, categories, promotions).
+// Cada namespace tem uma geração guardada no próprio cache, que entra na
+// chave dos valores: invalidar troca a geração, e todas as instâncias passam
+// a ignorar os valores antigos (que expiram sozinhos pelo TTL).
+//
+// Como em lib/db, o driver é criado no primeiro uso; setCache() troca o
+// driver (testes).
+export const CACHE_NAMESPACES = ['products', 'categories', 'promotions'];
+
+const CACHE_TTL = parseInt(process.env.CACHE_TTL_SECONDS) || 120; // 2 minutos
+
+// Após uma falha, o cache é ignorado por um tempo (sem esperar o timeout
+// do driver a cada requisição)
+const RETRY_AFTER_FAILURE = 30 * 1000;
+
+let driver = null;
+let unavailableUntil = 0;
+
+function createCache() {
+  const name = process.env.CACHE_DRIVER || 'memory';
+
+  if (name === 'redis') {
+    return createRedisCache({ url: process.env.REDIS_REST_URL, token: process.env.REDIS_REST_TOKEN });
+  }
+
+  if (name !== 'memory') {
+    throw new Error(`CACHE_DRIVER desconhecido: ${name}`);
+  }
+
+  return createMemoryCache();
+}
+
+export function getCache() {
+  if (!driver) {
+    driver = createCache();
+  }
+  return driver;
+}
+
+export function setCache(newDriver) {
+  driver = newDriver;
+  unavailableUntil = 0;
+}
+
+// Falhas do cache não derrubam a requisição: leitura vira "não encontrado"
+// e a gravação é ignorada
+async function safely(operation, fallback) {
+  if (Date.now() < unavailableUntil) return fallback;
+
+  try {
+    return await operation();
+  } catch (error) {
+    logger.warn('Cache indisponível, ignorado temporariamente', { error, retryInSeconds: RETRY_AFTER_FAILURE / 1000 });
+    unavailableUntil = Date.now() + RETRY_AFTER_FAILURE;
+    return fallback;
+  }
+}
+
+function newState() {
+  return { gen: `${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`, modified: Date.now() };
+}
+
+// Estado atual dos namespaces: [{ gen, modified }]
+async function namespaceStates(namespaces) {
+  const states = await safely(() => getCache().mget(namespaces.map(name => `ns:${name}`)), null);
+
+  // Sem cache, cada leitura é uma geração nova (nada é reaproveitado)
+  if (!states) return namespaces.map(newState);
+
+  return Promise.all(states.map(async (state, index) => {
+    if (state) return state;
+
+    const initial = newState();
+    await safely(() => getCache().set(`ns:${namespaces[index]}`, initial), null);
+    return initial;
+  }));
+}
+
+export function hashValue(value) {
+  return crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url');
+}
+
+function computeEtag(value) {
+  return `"${hashValue(value)}"`;
+}
+
+// Valor em cache ou calculado por compute() e guardado por ttl segundos.
+// namespaces: de quais dados o valor depende; invalidar qualquer um deles
+// descarta o valor. Retorna { value, etag, lastModified, hit }.
+export async function cached(key, namespaces, compute, { ttl = CACHE_TTL } = {}) {
+  const states = await namespaceStates(namespaces);
+  const fullKey = `${key}@${states.map(state => state.gen).join('.')}`;
+  const lastModified = Math.max(...states.map(state => state.modified));
+
+  const entry = await safely(() => getCache().get(fullKey), null);
+
+  // Métricas por tipo de valor (products:query, não cada consulta)
+  recordCacheLookup(key.split(':').slice(0, 2).join(':'), Boolean(entry));
+
+  if (entry) {
+    return { value: entry.value, etag: entry.etag, lastModified, hit: true };
+  }
+
+  const value = await compute();
+  const etag = computeEtag(value);
+  await safely(() => getCache().set(fullKey, { value, etag }, ttl), null);
+
+  return { value, etag, lastModified, hit: false };
+}
+
+// Invalidar os valores que dependem dos namespaces (em todas as instâncias)
+export async function invalidateCache(...namespaces) {
+  for (const name of namespaces) {
+    try {
+      await getCache().set(`ns:${name}`, newState());
+    } catch (error) {
+      logger.error('Erro ao invalidar cache (valores antigos expiram pelo TTL)', { error, namespace: name, ttlSeconds: CACHE_TTL });
+    }
+  }
+  logger.debug('Cache invalidado', { namespaces });
+}
+
+// Limpar todo o cache
+export async function clearCache() {
+  await invalidateCache(...CACHE_NAMESPACES);
+}
+
+// Responder com ETag e Last-Modified; 304 se o cliente já tem a versão.
+// Os clientes devem revalidar sempre (no-cache), então nunca veem dados
+// invalidados.
+export function sendCachedJson(req, res, { value, etag, lastModified }) {
+  res.set('ETag', etag || computeEtag(value));
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+  res.set('Cache-Control', 'no-cache');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.json(value);
+}
@@ -0,0 +1,58 @@
+// Cache na memória da instância. Os valores são guardados por referência:
+// quem lê não deve alterá-los.
+const SWEEP_THRESHOLD = 1000;
+
+export function createMemoryCache() {
+  const entries = new Map();
+
+  function read(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  // Chaves de gerações antigas só expiram; limpar de tempos em tempos
+  function sweep() {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+
+    async mget(keys) {
+      return keys.map(read);
+    },
+
+    // ttl em segundos (sem ttl, não expira)
+    async set(key, value, ttl) {
+      if (entries.size >= SWEEP_THRESHOLD) sweep();
+      entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+    },
+
+    async del(keys) {
+      for (const key of keys) entries.delete(key);
+    },
+
+    // Contador: soma 1 e retorna o novo valor. O ttl (segundos) vale a
+    // partir da criação do contador.
+    async incr(key, ttl) {
+      const current = read(key);
+      if (current === null) {
+        if (entries.size >= SWEEP_THRESHOLD) sweep();
+        entries.set(key, { value: 1, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+        return 1;
+      }
+      entries.get(key).value = current + 1;
+      return current + 1;
+    }
+  };
+}
@@ -0,0 +1,64 @@
+// Redis pela API REST (protocolo do Upstash e do Vercel KV): cada comando é
+// um POST com a lista [comando, ...argumentos] e a resposta é { result } ou
+// { error }. Não mantém conexão aberta, então funciona bem em funções
+// serverless. Os valores são gravados em JSON.
+const DEFAULT_TIMEOUT_MS = 1000;
+
+export function createRedisCache({ url, token, prefix = 'urbanz:', timeout = DEFAULT_TIMEOUT_MS }) {
+  if (!url) {
+    throw new Error('REDIS_REST_URL não configurada');
+  }
+
+  async function command(...args) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(args),
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok || body.error) {
+      throw new Error(`Redis ${args[0]}: ${body.error || `HTTP ${response.status}`}`);
+    }
+    return body.result;
+  }
+
+  const decode = raw => raw === null || raw === undefined ? null : JSON.parse(raw);
+
+  return {
+    async get(key) {
+      return decode(await command('GET', prefix + key));
+    },
+
+    async mget(keys) {
+      if (keys.length === 0) return [];
+      return (await command('MGET', ...keys.map(key => prefix + key))).map(decode);
+    },
+
+    // ttl em segundos (sem ttl, não expira)
+    async set(key, value, ttl) {
+      const args = ['SET', prefix + key, JSON.stringify(value)];
+      if (ttl) args.push('EX', String(ttl));
+      await command(...args);
+    },
+
+    async del(keys) {
+      if (keys.length === 0) return;
+      await command('DEL', ...keys.map(key => prefix + key));
+    },
+
+    // Contador: soma 1 e retorna o novo valor. O ttl (segundos) vale a
+    // partir da criação do contador.
+    async incr(key, ttl) {
+      const count = await command('INCR', prefix + key);
+      if (count === 1 && ttl) {
+        await command('EXPIRE', prefix + key, String(ttl));
+      }
+      return count;
+    }
+  };
+}
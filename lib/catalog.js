@@ -0,0 +1,124 @@
+// Busca, filtros, ordenação e paginação do catálogo. Trabalha sobre a lista
+// normalizada completa (a mesma guardada no cache), então uma única leitura
+// do banco atende qualquer combinação de filtros.
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Preço pago pelo cliente (promocional, quando houver)
+function effectivePrice(product) {
+  return product.promotionalPrice ?? product.price;
+}
+
+const SORTS = {
+  price: (a, b) => effectivePrice(a) - effectivePrice(b),
+  '-price': (a, b) => effectivePrice(b) - effectivePrice(a),
+  title: (a, b) => a.title.localeCompare(b.title, 'pt-BR'),
+  '-title': (a, b) => b.title.localeCompare(a.title, 'pt-BR'),
+  // ids são gerados em ordem crescente pelo banco
+  newest: (a, b) => Number(b.id) - Number(a.id),
+  oldest: (a, b) => Number(a.id) - Number(b.id)
+};
+
+export const SORT_OPTIONS = Object.keys(SORTS);
+
+// Texto sem acentos e em minúsculas, para a busca
+export function foldText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function parseOptionalNumber(value) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function hasStock(product, { color, size }) {
+  return product.colors.some(c =>
+    (!color || foldText(c.name) === foldText(color)) &&
+    c.sizes.some(s => (!size || String(s.name).toLowerCase() === String(size).toLowerCase()) && s.stock > 0)
+  );
+}
+
+// Interpretar os parâmetros da query string.
+// Retorna { options } ou { error } com a mensagem para um 400.
+export function parseCatalogQuery(query) {
+  const minPrice = parseOptionalNumber(query.minPrice);
+  const maxPrice = parseOptionalNumber(query.maxPrice);
+
+  if (minPrice === undefined || maxPrice === undefined) {
+    return { error: "minPrice/maxPrice devem ser números" };
+  }
+
+  if (query.sort && !SORTS[query.sort]) {
+    return { error: `Ordenação inválida. Use: ${SORT_OPTIONS.join(', ')}` };
+  }
+
+  const paginate = query.page !== undefined || query.limit !== undefined;
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit) || DEFAULT_PAGE_SIZE));
+
+  return {
+    options: {
+      category: query.category || null,
+      status: query.status || null,
+      minPrice: minPrice,
+      maxPrice: maxPrice,
+      color: query.color || null,
+      size: query.size || null,
+      inStock: query.inStock === 'true' || query.inStock === '1',
+      onSale: query.onSale === 'true' || query.onSale === '1',
+      q: query.q ? foldText(query.q).trim() : null,
+      sort: query.sort || null,
+      paginate: paginate,
+      page: page,
+      limit: limit
+    }
+  };
+}
+
+export function searchCatalog(products, options) {
+  let results = products.filter(product => {
+    // categories: categoria pedida e subcategorias (montado pela rota)
+    if (options.categories && !options.categories.has(product.category)) return false;
+    if (!options.categories && options.category && product.category !== options.category) return false;
+    if (options.status && product.status !== options.status) return false;
+    if (options.minPrice !== null && effectivePrice(product) < options.minPrice) return false;
+    if (options.maxPrice !== null && effectivePrice(product) > options.maxPrice) return false;
+    if (options.onSale && !product.promotion) return false;
+
+    if (options.color && !product.colors.some(c => foldText(c.name) === foldText(options.color))) return false;
+
+    // Com tamanho informado, só produtos com aquele tamanho em estoque
+    if ((options.inStock || options.size) && !hasStock(product, options)) return false;
+
+    if (options.q) {
+      const text = foldText(`${product.title} ${product.description}`);
+      if (!options.q.split(/\s+/).every(term => text.includes(term))) return false;
+    }
+
+    return true;
+  });
+
+  if (options.sort) {
+    results = [...results].sort(SORTS[options.sort]);
+  }
+
+  const total = results.length;
+
+  if (!options.paginate) {
+    return { products: results, total: total };
+  }
+
+  const start = (options.page - 1) * options.limit;
+  return {
+    products: results.slice(start, start + options.limit),
+    total: total,
+    page: options.page,
+    limit: options.limit,
+    totalPages: Math.ceil(total / options.limit)
+  };
+}
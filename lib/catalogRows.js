@@ -0,0 +1,304 @@
+import { validate } from './validation.js';
+import { productSchema } from './schemas.js';
+
+// Catálogo em formato de planilha: uma linha por variante (cor + tamanho),
+// repetindo os dados do produto. Usado na exportação e importação.
+export const CATALOG_COLUMNS = [
+  'id', 'title', 'category', 'price', 'description', 'status',
+  'publish_at', 'unpublish_at', 'low_stock_threshold', 'weight', 'length', 'width', 'height',
+  'color', 'image', 'size', 'sku', 'barcode', 'variant_price', 'stock'
+];
+
+// Colunas da variante; ausentes da planilha mantêm o valor atual, vazias
+// apagam (variant_price vazio = preço do produto)
+const VARIANT_COLUMNS = { sku: 'sku', barcode: 'barcode', variant_price: 'price' };
+
+// Datas de publicação/retirada (ISO); ausentes da planilha mantêm as
+// atuais, vazias apagam
+const SCHEDULE_COLUMNS = { publish_at: 'publishAt', unpublish_at: 'unpublishAt' };
+
+// Dados de envio (kg e cm)
+const SHIPPING_COLUMNS = ['weight', 'length', 'width', 'height'];
+
+const PRODUCT_COLUMNS = ['title', 'category', 'price', 'description', 'status', ...Object.keys(SCHEDULE_COLUMNS), 'low_stock_threshold', ...SHIPPING_COLUMNS];
+
+// Campo do schema -> coluna da planilha (para as mensagens de erro)
+const FIELD_COLUMNS = {
+  lowStockThreshold: 'low_stock_threshold',
+  publishAt: 'publish_at',
+  unpublishAt: 'unpublish_at',
+  colors: 'color',
+  name: 'color'
+};
+
+// Comparados para decidir se um produto importado altera o existente
+const COMPARED_FIELDS = ['title', 'category', 'price', 'description', 'status', 'publishAt', 'unpublishAt', 'lowStockThreshold', 'shipping', 'colors'];
+
+// Coluna image: as URLs das imagens da cor, em ordem, separadas por espaço
+function imageColumn(color) {
+  return Array.isArray(color.images) && color.images.length > 0
+    ? color.images.map(image => image.url).join(' ')
+    : color.image;
+}
+
+function parseImageColumn(value) {
+  return String(value || '').split(/\s+/).filter(Boolean).map(url => ({ url }));
+}
+
+// Produtos normalizados -> linhas
+export function productsToRows(products) {
+  const rows = [];
+
+  for (const product of products) {
+    const base = {
+      id: product.id,
+      title: product.title,
+      category: product.category,
+      price: product.price,
+      description: product.description,
+      status: product.status,
+      publish_at: product.publishAt ?? '',
+      unpublish_at: product.unpublishAt ?? '',
+      low_stock_threshold: product.lowStockThreshold ?? ''
+    };
+    for (const column of SHIPPING_COLUMNS) {
+      base[column] = product.shipping?.[column] ?? '';
+    }
+
+    const colors = product.colors.length > 0 ? product.colors : [{ name: '', image: '', sizes: [] }];
+    for (const color of colors) {
+      const sizes = color.sizes.length > 0 ? color.sizes : [{ name: '', stock: '' }];
+      for (const size of sizes) {
+        rows.push({
+          ...base,
+          color: color.name,
+          image: imageColumn(color),
+          size: size.name,
+          sku: size.sku ?? '',
+          barcode: size.barcode ?? '',
+          variant_price: size.price ?? '',
+          stock: size.stock
+        });
+      }
+    }
+  }
+
+  return rows;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// Aceitar "29,90" (vírgula decimal das planilhas em pt-BR)
+function parseDecimal(value) {
+  const text = String(value).trim();
+  return /^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text;
+}
+
+function productKey(row) {
+  return isBlank(row.id) ? `title:${String(row.title || '').trim().toLowerCase()}` : `id:${String(row.id).trim()}`;
+}
+
+// Localizar a linha da planilha a partir do caminho de um erro de validação
+function locateError(error, lines) {
+  const match = error.field.match(/^product(?:\.shipping)?(?:\.colors\[(\d+)\](?:\.(sizes|images)\[(\d+)\])?)?\.?(\w*)$/);
+  if (!match) return { row: lines.product, column: null };
+
+  const [, colorIndex, list, itemIndex, field] = match;
+  let row = lines.product;
+  let column = FIELD_COLUMNS[field] || field || null;
+
+  if (colorIndex !== undefined) {
+    const colorLines = lines.colors[Number(colorIndex)];
+    row = colorLines?.first ?? row;
+    // Erro na própria cor: falta de imagem
+    column = column || 'image';
+
+    if (list === 'sizes') {
+      row = colorLines?.sizes[Number(itemIndex)] ?? row;
+      column = field === 'name' ? 'size' : field === 'price' ? 'variant_price' : field;
+    } else if (list === 'images') {
+      column = 'image';
+    }
+  }
+
+  return { row, column };
+}
+
+// Linhas -> produtos. Linhas do mesmo produto são agrupadas pelo id ou,
+// para produtos novos, pelo título. Retorna { products, errors } com os
+// erros por linha ({ row, column, message }).
+export function rowsToProducts(rows, ctx = {}) {
+  const groups = new Map();
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const line = row.line ?? index + 1;
+
+    if (isBlank(row.id) && isBlank(row.title)) {
+      errors.push({ row: line, column: 'title', message: 'é obrigatório (ou informe o id)' });
+      return;
+    }
+
+    const key = productKey(row);
+    if (!groups.has(key)) {
+      const product = {
+        title: row.title,
+        category: row.category,
+        price: isBlank(row.price) ? row.price : parseDecimal(row.price),
+        description: isBlank(row.description) ? undefined : row.description,
+        status: isBlank(row.status) ? undefined : row.status,
+        lowStockThreshold: isBlank(row.low_stock_threshold) ? undefined : row.low_stock_threshold,
+        colors: []
+      };
+      for (const [column, field] of Object.entries(SCHEDULE_COLUMNS)) {
+        if (column in row) product[field] = isBlank(row[column]) ? null : String(row[column]).trim();
+      }
+      if (SHIPPING_COLUMNS.some(column => !isBlank(row[column]))) {
+        product.shipping = Object.fromEntries(SHIPPING_COLUMNS
+          .filter(column => !isBlank(row[column]))
+          .map(column => [column, parseDecimal(row[column])]));
+      }
+      if (!isBlank(row.id)) {
+        const id = String(row.id).trim();
+        product.id = /^\d+$/.test(id) ? Number(id) : id;
+      }
+
+      groups.set(key, { product, first: row, lines: { product: line, colors: [] }, colorsByName: new Map() });
+    }
+
+    const group = groups.get(key);
+
+    // Dados do produto precisam ser iguais em todas as linhas
+    for (const column of PRODUCT_COLUMNS) {
+      if (!isBlank(row[column]) && String(row[column]).trim() !== String(group.first[column] ?? '').trim()) {
+        errors.push({ row: line, column, message: `difere da linha ${group.lines.product} do mesmo produto` });
+      }
+    }
+
+    if (isBlank(row.color) && isBlank(row.size)) return;
+
+    const colorName = String(row.color || '').trim();
+    let color = group.colorsByName.get(colorName.toLowerCase());
+    if (!color) {
+      color = { name: colorName, images: parseImageColumn(row.image), sizes: [] };
+      group.colorsByName.set(colorName.toLowerCase(), color);
+      group.product.colors.push(color);
+      group.lines.colors.push({ first: line, sizes: [] });
+    } else if (!isBlank(row.image) && imageColumn(color) !== imageColumn({ images: parseImageColumn(row.image) })) {
+      errors.push({ row: line, column: 'image', message: `difere da imagem da cor "${colorName}"` });
+    }
+
+    const size = { name: row.size, stock: isBlank(row.stock) ? 0 : row.stock };
+    for (const [column, field] of Object.entries(VARIANT_COLUMNS)) {
+      if (!(column in row)) continue;
+      size[field] = isBlank(row[column]) ? null : column === 'variant_price' ? parseDecimal(row[column]) : String(row[column]).trim();
+    }
+    color.sizes.push(size);
+    group.lines.colors[group.product.colors.indexOf(color)].sizes.push(line);
+  });
+
+  const products = [];
+  for (const group of groups.values()) {
+    const productErrors = validate(group.product, productSchema, { ctx }, 'product');
+    for (const error of productErrors) {
+      errors.push({ ...locateError(error, group.lines), message: error.message });
+    }
+    products.push(group.product);
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { products, errors };
+}
+
+// Erros dos produtos já normalizados ({ field, message } com o caminho
+// products[i].campo ou products[i].colors[j].sizes[k].campo, ex.: SKU
+// repetido, transição de status) -> erros por linha da planilha
+export function productErrorsToRows(errors, products, rows) {
+  return errors.map(error => {
+    const [, productIndex, colorIndex, sizeIndex, field] =
+      error.field.match(/^products\[(\d+)\](?:\.colors\[(\d+)\]\.sizes\[(\d+)\])?\.(\w+)$/);
+    const product = products[Number(productIndex)];
+    const color = colorIndex !== undefined ? product.colors[Number(colorIndex)] : null;
+    const size = color ? color.sizes[Number(sizeIndex)] : null;
+
+    // Erro do produto: primeira linha dele
+    const index = rows.findIndex(row =>
+      (!color || (
+        String(row.color || '').trim() === color.name &&
+        String(row.size || '').trim() === size.name
+      )) &&
+      (String(row.id || '').trim() === String(product.id) || String(row.title || '').trim() === product.title)
+    );
+
+    return {
+      row: index === -1 ? null : rows[index].line ?? index + 1,
+      column: FIELD_COLUMNS[field] && !color ? FIELD_COLUMNS[field] : field,
+      message: error.message
+    };
+  });
+}
+
+// Produtos sem id na planilha: usar o id do produto existente com o mesmo
+// título (quando só há um), para reimportar a mesma planilha sem duplicar
+export function matchExistingIds(incoming, current) {
+  const byTitle = new Map();
+  for (const product of current) {
+    const title = product.title.trim().toLowerCase();
+    byTitle.set(title, byTitle.has(title) ? null : product.id);
+  }
+
+  const usedIds = new Set(incoming.filter(product => product.id !== undefined).map(product => String(product.id)));
+
+  return incoming.map(product => {
+    if (product.id !== undefined) return product;
+    const id = byTitle.get(String(product.title).trim().toLowerCase());
+    if (id === undefined || id === null || usedIds.has(String(id))) return product;
+    usedIds.add(String(id));
+    return { ...product, id: id };
+  });
+}
+
+// Campos ausentes da importação (undefined) mantêm o valor atual
+function changedFields(current, incoming) {
+  return COMPARED_FIELDS.filter(field =>
+    incoming[field] !== undefined &&
+    JSON.stringify(current[field] ?? null) !== JSON.stringify(incoming[field] ?? null)
+  );
+}
+
+// Comparar o catálogo atual com o importado (ambos normalizados).
+// Com removeMissing, produtos ausentes da importação serão removidos.
+export function diffCatalog(current, incoming, { removeMissing = true } = {}) {
+  const currentById = new Map(current.map(product => [String(product.id), product]));
+  const incomingIds = new Set();
+  const diff = { create: [], update: [], unchanged: [], remove: [] };
+
+  for (const product of incoming) {
+    const existing = product.id !== undefined ? currentById.get(String(product.id)) : null;
+
+    if (!existing) {
+      diff.create.push({ id: product.id ?? null, title: product.title });
+      continue;
+    }
+
+    incomingIds.add(String(product.id));
+    const fields = changedFields(existing, product);
+    if (fields.length > 0) {
+      diff.update.push({ id: existing.id, title: product.title, fields });
+    } else {
+      diff.unchanged.push({ id: existing.id, title: existing.title });
+    }
+  }
+
+  if (removeMissing) {
+    for (const product of current) {
+      if (!incomingIds.has(String(product.id))) {
+        diff.remove.push({ id: product.id, title: product.title });
+      }
+    }
+  }
+
+  return diff;
+}
@@ -0,0 +1,132 @@
+import { foldText } from './catalog.js';
+
+// Hierarquia de categorias. parent_id aponta para a categoria-mãe (null =
+// raiz), position define a ordem de exibição entre irmãs e slug é o
+// identificador usado nas URLs da loja.
+
+// "Camisetas Básicas" -> "camisetas-basicas"
+export function slugify(text) {
+  return foldText(text)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
+
+export function toCategoryResponse(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    parentId: row.parent_id ?? null,
+    position: row.position ?? 0,
+    slug: row.slug || slugify(row.name || row.id)
+  };
+}
+
+export function toCategoryRow(category) {
+  return {
+    id: category.id,
+    name: category.name,
+    description: category.description,
+    parent_id: category.parentId || null,
+    position: category.position ?? 0,
+    slug: category.slug
+  };
+}
+
+// Ordem de exibição: position e, no empate, nome
+export function sortCategories(categories) {
+  return [...categories].sort((a, b) =>
+    a.position - b.position || String(a.name).localeCompare(String(b.name), 'pt-BR')
+  );
+}
+
+// Árvore { ...categoria, children: [...] } a partir da lista plana
+export function buildCategoryTree(categories) {
+  const nodes = new Map(sortCategories(categories).map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId ? nodes.get(node.parentId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+}
+
+// Buscar por id ou slug
+export function findCategory(categories, idOrSlug) {
+  return categories.find(category => category.id === idOrSlug) ||
+    categories.find(category => category.slug === idOrSlug) ||
+    null;
+}
+
+// Ids da categoria e de todas as subcategorias
+export function descendantIds(categories, id) {
+  const ids = new Set([id]);
+  let added = true;
+
+  while (added) {
+    added = false;
+    for (const category of categories) {
+      if (category.parentId && ids.has(category.parentId) && !ids.has(category.id)) {
+        ids.add(category.id);
+        added = true;
+      }
+    }
+  }
+
+  return ids;
+}
+
+// Erros de hierarquia da lista completa: mãe inexistente, ciclos e slugs
+// repetidos. fieldFor(category, index) dá o caminho do campo nos erros;
+// null ignora os erros daquela categoria.
+export function hierarchyErrors(categories, fieldFor = (category, index) => `categories[${index}]`) {
+  const errors = [];
+  const byId = new Map(categories.map(category => [category.id, category]));
+  const slugs = new Map();
+
+  categories.forEach((category, index) => {
+    const field = fieldFor(category, index);
+    const slugOwner = slugs.get(category.slug);
+    if (!slugOwner) slugs.set(category.slug, category.id);
+
+    if (field === null) return;
+
+    if (slugOwner) {
+      errors.push({ field: `${field}.slug`, message: `"${category.slug}" já é usado pela categoria "${slugOwner}"` });
+    }
+
+    if (!category.parentId) return;
+
+    if (!byId.has(category.parentId)) {
+      errors.push({ field: `${field}.parentId`, message: `categoria "${category.parentId}" não existe` });
+      return;
+    }
+
+    // Subir pelas mães até a raiz; voltar à própria categoria é ciclo
+    const seen = new Set([category.id]);
+    let parentId = category.parentId;
+    while (parentId && byId.has(parentId)) {
+      if (seen.has(parentId)) {
+        errors.push({ field: `${field}.parentId`, message: 'cria um ciclo na hierarquia' });
+        break;
+      }
+      seen.add(parentId);
+      parentId = byId.get(parentId).parentId;
+    }
+  });
+
+  return errors;
+}
+
+// Erros de uma categoria nova ou alterada em relação às demais
+export function categoryErrors(category, categories) {
+  const others = categories.filter(other => other.id !== category.id);
+  return hierarchyErrors([...others, category], other => other === category ? 'category' : null);
+}
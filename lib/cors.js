@@ -0,0 +1,46 @@
+import logger from './logger.js';
+
+// Origens autorizadas a chamar a API pelo navegador (loja e painel), em
+// CORS_ORIGINS separadas por vírgula. Aceita curinga no subdomínio para os
+// deploys de preview: https://*.vercel.app.
+// Sem CORS_ORIGINS, qualquer origem é aceita (desenvolvimento local).
+function parseOrigins(value) {
+  return String(value || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+}
+
+function originMatcher(pattern) {
+  if (!pattern.includes('*')) {
+    return origin => origin === pattern;
+  }
+
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  const regex = new RegExp(`^${escaped.join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*')}$`, 'i');
+  return origin => regex.test(origin);
+}
+
+export function corsOptions(value = process.env.CORS_ORIGINS) {
+  const origins = parseOrigins(value);
+  const base = { exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'] };
+
+  if (origins.length === 0) {
+    return base;
+  }
+
+  const matchers = origins.map(originMatcher);
+
+  return {
+    ...base,
+    // Origem não autorizada: a resposta sai sem cabeçalhos CORS e o
+    // navegador a bloqueia. Requisições sem Origin (servidores, cron) passam.
+    origin(origin, callback) {
+      if (!origin || matchers.some(matches => matches(origin))) {
+        return callback(null, true);
+      }
+      logger.warn('Origem não autorizada pelo CORS', { origin });
+      callback(null, false);
+    }
+  };
+}
@@ -0,0 +1,88 @@
+// Leitura e escrita de CSV (RFC 4180): campos entre aspas podem conter
+// separador, aspas duplicadas e quebras de linha.
+
+// Detectar o separador pela linha de cabeçalho (planilhas em pt-BR usam ';')
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  return (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ';' : ',';
+}
+
+// Converter texto CSV em lista de objetos indexados pelo cabeçalho.
+// Cada objeto recebe `line` com o número da linha no arquivo (cabeçalho = 1).
+export function parseCsv(text, { delimiter = null } = {}) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(source);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ line: recordLine, values: record });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, values: record });
+  }
+
+  const nonEmpty = records.filter(r => r.values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const [header, ...rows] = nonEmpty;
+  const columns = header.values.map(name => name.trim().toLowerCase());
+
+  return rows.map(row => {
+    const object = { line: row.line };
+    columns.forEach((column, index) => {
+      if (column) object[column] = (row.values[index] ?? '').trim();
+    });
+    return object;
+  });
+}
+
+function escapeField(value, separator) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /["\r\n]/.test(text) || text.includes(separator)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+// Converter lista de objetos em CSV com as colunas informadas
+export function toCsv(rows, columns, { delimiter = ',' } = {}) {
+  const lines = [columns.join(delimiter)];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeField(row[column], delimiter)).join(delimiter));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,43 @@
+import { createSupabaseDb } from './supabase.js';
+import { createMemoryDb } from './memory.js';
+import logger from '../logger.js';
+
+// Banco de dados selecionado por DB_DRIVER:
+//   supabase (padrão)  projeto Supabase (SUPABASE_URL / SUPABASE_KEY)
+//   memory             em memória; com DB_FILE os dados ficam em um arquivo JSON
+//
+// O cliente é criado na primeira consulta, então importar a API não exige
+// credenciais. setDb() troca o banco (testes).
+let client = null;
+
+function createDb() {
+  const driver = process.env.DB_DRIVER || 'supabase';
+
+  if (driver === 'memory') {
+    logger.info('Usando banco em memória', { file: process.env.DB_FILE || null });
+    return createMemoryDb({ file: process.env.DB_FILE || null });
+  }
+
+  if (driver !== 'supabase') {
+    throw new Error(`DB_DRIVER desconhecido: ${driver}`);
+  }
+
+  return createSupabaseDb();
+}
+
+export function getDb() {
+  if (!client) {
+    client = createDb();
+  }
+  return client;
+}
+
+export function setDb(newClient) {
+  client = newClient;
+}
+
+const db = {
+  from: table => getDb().from(table)
+};
+
+export default db;
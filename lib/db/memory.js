@@ -0,0 +1,368 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { defaultSku } from '../variants.js';
+
+// Banco em memória com a mesma interface de consulta do cliente Supabase
+// (o subconjunto usado pela API), para desenvolvimento local e testes.
+// Com `file`, os dados são carregados de um JSON e regravados a cada escrita.
+
+// Valores padrão das colunas (espelham supabase/migrations)
+const TABLE_DEFAULTS = {
+  products: () => ({ version: 0, low_stock_threshold: null, shipping: null, publish_at: null, unpublish_at: null }),
+  categories: () => ({ parent_id: null, position: 0, slug: null }),
+  admin_credentials: () => ({ disabled: false, role: 'owner', password_hash: null }),
+  admin_sessions: () => ({ revoked_at: null }),
+  stock_reservations: () => ({ status: 'active', token_hash: null, updated_at: null }),
+  orders: () => ({ status: 'pending', status_history: [], updated_at: null, discount: 0, coupon_code: null, shipping_cost: 0, shipping: null }),
+  stock_movements: () => ({ actor: null, reference: null }),
+  product_images: () => ({ thumbnail_path: null, thumbnail_url: null, uploaded_by: null }),
+  promotions: () => ({ target: null, starts_at: null, ends_at: null, active: true }),
+  coupons: () => ({ min_order_value: 0, max_uses: null, used_count: 0, starts_at: null, ends_at: null, active: true }),
+  product_history: () => ({ note: null, actor: null }),
+  catalog_snapshots: () => ({ actor: null }),
+  webhook_subscriptions: () => ({ description: null, active: true }),
+  webhook_deliveries: () => ({ status: 'pending', attempts: 0, response_status: null, last_error: null, last_attempt_at: null, next_attempt_at: null, replay_of: null }),
+  shipping_rules: () => ({
+    cep_start: null, cep_end: null, min_weight: null, max_weight: null, free_above: null,
+    delivery_days_min: null, delivery_days_max: null, description: null, active: true
+  })
+};
+
+// Gatilhos das migrações: before completa a linha antes de gravar e unique
+// dá os códigos que o banco mantém únicos entre todas as linhas da tabela
+// ([[tipo, código]]; uma tabela auxiliar com chave primária no Postgres)
+const TABLE_TRIGGERS = {
+  products: {
+    // Migração 017: variantes sem SKU recebem o SKU padrão
+    before(row) {
+      if (!Array.isArray(row.colors)) return;
+      row.colors = row.colors.map(color => !Array.isArray(color?.sizes) ? color : {
+        ...color,
+        sizes: color.sizes.map(size => size?.sku ? size : { ...size, sku: defaultSku(row.id, color.name || 'Padrão', size?.name || 'M') })
+      });
+    },
+    // Migração 017: product_variant_codes
+    unique(row) {
+      const sizes = (Array.isArray(row.colors) ? row.colors : []).flatMap(color => Array.isArray(color?.sizes) ? color.sizes : []);
+      return sizes.flatMap(size => [['SKU', size?.sku], ['Código de barras', size?.barcode]]).filter(([, code]) => code);
+    }
+  }
+};
+
+function error(message, code = null) {
+  return { message, code, details: null, hint: null };
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+}
+
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return String(a) === String(b);
+}
+
+// Lista "(a,b,'c')" do PostgREST para array
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  const items = [];
+  // Itens simples ou entre aspas duplas (com \" e \\ escapados)
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|([^,]*))\s*(?:,|$)/g;
+  const list = String(value).replace(/^\(|\)$/g, '');
+  let match;
+  while (list !== '' && pattern.lastIndex < list.length && (match = pattern.exec(list))) {
+    const item = match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim().replace(/^'|'$/g, '');
+    if (item !== '') items.push(item);
+  }
+  return items;
+}
+
+// Violação de TABLE_TRIGGERS[table].unique com as linhas gravadas (written:
+// [{ existing, row }]) no lugar das atuais; null se não há
+function uniqueViolation(table, rows, written) {
+  const unique = TABLE_TRIGGERS[table]?.unique;
+  if (!unique) return null;
+
+  const replaced = new Set(written.map(({ existing }) => existing));
+  const taken = new Set();
+  for (const row of [...rows.filter(row => !replaced.has(row)), ...written.map(({ row }) => row)]) {
+    for (const [kind, code] of unique(row)) {
+      const key = `${kind}:${code}`;
+      if (taken.has(key)) return error(`${kind} "${code}" já é usado`, '23505');
+      taken.add(key);
+    }
+  }
+  return null;
+}
+
+function likeToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return row;
+  const projected = {};
+  for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+    if (column === '*') return row;
+    projected[column] = row[column] ?? null;
+  }
+  return projected;
+}
+
+class MemoryQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.operation = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.columns = '*';
+    this.returning = false;
+    this.countMode = null;
+    this.head = false;
+    this.singleMode = null;
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.limitCount = null;
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      this.head = Boolean(options.head);
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.operation = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumn = options.onConflict || 'id';
+    this.ignoreDuplicates = Boolean(options.ignoreDuplicates);
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  eq(column, value) { this.filters.push(row => sameValue(row[column], value)); return this; }
+  neq(column, value) { this.filters.push(row => !sameValue(row[column], value)); return this; }
+  gt(column, value) { this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) > 0); return this; }
+  gte(column, value) { this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) >= 0); return this; }
+  lt(column, value) { this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) < 0); return this; }
+  lte(column, value) { this.filters.push(row => row[column] !== null && row[column] !== undefined && compare(row[column], value) <= 0); return this; }
+  is(column, value) { this.filters.push(row => (row[column] ?? null) === value); return this; }
+  in(column, values) { this.filters.push(row => values.some(value => sameValue(row[column], value))); return this; }
+  ilike(column, pattern) { const regexp = likeToRegExp(pattern); this.filters.push(row => regexp.test(String(row[column] ?? ''))); return this; }
+
+  not(column, operator, value) {
+    if (operator === 'in') {
+      const values = parseList(value);
+      this.filters.push(row => !values.some(item => sameValue(row[column], item)));
+    } else if (operator === 'is') {
+      this.filters.push(row => (row[column] ?? null) !== value);
+    } else if (operator === 'eq') {
+      this.filters.push(row => !sameValue(row[column], value));
+    } else {
+      throw new Error(`Operador not.${operator} não suportado pelo banco em memória`);
+    }
+    return this;
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) { this.limitCount = count; return this; }
+  range(from, to) { this.rangeFrom = from; this.rangeTo = to; return this; }
+  single() { this.singleMode = 'single'; return this; }
+  maybeSingle() { this.singleMode = 'maybe'; return this; }
+
+  then(resolve, reject) {
+    try {
+      resolve(this.execute());
+    } catch (err) {
+      reject(err);
+    }
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  execute() {
+    const rows = this.store.table(this.table);
+    let result;
+
+    if (this.operation === 'insert' || this.operation === 'upsert') {
+      // Linhas conferidas antes de gravar: o comando é tudo ou nada
+      const written = [];
+      for (const values of this.payload) {
+        const existing = this.operation === 'upsert'
+          ? rows.find(row => values[this.conflictColumn] !== undefined && sameValue(row[this.conflictColumn], values[this.conflictColumn]))
+          : null;
+
+        if (existing) {
+          const row = this.ignoreDuplicates ? existing : { ...existing, ...structuredClone(values) };
+          if (!this.ignoreDuplicates) TABLE_TRIGGERS[this.table]?.before(row);
+          written.push({ existing, row });
+          continue;
+        }
+
+        if (values.id !== undefined && [...rows, ...written.map(({ row }) => row)].some(row => sameValue(row.id, values.id))) {
+          return { data: null, error: error(`duplicate key value violates unique constraint "${this.table}_pkey"`, '23505'), count: null };
+        }
+
+        const row = {
+          ...(TABLE_DEFAULTS[this.table]?.() || {}),
+          created_at: new Date().toISOString(),
+          ...structuredClone(values)
+        };
+        if (row.id === undefined) row.id = this.store.nextId(this.table);
+        this.store.bumpId(this.table, row.id);
+        TABLE_TRIGGERS[this.table]?.before(row);
+        written.push({ existing: null, row });
+      }
+
+      const violation = uniqueViolation(this.table, rows, written);
+      if (violation) return { data: null, error: violation, count: null };
+
+      result = written.map(({ existing, row }) => {
+        if (!existing) {
+          rows.push(row);
+          return row;
+        }
+        Object.assign(existing, row);
+        return existing;
+      });
+      this.store.persist();
+    } else if (this.operation === 'update') {
+      const written = rows.filter(row => this.matches(row)).map(existing => {
+        const row = { ...existing, ...structuredClone(this.payload) };
+        if ('colors' in this.payload) TABLE_TRIGGERS[this.table]?.before(row);
+        return { existing, row };
+      });
+
+      const violation = uniqueViolation(this.table, rows, written);
+      if (violation) return { data: null, error: violation, count: null };
+
+      result = written.map(({ existing, row }) => Object.assign(existing, row));
+      if (result.length > 0) this.store.persist();
+    } else if (this.operation === 'delete') {
+      result = rows.filter(row => this.matches(row));
+      this.store.replace(this.table, rows.filter(row => !this.matches(row)));
+      if (result.length > 0) this.store.persist();
+    } else {
+      result = rows.filter(row => this.matches(row));
+    }
+
+    if (this.operation === 'select' || this.returning) {
+      if (this.orders.length > 0) {
+        result = [...result].sort((a, b) => {
+          for (const { column, ascending } of this.orders) {
+            const diff = compare(a[column], b[column]);
+            if (diff !== 0) return ascending ? diff : -diff;
+          }
+          return 0;
+        });
+      }
+    }
+
+    const count = this.countMode ? result.length : null;
+
+    if (this.rangeFrom !== null) result = result.slice(this.rangeFrom, this.rangeTo + 1);
+    if (this.limitCount !== null) result = result.slice(0, this.limitCount);
+
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null, count: count };
+    }
+
+    const data = structuredClone(result.map(row => project(row, this.columns)));
+
+    if (this.head) return { data: null, error: null, count: count };
+
+    if (this.singleMode) {
+      if (data.length === 1) return { data: data[0], error: null, count: count };
+      if (data.length === 0 && this.singleMode === 'maybe') return { data: null, error: null, count: count };
+      return {
+        data: null,
+        error: error('JSON object requested, multiple (or no) rows returned', 'PGRST116'),
+        count: count
+      };
+    }
+
+    return { data: data, error: null, count: count };
+  }
+}
+
+// Criar banco em memória. seed: { tabela: [linhas] }; file: caminho do JSON.
+export function createMemoryDb({ seed = {}, file = null } = {}) {
+  let tables = structuredClone(seed);
+  const sequences = {};
+
+  if (file && fs.existsSync(file)) {
+    tables = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const store = {
+    table(name) {
+      if (!tables[name]) tables[name] = [];
+      return tables[name];
+    },
+    replace(name, rows) {
+      tables[name] = rows;
+    },
+    nextId(name) {
+      if (sequences[name] === undefined) {
+        sequences[name] = store.table(name).reduce((max, row) => Number.isInteger(row.id) ? Math.max(max, row.id) : max, 0);
+      }
+      sequences[name] += 1;
+      return sequences[name];
+    },
+    bumpId(name, id) {
+      if (Number.isInteger(id) && (sequences[name] === undefined || id > sequences[name])) {
+        sequences[name] = Math.max(id, store.table(name).reduce((max, row) => Number.isInteger(row.id) ? Math.max(max, row.id) : max, 0));
+      }
+    },
+    persist() {
+      if (!file) return;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(tables, null, 2));
+    }
+  };
+
+  return {
+    driver: 'memory',
+    from(table) {
+      return new MemoryQuery(store, table);
+    },
+    // Acesso direto às tabelas (testes e scripts de seed)
+    tables() {
+      return tables;
+    }
+  };
+}
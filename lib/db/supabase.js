@@ -0,0 +1,8 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Cliente Supabase usando variáveis de ambiente da Vercel
+export function createSupabaseDb() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_KEY;
+  return createClient(supabaseUrl, supabaseKey);
+}
@@ -0,0 +1,343 @@
+import db from './db/index.js';
+import logger from './logger.js';
+import { emitEvents } from './webhooks.js';
+
+// Histórico de produtos e snapshots do catálogo.
+//
+// Cada gravação de produto pelo painel guarda o estado resultante em
+// product_history, com número de versão sequencial por produto, autor e
+// data; a exclusão guarda o último estado. Antes de cada gravação em lote,
+// o catálogo inteiro vai para catalog_snapshots, para desfazer uma
+// substituição acidental. Baixas de estoque (vendas, reservas, ajustes
+// pela API de estoque) ficam só no livro de movimentações.
+export const HISTORY_ACTIONS = ['create', 'update', 'delete', 'revert'];
+
+// Versões guardadas por produto e snapshots do catálogo (os mais antigos
+// são descartados)
+const PRODUCT_HISTORY_LIMIT = parseInt(process.env.PRODUCT_HISTORY_LIMIT) || 50;
+const CATALOG_SNAPSHOT_LIMIT = parseInt(process.env.CATALOG_SNAPSHOT_LIMIT) || 20;
+
+// Dias em que versões e snapshots seguram as imagens que usam (ver historyColors)
+const HISTORY_IMAGE_RETENTION_DAYS = parseInt(process.env.HISTORY_IMAGE_RETENTION_DAYS) || 30;
+
+// Produto em pares campo -> valor, para comparar versões campo a campo
+function flattenProduct(product) {
+  const flat = {
+    title: product.title,
+    category: product.category,
+    price: product.price,
+    description: product.description,
+    status: product.status,
+    publishAt: product.publishAt ?? null,
+    unpublishAt: product.unpublishAt ?? null,
+    lowStockThreshold: product.lowStockThreshold ?? null
+  };
+
+  for (const key of ['weight', 'length', 'width', 'height']) {
+    flat[`shipping.${key}`] = product.shipping?.[key] ?? null;
+  }
+
+  for (const color of product.colors || []) {
+    const images = (color.images || []).map(image => image.url);
+    flat[`colors[${color.name}].images`] = (images.length > 0 ? images : [color.image]).join(' ');
+    for (const size of color.sizes || []) {
+      const key = `colors[${color.name}].sizes[${size.name}]`;
+      flat[`${key}.stock`] = size.stock;
+      flat[`${key}.sku`] = size.sku ?? null;
+      flat[`${key}.barcode`] = size.barcode ?? null;
+      flat[`${key}.price`] = size.price ?? null;
+    }
+  }
+
+  return flat;
+}
+
+// Diferenças entre duas versões: [{ field, from, to }] (null = ausente)
+export function diffProducts(before, after) {
+  const from = before ? flattenProduct(before) : {};
+  const to = after ? flattenProduct(after) : {};
+  const changes = [];
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    const oldValue = from[field] ?? null;
+    const newValue = to[field] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, from: oldValue, to: newValue });
+    }
+  }
+
+  return changes;
+}
+
+function toVersionResponse(row) {
+  return {
+    version: row.version,
+    action: row.action,
+    note: row.note,
+    actor: row.actor,
+    createdAt: row.created_at
+  };
+}
+
+async function latestVersions(productIds) {
+  const { data, error } = await db
+    .from('product_history')
+    .select('product_id, version')
+    .in('product_id', productIds);
+
+  if (error) throw error;
+
+  const latest = new Map();
+  for (const row of data || []) {
+    const key = String(row.product_id);
+    latest.set(key, Math.max(latest.get(key) || 0, row.version));
+  }
+  return latest;
+}
+
+const PRODUCT_EVENTS = {
+  create: 'product.created',
+  update: 'product.updated',
+  revert: 'product.updated',
+  delete: 'product.deleted'
+};
+
+// Guardar versões de produtos já gravados e avisar os webhooks (toda
+// gravação de produto pelo painel, importação, agendador ou restauração
+// passa por aqui).
+// entries: [{ product (normalizado, com id), action, note }]
+// emit: false quando quem chama junta os eventos de um lote (ver productEvents).
+// Falhas são registradas no log mas não desfazem a gravação do produto.
+export async function recordProductVersions(entries, { actor, emit = true }) {
+  if (entries.length === 0) return;
+
+  await saveProductVersions(entries, actor);
+  if (emit) {
+    await emitEvents(productEvents(entries, actor));
+  }
+}
+
+// Eventos product.* das versões gravadas
+export function productEvents(entries, actor) {
+  return entries.map(entry => ({
+    type: PRODUCT_EVENTS[entry.action],
+    data: { product: entry.product, note: entry.note || null, actor: actor || null }
+  }));
+}
+
+async function saveProductVersions(entries, actor) {
+  const productIds = [...new Set(entries.map(entry => entry.product.id))];
+
+  // Duas gravações simultâneas podem disputar o mesmo número de versão:
+  // a restrição única recusa uma delas, que tenta de novo
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const latest = await latestVersions(productIds);
+      const rows = entries.map(entry => {
+        const key = String(entry.product.id);
+        const version = (latest.get(key) || 0) + 1;
+        latest.set(key, version);
+        return {
+          product_id: entry.product.id,
+          version: version,
+          action: entry.action,
+          note: entry.note || null,
+          data: entry.product,
+          actor: actor || null
+        };
+      });
+
+      const { error } = await db
+        .from('product_history')
+        .insert(rows);
+
+      if (error && error.code === '23505') continue;
+      if (error) throw error;
+
+      await pruneProductHistory(latest);
+      return;
+    } catch (error) {
+      logger.error('Erro ao gravar histórico de produtos', { error });
+      return;
+    }
+  }
+
+  logger.error('Histórico de produtos não gravado: conflito de versões', { products: productIds });
+}
+
+async function pruneProductHistory(latest) {
+  for (const [productId, version] of latest) {
+    if (version <= PRODUCT_HISTORY_LIMIT) continue;
+
+    const { error } = await db
+      .from('product_history')
+      .delete()
+      .eq('product_id', productId)
+      .lte('version', version - PRODUCT_HISTORY_LIMIT);
+
+    if (error) throw error;
+  }
+}
+
+// Versões do produto, da mais recente para a mais antiga, cada uma com as
+// diferenças em relação à anterior
+export async function listProductHistory(productId) {
+  const { data, error } = await db
+    .from('product_history')
+    .select('*')
+    .eq('product_id', productId)
+    .order('version');
+
+  if (error) throw error;
+
+  const versions = [];
+  let previous = null;
+  for (const row of data || []) {
+    const current = row.action === 'delete' ? null : row.data;
+    versions.push({ ...toVersionResponse(row), changes: diffProducts(previous, current) });
+    previous = current;
+  }
+
+  return versions.reverse();
+}
+
+// Versão completa (com o produto) ou null
+export async function getProductVersion(productId, version) {
+  const { data, error } = await db
+    .from('product_history')
+    .select('*')
+    .eq('product_id', productId)
+    .eq('version', version);
+
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+
+  return { ...toVersionResponse(data[0]), product: data[0].data };
+}
+
+// Snapshot do catálogo inteiro (produtos normalizados). Diferente das
+// versões de produto, uma falha aqui impede a gravação em lote.
+export async function createCatalogSnapshot(products, { reason, actor }) {
+  const { data, error } = await db
+    .from('catalog_snapshots')
+    .insert({
+      reason: reason,
+      actor: actor || null,
+      product_count: products.length,
+      products: products
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+
+  const { data: snapshots, error: listError } = await db
+    .from('catalog_snapshots')
+    .select('id')
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+
+  if (listError) throw listError;
+
+  const expired = (snapshots || []).slice(CATALOG_SNAPSHOT_LIMIT).map(snapshot => snapshot.id);
+  if (expired.length > 0) {
+    const { error: deleteError } = await db
+      .from('catalog_snapshots')
+      .delete()
+      .in('id', expired);
+
+    if (deleteError) throw deleteError;
+  }
+
+  logger.info('Snapshot do catálogo criado', { snapshotId: data.id, products: products.length, reason });
+  return data.id;
+}
+
+function toSnapshotResponse(row) {
+  return {
+    id: row.id,
+    reason: row.reason,
+    actor: row.actor,
+    productCount: row.product_count,
+    createdAt: row.created_at
+  };
+}
+
+export async function listCatalogSnapshots() {
+  const { data, error } = await db
+    .from('catalog_snapshots')
+    .select('id, reason, actor, product_count, created_at')
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(toSnapshotResponse);
+}
+
+// Snapshot com os produtos, ou null
+export async function getCatalogSnapshot(id) {
+  const { data, error } = await db
+    .from('catalog_snapshots')
+    .select('*')
+    .eq('id', id);
+
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+
+  return { ...toSnapshotResponse(data[0]), products: data[0].products };
+}
+
+// Ao restaurar, variantes que existem hoje mantêm o estoque atual (vendas e
+// ajustes desde a versão não são desfeitos); as que não existem mais voltam
+// com o estoque da versão.
+export function withCurrentStock(product, currentColors) {
+  const stock = new Map();
+  for (const color of currentColors || []) {
+    for (const size of color.sizes || []) {
+      stock.set(`${color.name}|${size.name}`, size.stock);
+    }
+  }
+
+  return {
+    ...product,
+    colors: product.colors.map(color => ({
+      ...color,
+      sizes: color.sizes.map(size => {
+        const key = `${color.name}|${size.name}`;
+        return stock.has(key) ? { ...size, stock: stock.get(key) } : size;
+      })
+    }))
+  };
+}
+
+// Cores guardadas no histórico e nos snapshots dos produtos que ainda
+// existem (productIds), gravadas nos últimos HISTORY_IMAGE_RETENTION_DAYS
+// dias: as imagens usadas por elas não são apagadas, para que reverter ou
+// restaurar não traga imagens quebradas. Imagens de produtos excluídos e as
+// que só aparecem em versões mais antigas são liberadas (reverter a exclusão
+// de um produto não traz os arquivos de volta).
+export async function historyColors(productIds) {
+  const ids = new Set([...productIds].map(String));
+  const since = new Date(Date.now() - HISTORY_IMAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: versions, error } = await db
+    .from('product_history')
+    .select('product_id, data')
+    .gte('created_at', since);
+
+  if (error) throw error;
+
+  const { data: snapshots, error: snapshotsError } = await db
+    .from('catalog_snapshots')
+    .select('products')
+    .gte('created_at', since);
+
+  if (snapshotsError) throw snapshotsError;
+
+  return [
+    ...(versions || []).filter(row => ids.has(String(row.product_id))).map(row => row.data?.colors || []),
+    ...(snapshots || []).flatMap(row => (row.products || [])
+      .filter(product => ids.has(String(product.id)))
+      .map(product => product.colors || []))
+  ];
+}
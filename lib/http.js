@@ -0,0 +1,100 @@
+import crypto from 'node:crypto';
+import logger, { runWithRequestContext } from './logger.js';
+import { recordRequest } from './metrics.js';
+
+// Código de cada status de erro. Toda resposta de erro tem o formato
+// { error, code, requestId, ...detalhes }; o handler pode informar um code
+// mais específico, que é mantido.
+export const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'VALIDATION_ERROR',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Id recebido de um proxy ou cliente, se for um valor razoável
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+// Padrão da rota atendida (/api/products/:id), para agrupar logs e métricas
+// sem uma série por id
+function routePattern(req) {
+  if (!req.route) return 'unmatched';
+  return `${req.baseUrl || ''}${req.route.path}`;
+}
+
+// Primeiro middleware: id da requisição (X-Request-Id), contexto dos logs,
+// formato das respostas de erro e, ao terminar, log de acesso e métricas
+export function trackRequests() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.error) {
+        body = { ...body, code: body.code || errorCode(res.statusCode), requestId };
+      }
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const route = routePattern(req);
+      const status = res.statusCode;
+
+      recordRequest({ method: req.method, route, status, durationMs });
+
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      logger[level]('Requisição', {
+        requestId,
+        method: req.method,
+        path: req.path,
+        route,
+        status,
+        durationMs: Math.round(durationMs * 10) / 10
+      });
+    });
+
+    runWithRequestContext({ requestId }, next);
+  };
+}
+
+// Rota inexistente
+export function notFound(req, res) {
+  res.status(404).json({ error: `Rota não encontrada: ${req.method} ${req.path}` });
+}
+
+// Erros não tratados pelos handlers (ex.: JSON inválido no corpo, corpo
+// grande demais). Falhas internas não expõem detalhes ao cliente.
+// O Express reconhece o handler de erro pelos 4 parâmetros.
+export function handleErrors(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: "JSON inválido no corpo da requisição" });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ error: "Corpo da requisição muito grande" });
+  }
+
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    logger.error("Erro não tratado", { error });
+    return res.status(500).json({ error: "Erro interno do servidor" });
+  }
+
+  res.status(status).json({ error: error.message });
+}
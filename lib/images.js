@@ -0,0 +1,242 @@
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import db from './db/index.js';
+import productsRepository from './repositories/products.js';
+import { getStorage } from './storage/index.js';
+import { historyColors } from './history.js';
+import logger from './logger.js';
+
+// Imagens de produtos: upload com verificação de tipo e tamanho, miniatura
+// em WebP e registro em product_images. As cores referenciam as imagens em
+// colors[].images ([{ id, url, thumbnailUrl }], na ordem de exibição).
+const IMAGE_TYPES = {
+  'image/jpeg': { format: 'jpeg', extension: 'jpg' },
+  'image/png': { format: 'png', extension: 'png' },
+  'image/webp': { format: 'webp', extension: 'webp' }
+};
+
+export const ALLOWED_IMAGE_TYPES = Object.keys(IMAGE_TYPES);
+export const MAX_IMAGE_SIZE = (parseInt(process.env.MAX_IMAGE_SIZE_MB) || 5) * 1024 * 1024;
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+const THUMBNAIL_SIZE = 320;
+const MAX_DIMENSION = 6000;
+
+// Imagens enviadas e não usadas por nenhum produto são removidas após este prazo
+const ORPHAN_GRACE_HOURS = 24;
+
+export function toImageResponse(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    thumbnailUrl: row.thumbnail_url,
+    contentType: row.content_type,
+    size: row.size,
+    width: row.width,
+    height: row.height
+  };
+}
+
+// Verificar um arquivo recebido ({ originalname, mimetype, size, buffer }).
+// Retorna { metadata } ou { error }.
+export async function inspectImage(file) {
+  const type = IMAGE_TYPES[file.mimetype];
+  if (!type) {
+    return { error: `Tipo não permitido (use ${ALLOWED_IMAGE_TYPES.join(', ')})` };
+  }
+
+  if (file.size > MAX_IMAGE_SIZE) {
+    return { error: `Arquivo maior que ${MAX_IMAGE_SIZE / 1024 / 1024} MB` };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch {
+    return { error: "Arquivo não é uma imagem válida" };
+  }
+
+  // O conteúdo precisa corresponder ao tipo declarado
+  if (metadata.format !== type.format) {
+    return { error: `Conteúdo não corresponde ao tipo ${file.mimetype}` };
+  }
+
+  if (metadata.width > MAX_DIMENSION || metadata.height > MAX_DIMENSION) {
+    return { error: `Dimensões acima de ${MAX_DIMENSION}px` };
+  }
+
+  return { metadata };
+}
+
+// Gravar imagem e miniatura no armazenamento e registrar em product_images
+export async function storeImage(file, metadata, actor) {
+  const storage = getStorage();
+  const id = crypto.randomUUID();
+  const path = `products/${id}.${IMAGE_TYPES[file.mimetype].extension}`;
+  const thumbnailPath = `products/${id}_thumb.webp`;
+
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  await storage.put(path, file.buffer, file.mimetype);
+  await storage.put(thumbnailPath, thumbnail, 'image/webp');
+
+  const { data: image, error } = await db
+    .from('product_images')
+    .insert({
+      id: id,
+      path: path,
+      thumbnail_path: thumbnailPath,
+      url: storage.publicUrl(path),
+      thumbnail_url: storage.publicUrl(thumbnailPath),
+      content_type: file.mimetype,
+      size: file.size,
+      width: metadata.width,
+      height: metadata.height,
+      uploaded_by: actor || null
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await storage.remove([path, thumbnailPath]);
+    throw error;
+  }
+
+  return image;
+}
+
+export async function getImage(id) {
+  const { data, error } = await db
+    .from('product_images')
+    .select('*')
+    .eq('id', id);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Completar referências de imagem só com URL (ex.: importação de planilha)
+// com o id e a miniatura das imagens enviadas pela API
+export async function attachImageRefs(products) {
+  const urls = new Set();
+  for (const product of products) {
+    for (const color of product.colors) {
+      for (const image of color.images || []) {
+        if (!image.id) urls.add(image.url);
+      }
+    }
+  }
+  if (urls.size === 0) return products;
+
+  const { data, error } = await db
+    .from('product_images')
+    .select('id, url, thumbnail_url')
+    .in('url', [...urls]);
+
+  if (error) throw error;
+
+  const byUrl = new Map((data || []).map(image => [image.url, { id: image.id, url: image.url, thumbnailUrl: image.thumbnail_url }]));
+
+  return products.map(product => ({
+    ...product,
+    colors: product.colors.map(color => ({
+      ...color,
+      images: (color.images || []).map(image => image.id ? image : byUrl.get(image.url) || image)
+    }))
+  }));
+}
+
+function imageUrls(colors) {
+  const urls = new Set();
+  for (const color of colors || []) {
+    if (color.image) urls.add(color.image);
+    for (const image of color.images || []) {
+      if (image.url) urls.add(image.url);
+    }
+  }
+  return urls;
+}
+
+// URLs usadas pelos produtos ou por versões recentes deles guardadas no
+// histórico (para que reverter não traga imagens apagadas)
+async function referencedUrls() {
+  const products = await productsRepository.findAll('id, colors');
+  const colorLists = [
+    ...products.map(product => product.colors),
+    ...(await historyColors(products.map(product => product.id)))
+  ];
+  const urls = new Set();
+  for (const colors of colorLists) {
+    for (const url of imageUrls(colors)) urls.add(url);
+  }
+  return urls;
+}
+
+export async function isImageReferenced(image) {
+  return (await referencedUrls()).has(image.url);
+}
+
+// Apagar do armazenamento e de product_images as imagens não usadas por
+// nenhum produto. Retorna quantas foram removidas.
+async function deleteUnreferenced(images) {
+  if (images.length === 0) return 0;
+
+  const referenced = await referencedUrls();
+  const orphans = images.filter(image => !referenced.has(image.url));
+  if (orphans.length === 0) return 0;
+
+  await getStorage().remove(orphans.flatMap(image => [image.path, image.thumbnail_path].filter(Boolean)));
+
+  const { error } = await db
+    .from('product_images')
+    .delete()
+    .in('id', orphans.map(image => image.id));
+
+  if (error) throw error;
+
+  logger.info('Imagens órfãs removidas', { count: orphans.length });
+  return orphans.length;
+}
+
+export async function deleteImage(image) {
+  return deleteUnreferenced([image]);
+}
+
+// Após alterar ou excluir um produto: remover as imagens que saíram das
+// cores e não são usadas em outro produto. Falhas só vão para o log.
+export async function releaseImages(oldColors, newColors) {
+  const kept = imageUrls(newColors);
+  const removed = [...imageUrls(oldColors)].filter(url => !kept.has(url));
+  if (removed.length === 0) return;
+
+  try {
+    const { data: images, error } = await db
+      .from('product_images')
+      .select('*')
+      .in('url', removed);
+
+    if (error) throw error;
+
+    await deleteUnreferenced(images || []);
+  } catch (error) {
+    logger.error('Erro ao remover imagens órfãs', { error });
+  }
+}
+
+// Remover uploads antigos que nunca foram associados a um produto
+export async function cleanupOrphanImages() {
+  const cutoff = new Date(Date.now() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data: images, error } = await db
+    .from('product_images')
+    .select('*')
+    .lt('created_at', cutoff);
+
+  if (error) throw error;
+
+  return deleteUnreferenced(images || []);
+}
@@ -0,0 +1,103 @@
+// Ciclo de vida dos produtos.
+//
+//   draft      rascunho, só no painel
+//   scheduled  publicado automaticamente em publishAt
+//   active     visível na loja (até unpublishAt, se houver)
+//   archived   retirado da loja
+//
+// A loja só vê produtos ativos. As datas valem no momento da leitura
+// (effectiveStatus), sem esperar o agendador: um produto agendado para as
+// 18:00 aparece às 18:00. GET /api/cron/publish-products grava a mudança no
+// banco e no histórico.
+export const PRODUCT_STATUSES = ['draft', 'scheduled', 'active', 'archived'];
+
+const TRANSITIONS = {
+  draft: ['scheduled', 'active', 'archived'],
+  scheduled: ['draft', 'active', 'archived'],
+  active: ['draft', 'archived'],
+  archived: ['draft', 'active']
+};
+
+// Status gravados antes dos estados definidos: vazio era ativo; outros
+// textos livres (ex.: inactive) ficam fora da loja
+export function normalizeStatus(status) {
+  if (!status) return 'active';
+  return PRODUCT_STATUSES.includes(status) ? status : 'archived';
+}
+
+// Data/hora em ISO; undefined = não informada, null = sem data
+export function normalizeDateTime(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function timeOf(value) {
+  return value ? Date.parse(value) : null;
+}
+
+// Status do produto (normalizado) no momento now, considerando as datas
+export function effectiveStatus(product, now = Date.now()) {
+  let status = normalizeStatus(product.status);
+  const publishAt = timeOf(product.publishAt);
+  const unpublishAt = timeOf(product.unpublishAt);
+
+  if (status === 'scheduled' && publishAt !== null && publishAt <= now) status = 'active';
+  if (status === 'active' && unpublishAt !== null && unpublishAt <= now) status = 'archived';
+  return status;
+}
+
+// Produtos com o status efetivo (não altera a lista recebida)
+export function withEffectiveStatus(products, now = Date.now()) {
+  return products.map(product => ({ ...product, status: effectiveStatus(product, now) }));
+}
+
+// Última data de publicação/retirada já ocorrida: a partir dela a lista da
+// loja mudou sem nenhuma gravação (entra na chave do cache e no
+// Last-Modified)
+export function lastScheduleChange(products, now = Date.now()) {
+  let last = 0;
+  for (const product of products) {
+    for (const moment of [product.publishAt, product.unpublishAt]) {
+      const time = timeOf(moment);
+      if (time !== null && time <= now && time > last) last = time;
+    }
+  }
+  return last;
+}
+
+// Erros de status e datas de um produto a gravar (normalizado). current:
+// o produto como está hoje (null se novo); path: caminho nas mensagens.
+export function lifecycleErrors(product, current, path, now = Date.now()) {
+  const errors = [];
+  const status = normalizeStatus(product.status);
+
+  // Status mantido (mesmo que as datas já o tenham mudado) não é transição
+  if (current && status !== normalizeStatus(current.status)) {
+    const from = effectiveStatus(current, now);
+    if (status !== from && !TRANSITIONS[from].includes(status)) {
+      errors.push({ field: `${path}.status`, message: `não é possível passar de "${from}" para "${status}"` });
+    }
+  }
+
+  // Datas não enviadas (undefined) mantêm as atuais
+  const publishAt = timeOf(product.publishAt !== undefined ? product.publishAt : current?.publishAt);
+  const unpublishAt = timeOf(product.unpublishAt !== undefined ? product.unpublishAt : current?.unpublishAt);
+
+  if (status === 'scheduled' && publishAt === null) {
+    errors.push({ field: `${path}.publishAt`, message: 'é obrigatório para produtos agendados' });
+  }
+
+  if (publishAt !== null && unpublishAt !== null && unpublishAt <= publishAt) {
+    errors.push({ field: `${path}.unpublishAt`, message: 'deve ser depois de publishAt' });
+  }
+
+  // Ativar agora com a retirada já vencida arquivaria o produto na hora
+  const changed = !current || status !== normalizeStatus(current.status) || product.unpublishAt !== undefined;
+  if (changed && status === 'active' && unpublishAt !== null && unpublishAt <= now) {
+    errors.push({ field: `${path}.unpublishAt`, message: 'já passou; remova ou altere a data para ativar o produto' });
+  }
+
+  return errors;
+}
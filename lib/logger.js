@@ -0,0 +1,57 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Logs estruturados: uma linha JSON por evento com data, nível, mensagem,
+// o id da requisição em andamento (quando houver) e campos extras, para
+// busca e filtros no painel de logs. Nível mínimo em LOG_LEVEL
+// (debug, info, warn, error; padrão info).
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+function threshold() {
+  return LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+}
+
+// Executar fn com o contexto da requisição ({ requestId }) visível nos logs
+export function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+export function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// Error, erro do Supabase ({ message, code, details, hint }) ou texto
+export function serializeError(error) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+  }
+  if (error && typeof error === 'object') {
+    return { message: error.message, code: error.code, details: error.details, hint: error.hint };
+  }
+  return { message: String(error) };
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold()) return;
+
+  const entry = { time: new Date().toISOString(), level, msg };
+  const requestId = getRequestId();
+  if (requestId) entry.requestId = requestId;
+
+  for (const [key, value] of Object.entries(fields)) {
+    entry[key] = key === 'error' ? serializeError(value) : value;
+  }
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+export default logger;
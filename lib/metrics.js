@@ -0,0 +1,112 @@
+// Métricas em memória no formato texto do Prometheus (GET /api/metrics).
+// Cada instância serverless tem os próprios contadores, desde o início da
+// instância; o Prometheus soma as séries ao consultar.
+const DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const startedAt = Date.now();
+const requests = new Map();   // method|route|status -> contagem
+const durations = new Map();  // method|route -> { buckets, sum, count }
+const cacheLookups = new Map(); // name|result -> contagem
+
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+// Requisição concluída (route: padrão da rota, ex.: /api/products/:id)
+export function recordRequest({ method, route, status, durationMs }) {
+  increment(requests, `${method}|${route}|${status}`);
+
+  const key = `${method}|${route}`;
+  let histogram = durations.get(key);
+  if (!histogram) {
+    histogram = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    durations.set(key, histogram);
+  }
+
+  const seconds = durationMs / 1000;
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (seconds <= bound) histogram.buckets[index]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+// Consulta ao cache (name: tipo do valor, ex.: products:query)
+export function recordCacheLookup(name, hit) {
+  increment(cacheLookups, `${name}|${hit ? 'hit' : 'miss'}`);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labels(pairs) {
+  return `{${Object.entries(pairs).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+export function renderMetrics() {
+  const lines = [];
+
+  lines.push('# HELP http_requests_total Requisições HTTP concluídas.');
+  lines.push('# TYPE http_requests_total counter');
+  for (const [key, count] of requests) {
+    const [method, route, status] = key.split('|');
+    lines.push(`http_requests_total${labels({ method, route, status })} ${count}`);
+  }
+
+  // Taxa de erro: requisições 5xx / total, por rota
+  lines.push('# HELP http_request_errors_total Requisições HTTP com resposta 5xx.');
+  lines.push('# TYPE http_request_errors_total counter');
+  const errors = new Map();
+  for (const [key, count] of requests) {
+    const [method, route, status] = key.split('|');
+    if (Number(status) >= 500) {
+      errors.set(`${method}|${route}`, (errors.get(`${method}|${route}`) || 0) + count);
+    }
+  }
+  for (const [key, count] of errors) {
+    const [method, route] = key.split('|');
+    lines.push(`http_request_errors_total${labels({ method, route })} ${count}`);
+  }
+
+  lines.push('# HELP http_request_duration_seconds Duração das requisições HTTP.');
+  lines.push('# TYPE http_request_duration_seconds histogram');
+  for (const [key, histogram] of durations) {
+    const [method, route] = key.split('|');
+    DURATION_BUCKETS.forEach((bound, index) => {
+      lines.push(`http_request_duration_seconds_bucket${labels({ method, route, le: bound })} ${histogram.buckets[index]}`);
+    });
+    lines.push(`http_request_duration_seconds_bucket${labels({ method, route, le: '+Inf' })} ${histogram.count}`);
+    lines.push(`http_request_duration_seconds_sum${labels({ method, route })} ${histogram.sum}`);
+    lines.push(`http_request_duration_seconds_count${labels({ method, route })} ${histogram.count}`);
+  }
+
+  lines.push('# HELP cache_lookups_total Consultas ao cache por resultado (hit ou miss).');
+  lines.push('# TYPE cache_lookups_total counter');
+  const totals = new Map();
+  for (const [key, count] of cacheLookups) {
+    const [name, result] = key.split('|');
+    lines.push(`cache_lookups_total${labels({ name, result })} ${count}`);
+
+    const total = totals.get(name) || { hits: 0, lookups: 0 };
+    total.lookups += count;
+    if (result === 'hit') total.hits += count;
+    totals.set(name, total);
+  }
+
+  lines.push('# HELP cache_hit_ratio Fração das consultas ao cache atendidas pelo cache.');
+  lines.push('# TYPE cache_hit_ratio gauge');
+  for (const [name, total] of totals) {
+    lines.push(`cache_hit_ratio${labels({ name })} ${total.hits / total.lookups}`);
+  }
+
+  lines.push('# HELP process_uptime_seconds Tempo desde o início da instância.');
+  lines.push('# TYPE process_uptime_seconds gauge');
+  lines.push(`process_uptime_seconds ${(Date.now() - startedAt) / 1000}`);
+
+  lines.push('# HELP nodejs_heap_used_bytes Memória heap em uso.');
+  lines.push('# TYPE nodejs_heap_used_bytes gauge');
+  lines.push(`nodejs_heap_used_bytes ${process.memoryUsage().heapUsed}`);
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,208 @@
+import db from './db/index.js';
+import productsRepository from './repositories/products.js';
+import logger from './logger.js';
+import { emitEvents } from './webhooks.js';
+
+// Livro de movimentações de estoque: cada alteração em colors[].sizes[].stock
+// gera uma linha com o delta, o motivo, o autor e o estoque resultante.
+export const MOVEMENT_REASONS = ['sale', 'return', 'adjustment', 'import', 'opening'];
+
+const PAGE_SIZE = 1000;
+
+function variantKey(productId, color, size) {
+  return `${productId}|${color}|${size}`;
+}
+
+function stockByVariant(colors) {
+  const variants = new Map();
+  for (const color of colors || []) {
+    for (const size of color.sizes || []) {
+      variants.set(`${color.name}|${size.name}`, {
+        color: color.name,
+        size: String(size.name),
+        stock: parseInt(size.stock) || 0
+      });
+    }
+  }
+  return variants;
+}
+
+// Diferenças de estoque entre duas versões das cores de um produto.
+// Variantes removidas contam como estoque zerado.
+export function diffStock(oldColors, newColors) {
+  const before = stockByVariant(oldColors);
+  const after = stockByVariant(newColors);
+  const changes = [];
+
+  for (const [key, variant] of after) {
+    const delta = variant.stock - (before.get(key)?.stock || 0);
+    if (delta !== 0) {
+      changes.push({ color: variant.color, size: variant.size, delta: delta, stockAfter: variant.stock });
+    }
+  }
+
+  for (const [key, variant] of before) {
+    if (!after.has(key) && variant.stock !== 0) {
+      changes.push({ color: variant.color, size: variant.size, delta: -variant.stock, stockAfter: 0 });
+    }
+  }
+
+  return changes;
+}
+
+// Gravar movimentações. Falhas são registradas no log mas não desfazem a
+// alteração de estoque, que já foi gravada.
+//
+// entries: [{ productId, color, size, delta, stockAfter }]
+// context: { reason, actor, reference }
+// emit: false quando quem chama junta os eventos de um lote (ver
+// stockChangedEvents) para enfileirá-los de uma vez
+export async function recordMovements(entries, context, { emit = true } = {}) {
+  if (entries.length === 0) return;
+
+  const rows = entries.map(entry => ({
+    product_id: entry.productId,
+    color: entry.color,
+    size: String(entry.size),
+    delta: entry.delta,
+    stock_after: entry.stockAfter,
+    reason: context.reason,
+    actor: context.actor || null,
+    reference: context.reference || null
+  }));
+
+  const { error } = await db
+    .from('stock_movements')
+    .insert(rows);
+
+  if (error) {
+    logger.error('Erro ao registrar movimentações de estoque', { error, movements: rows });
+  }
+
+  // Webhooks: um evento stock.changed por produto
+  if (emit) {
+    await emitEvents(stockChangedEvents(entries, context));
+  }
+}
+
+// Eventos stock.changed das movimentações, um por produto
+export function stockChangedEvents(entries, context) {
+  const byProduct = new Map();
+  for (const entry of entries) {
+    const key = String(entry.productId);
+    if (!byProduct.has(key)) byProduct.set(key, { productId: entry.productId, changes: [] });
+    byProduct.get(key).changes.push({ color: entry.color, size: String(entry.size), delta: entry.delta, stockAfter: entry.stockAfter });
+  }
+
+  return [...byProduct.values()].map(({ productId, changes }) => ({
+    type: 'stock.changed',
+    data: {
+      productId: productId,
+      reason: context.reason,
+      actor: context.actor || null,
+      reference: context.reference || null,
+      changes: changes
+    }
+  }));
+}
+
+// Registrar a diferença entre o estoque antigo e o novo de um produto.
+// Retorna as alterações registradas.
+export async function recordStockDiff(productId, oldColors, newColors, context, options) {
+  const entries = diffStock(oldColors, newColors).map(change => ({ productId, ...change }));
+  await recordMovements(entries, context, options);
+  return entries;
+}
+
+// Consultar movimentações com filtros (productId, from, to)
+export async function listMovements({ productId, from, to, limit = 100, offset = 0 } = {}) {
+  let query = db
+    .from('stock_movements')
+    .select('*', { count: 'exact' });
+
+  if (productId) query = query.eq('product_id', productId);
+  if (from) query = query.gte('created_at', from);
+  if (to) query = query.lte('created_at', to);
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+
+  return { movements: data || [], total: count ?? (data || []).length };
+}
+
+async function fetchAllMovements(productId) {
+  const movements = [];
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    let query = db
+      .from('stock_movements')
+      .select('product_id, color, size, delta');
+
+    if (productId) query = query.eq('product_id', productId);
+
+    const { data, error } = await query
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    movements.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return movements;
+}
+
+// Reconciliar: somar o livro por variante e comparar com o estoque atual
+export async function reconcileStock(productId = null) {
+  const products = productId
+    ? [await productsRepository.findById(productId, 'id, title, colors')].filter(Boolean)
+    : await productsRepository.findAll('id, title, colors');
+
+  const ledger = new Map();
+  for (const movement of await fetchAllMovements(productId)) {
+    const key = variantKey(movement.product_id, movement.color, movement.size);
+    ledger.set(key, (ledger.get(key) || 0) + movement.delta);
+  }
+
+  const variants = [];
+  for (const product of products) {
+    for (const variant of stockByVariant(product.colors).values()) {
+      const key = variantKey(product.id, variant.color, variant.size);
+      const ledgerStock = ledger.get(key) || 0;
+      ledger.delete(key);
+
+      variants.push({
+        productId: product.id,
+        title: product.title,
+        color: variant.color,
+        size: variant.size,
+        currentStock: variant.stock,
+        ledgerStock: ledgerStock,
+        difference: variant.stock - ledgerStock
+      });
+    }
+  }
+
+  // Movimentações de variantes (ou produtos) que não existem mais
+  for (const [key, ledgerStock] of ledger) {
+    if (ledgerStock === 0) continue;
+    const [id, color, size] = key.split('|');
+    const product = products.find(p => String(p.id) === id);
+    variants.push({
+      productId: Number(id),
+      title: product?.title || null,
+      color: color,
+      size: size,
+      currentStock: 0,
+      ledgerStock: ledgerStock,
+      difference: -ledgerStock
+    });
+  }
+
+  const discrepancies = variants.filter(variant => variant.difference !== 0);
+  return { checked: variants.length, discrepancies: discrepancies };
+}
@@ -0,0 +1,80 @@
+import logger from './logger.js';
+
+// Notificador plugável para alertas (ex.: estoque baixo).
+//
+// Drivers:
+//   webhook  POST JSON para NOTIFIER_WEBHOOK_URL
+//   log      apenas registra no log (padrão sem URL configurada)
+//   memory   guarda as notificações em memória (testes)
+//
+// Seleção por NOTIFIER_DRIVER; setNotifier() troca o driver em tempo de execução.
+const WEBHOOK_TIMEOUT = 3000;
+
+export function createWebhookNotifier(url) {
+  return {
+    name: 'webhook',
+    async notify(event) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(event),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook respondeu ${response.status}`);
+      }
+    }
+  };
+}
+
+export function createLogNotifier() {
+  return {
+    name: 'log',
+    async notify(event) {
+      logger.info('Notificação', { event });
+    }
+  };
+}
+
+export function createMemoryNotifier() {
+  const sent = [];
+  return {
+    name: 'memory',
+    sent: sent,
+    async notify(event) {
+      sent.push(event);
+    }
+  };
+}
+
+function createDefaultNotifier() {
+  const driver = process.env.NOTIFIER_DRIVER || (process.env.NOTIFIER_WEBHOOK_URL ? 'webhook' : 'log');
+
+  if (driver === 'webhook' && process.env.NOTIFIER_WEBHOOK_URL) {
+    return createWebhookNotifier(process.env.NOTIFIER_WEBHOOK_URL);
+  }
+  if (driver === 'memory') {
+    return createMemoryNotifier();
+  }
+  return createLogNotifier();
+}
+
+let notifier = createDefaultNotifier();
+
+export function getNotifier() {
+  return notifier;
+}
+
+export function setNotifier(newNotifier) {
+  notifier = newNotifier;
+}
+
+// Enviar notificação sem deixar uma falha do destino derrubar a requisição
+export async function notify(event) {
+  try {
+    await notifier.notify(event);
+  } catch (error) {
+    logger.error('Erro ao enviar notificação', { error, notifier: notifier.name });
+  }
+}
@@ -0,0 +1,212 @@
+import db from './db/index.js';
+import { applyStockChanges } from './stock.js';
+import { createReservation, confirmReservation, releaseReservation, getReservation } from './reservations.js';
+import { invalidateCache } from './cache/index.js';
+import { quoteCart } from './pricing.js';
+import { redeemCoupon, releaseCoupon, roundMoney } from './promotions.js';
+import { quoteShipping, normalizeCep } from './shipping.js';
+import logger from './logger.js';
+
+// Ciclo de vida do pedido: status atual -> status permitidos
+export const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Criar pedido pendente, reservando o estoque dos itens. Os itens guardam
+// o snapshot de título, cor, tamanho e preço (com promoção) do orçamento.
+// Com shipping { cep, optionId }, o frete é recalculado e somado ao total.
+// Retorna { order } ou { errors, status } (422 itens, cupom ou frete
+// inválidos, 409 sem estoque ou cupom esgotado).
+export async function createOrder({ customer, items: cartItems, notes, couponCode, shipping }) {
+  const quote = await quoteCart(cartItems, { couponCode });
+  if (quote.errors) {
+    return { status: 422, errors: quote.errors };
+  }
+
+  if (quote.coupon && quote.coupon.error) {
+    return { status: 422, error: "Cupom inválido", errors: [{ field: 'couponCode', error: quote.coupon.error }] };
+  }
+
+  let shippingOption = null;
+  const shippingCep = shipping ? normalizeCep(shipping.cep) : null;
+  if (shipping) {
+    const shippingQuote = await quoteShipping({ cep: shippingCep, items: cartItems, subtotal: quote.subtotal });
+    shippingOption = shippingQuote.options.find(option => option.id === shipping.optionId);
+
+    if (!shippingOption) {
+      return {
+        status: 422,
+        error: "Frete inválido",
+        errors: [{ field: 'shipping.optionId', error: "Opção de frete indisponível para este CEP e carrinho" }]
+      };
+    }
+  }
+
+  const shippingCost = shippingOption ? shippingOption.price : 0;
+  const total = roundMoney(quote.total + shippingCost);
+
+  const reservationResult = await createReservation(cartItems);
+  if (reservationResult.errors) {
+    return { status: 409, errors: reservationResult.errors };
+  }
+
+  const { reservation } = reservationResult;
+
+  if (quote.coupon && !(await redeemCoupon(quote.coupon.id))) {
+    await releaseReservation(reservation.id);
+    return { status: 409, error: "Cupom esgotado", errors: [{ field: 'couponCode', error: "Cupom esgotado" }] };
+  }
+
+  const now = new Date().toISOString();
+
+  const { data: order, error } = await db
+    .from('orders')
+    .insert({
+      status: 'pending',
+      customer_name: customer.name,
+      customer_email: customer.email.toLowerCase(),
+      customer_phone: customer.phone || null,
+      items: quote.items,
+      subtotal: quote.subtotal,
+      discount: quote.couponDiscount,
+      total: total,
+      coupon_code: quote.coupon ? quote.coupon.code : null,
+      shipping_cost: shippingCost,
+      shipping: shippingOption
+        ? {
+            cep: shippingCep,
+            optionId: shippingOption.id,
+            name: shippingOption.name,
+            type: shippingOption.type,
+            deliveryDays: shippingOption.deliveryDays
+          }
+        : null,
+      notes: notes || null,
+      reservation_id: reservation.id,
+      status_history: [{ status: 'pending', at: now, by: null }]
+    })
+    .select()
+    .single();
+
+  if (error) {
+    await releaseReservation(reservation.id);
+    if (quote.coupon) await releaseCoupon(quote.coupon.code);
+    throw error;
+  }
+
+  logger.info('Pedido criado', { orderId: order.id, items: quote.items.length, total, coupon: quote.coupon?.code || null });
+  return { order };
+}
+
+function toStockChanges(items, sign) {
+  return items.map(item => ({
+    productId: item.productId,
+    color: item.color,
+    size: item.size,
+    delta: sign * item.quantity
+  }));
+}
+
+// Garantir a baixa definitiva de estoque ao marcar como pago.
+// Se a reserva expirou, tenta reservar novamente.
+async function commitOrderStock(order, actor) {
+  if (order.reservation_id) {
+    const reservation = await confirmReservation(order.reservation_id);
+    if (reservation && reservation.status === 'confirmed') {
+      return { reservationId: order.reservation_id };
+    }
+  }
+
+  const result = await createReservation(order.items, actor);
+  if (result.errors) {
+    return { errors: result.errors };
+  }
+
+  await confirmReservation(result.reservation.id);
+  return { reservationId: result.reservation.id };
+}
+
+// Devolver ao estoque os itens de um pedido cancelado
+async function restockOrder(order, actor) {
+  if (order.reservation_id) {
+    // Reserva ainda ativa: liberar devolve o estoque
+    if (await releaseReservation(order.reservation_id, 'released', actor)) return;
+
+    // Reserva expirada ou liberada: o estoque já foi devolvido
+    const reservation = await getReservation(order.reservation_id);
+    if (reservation && reservation.status !== 'confirmed') return;
+  }
+
+  const result = await applyStockChanges(toStockChanges(order.items, 1), {
+    clamp: true,
+    movement: { reason: 'return', actor: actor, reference: `order:${order.id}` }
+  });
+  if (!result.success) {
+    logger.warn('Itens do pedido não devolvidos ao estoque', { orderId: order.id, errors: result.errors });
+  }
+  await invalidateCache('products');
+}
+
+// Alterar status respeitando o ciclo de vida.
+// Retorna { order } ou { status, error, errors }.
+export async function changeOrderStatus(orderId, newStatus, { actor, note } = {}) {
+  const { data: order, error: fetchError } = await db
+    .from('orders')
+    .select('*')
+    .eq('id', orderId)
+    .single();
+
+  if (fetchError || !order) {
+    return { status: 404, error: "Pedido não encontrado" };
+  }
+
+  const allowed = ORDER_TRANSITIONS[order.status] || [];
+  if (!allowed.includes(newStatus)) {
+    return { status: 409, error: `Transição inválida: ${order.status} → ${newStatus}` };
+  }
+
+  const update = {
+    status: newStatus,
+    updated_at: new Date().toISOString(),
+    status_history: [
+      ...(order.status_history || []),
+      { status: newStatus, at: new Date().toISOString(), by: actor || null, note: note || null }
+    ]
+  };
+
+  if (newStatus === 'paid') {
+    const committed = await commitOrderStock(order, actor);
+    if (committed.errors) {
+      return { status: 409, error: "Estoque insuficiente para confirmar o pagamento", errors: committed.errors };
+    }
+    update.reservation_id = committed.reservationId;
+  }
+
+  // Compare-and-swap no status evita processar a mesma transição duas vezes
+  const { data: updated, error } = await db
+    .from('orders')
+    .update(update)
+    .eq('id', orderId)
+    .eq('status', order.status)
+    .select();
+
+  if (error) throw error;
+
+  if (!updated || updated.length === 0) {
+    return { status: 409, error: "Pedido alterado por outra operação, tente novamente" };
+  }
+
+  if (newStatus === 'cancelled') {
+    await restockOrder(updated[0], actor);
+    if (updated[0].coupon_code) await releaseCoupon(updated[0].coupon_code);
+  }
+
+  logger.info('Status do pedido alterado', { orderId, from: order.status, to: newStatus, actor: actor || null });
+  return { order: updated[0] };
+}
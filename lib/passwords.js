@@ -0,0 +1,62 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Parâmetros do scrypt (N=2^15 ≈ 100ms por hash)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Formato armazenado: scrypt$N$r$p$salt$hash
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p, maxmem: 128 * N * r * 2 });
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const [algorithm, N, r, p, salt, hash] = stored.split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const params = { N: Number(N), r: Number(r), p: Number(p) };
+  const derived = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    ...params,
+    maxmem: 128 * params.N * params.r * 2
+  });
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+// Hash gerado com parâmetros antigos deve ser refeito no próximo login
+export function needsRehash(stored) {
+  const [algorithm, N, r, p] = stored.split('$');
+  return algorithm !== 'scrypt' ||
+    Number(N) !== SCRYPT_PARAMS.N ||
+    Number(r) !== SCRYPT_PARAMS.r ||
+    Number(p) !== SCRYPT_PARAMS.p;
+}
+
+// Formato legado (base64 invertido) usado antes do scrypt
+function legacyEncrypt(text) {
+  return Buffer.from(text).toString('base64').split('').reverse().join('');
+}
+
+// Comparar com as colunas legadas encrypted_password / password
+export function verifyLegacyPassword(password, credentials) {
+  if (typeof password !== 'string') return false;
+  if (credentials.encrypted_password && legacyEncrypt(password) === credentials.encrypted_password) return true;
+  if (credentials.password && password === credentials.password) return true;
+  return false;
+}
+
+export function validatePasswordStrength(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`;
+  }
+  return null;
+}
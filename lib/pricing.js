@@ -0,0 +1,94 @@
+import productsRepository from './repositories/products.js';
+import { findVariant } from './stock.js';
+import { normalizeVariant, variantPrice } from './variants.js';
+import { effectiveStatus } from './lifecycle.js';
+import {
+  getActivePromotions,
+  bestPromotion,
+  findCoupon,
+  couponError,
+  couponDiscount,
+  roundMoney
+} from './promotions.js';
+
+// Orçamento do carrinho: preço de cada linha com a promoção vigente e o
+// desconto do cupom sobre o subtotal. Usado em POST /api/cart/quote e na
+// criação de pedidos, para que o cliente pague o que foi orçado.
+//
+// Retorna { errors } (linhas inválidas) ou
+// { items, subtotal, promotionDiscount, coupon, couponDiscount, total }.
+// coupon: null, { id, code, discount } ou { code, error } se não vale.
+export async function quoteCart(cartItems, { couponCode = null } = {}) {
+  const productIds = [...new Set(cartItems.map(item => Number(item.productId)))];
+  const products = await productsRepository.findByIds(productIds, 'id, title, category, price, status, publish_at, unpublish_at, colors');
+  const productsById = new Map(products.map(product => [String(product.id), product]));
+  const promotions = await getActivePromotions();
+
+  const items = [];
+  const errors = [];
+
+  cartItems.forEach((item, index) => {
+    const ref = { line: index, productId: item.productId, color: item.color, size: item.size };
+    const product = productsById.get(String(item.productId));
+
+    if (!product || effectiveStatus({ status: product.status, publishAt: product.publish_at, unpublishAt: product.unpublish_at }) !== 'active') {
+      errors.push({ ...ref, error: "Produto indisponível" });
+      return;
+    }
+
+    const stored = findVariant(product.colors, item.color, item.size);
+    if (!stored) {
+      errors.push({ ...ref, error: "Variante não encontrada" });
+      return;
+    }
+
+    // Variantes com preço próprio (senão o do produto)
+    const variant = normalizeVariant(stored, product.id, item.color);
+    const price = roundMoney(variantPrice(product, variant));
+    const best = bestPromotion({ id: product.id, category: product.category, price: price }, promotions);
+    const unitPrice = best ? best.price : price;
+    const quantity = Number(item.quantity);
+
+    items.push({
+      productId: product.id,
+      title: product.title,
+      color: item.color,
+      size: String(item.size),
+      sku: variant.sku,
+      quantity: quantity,
+      originalUnitPrice: price,
+      unitPrice: unitPrice,
+      promotion: best ? { id: best.promotion.id, name: best.promotion.name } : null,
+      lineTotal: roundMoney(unitPrice * quantity)
+    });
+  });
+
+  if (errors.length > 0) return { errors };
+
+  const originalTotal = roundMoney(items.reduce((sum, item) => sum + item.originalUnitPrice * item.quantity, 0));
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+  let coupon = null;
+  let discount = 0;
+
+  if (couponCode) {
+    const row = await findCoupon(couponCode);
+    const error = couponError(row, subtotal);
+
+    if (error) {
+      coupon = { code: String(couponCode).toUpperCase(), error: error };
+    } else {
+      discount = couponDiscount(row, subtotal);
+      coupon = { id: row.id, code: row.code, discount: discount };
+    }
+  }
+
+  return {
+    items: items,
+    subtotal: subtotal,
+    promotionDiscount: roundMoney(originalTotal - subtotal),
+    coupon: coupon,
+    couponDiscount: discount,
+    total: roundMoney(subtotal - discount)
+  };
+}
@@ -0,0 +1,236 @@
+import db from './db/index.js';
+import { cached } from './cache/index.js';
+import logger from './logger.js';
+
+// Promoções (desconto no preço de produto, categoria ou loja, por período)
+// e cupons (desconto no total do pedido, com limite de usos e valor mínimo).
+// Promoções não se acumulam: vale a que der o menor preço.
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+export const PROMOTION_SCOPES = ['product', 'category', 'store'];
+
+export function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+export function applyDiscount(price, type, value) {
+  const discounted = type === 'percentage'
+    ? price * (1 - Number(value) / 100)
+    : price - Number(value);
+  return roundMoney(Math.max(0, discounted));
+}
+
+function isWithinPeriod(row, now) {
+  if (!row.active) return false;
+  if (row.starts_at && new Date(row.starts_at).getTime() > now) return false;
+  if (row.ends_at && new Date(row.ends_at).getTime() < now) return false;
+  return true;
+}
+
+// Linhas do banco <-> formato da API
+export function toPromotionResponse(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    value: Number(row.value),
+    scope: row.scope,
+    target: row.target,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    active: row.active
+  };
+}
+
+export function toPromotionRow(promotion) {
+  return {
+    name: promotion.name,
+    type: promotion.type,
+    value: Number(promotion.value),
+    scope: promotion.scope,
+    target: promotion.scope === 'store' ? null : String(promotion.target),
+    starts_at: promotion.startsAt || null,
+    ends_at: promotion.endsAt || null,
+    active: promotion.active !== false
+  };
+}
+
+export function toCouponResponse(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    type: row.type,
+    value: Number(row.value),
+    minOrderValue: Number(row.min_order_value) || 0,
+    maxUses: row.max_uses,
+    usedCount: row.used_count || 0,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    active: row.active
+  };
+}
+
+export function toCouponRow(coupon) {
+  return {
+    code: coupon.code.toUpperCase(),
+    type: coupon.type,
+    value: Number(coupon.value),
+    min_order_value: Number(coupon.minOrderValue) || 0,
+    max_uses: coupon.maxUses ? Number(coupon.maxUses) : null,
+    starts_at: coupon.startsAt || null,
+    ends_at: coupon.endsAt || null,
+    active: coupon.active !== false
+  };
+}
+
+async function loadActivePromotions() {
+  const { value } = await cached('promotions:active', ['promotions'], async () => {
+    const { data, error } = await db
+      .from('promotions')
+      .select('*')
+      .eq('active', true);
+
+    if (error) throw error;
+    return data || [];
+  });
+  return value;
+}
+
+// Promoções ativas (em cache; o período é conferido a cada chamada)
+export async function getActivePromotions(now = Date.now()) {
+  return (await loadActivePromotions()).filter(promotion => isWithinPeriod(promotion, now));
+}
+
+// Último início ou fim de promoção já ocorrido: a partir dele os preços da
+// loja mudaram sem nenhuma gravação (entra no Last-Modified do catálogo)
+export async function lastPromotionChange(now = Date.now()) {
+  let last = 0;
+  for (const promotion of await loadActivePromotions()) {
+    for (const moment of [promotion.starts_at, promotion.ends_at]) {
+      const time = moment ? new Date(moment).getTime() : 0;
+      if (time <= now && time > last) last = time;
+    }
+  }
+  return last;
+}
+
+function appliesTo(promotion, product) {
+  if (promotion.scope === 'store') return true;
+  if (promotion.scope === 'category') return promotion.target === product.category;
+  return String(promotion.target) === String(product.id);
+}
+
+// Melhor promoção para o produto: { promotion, price } ou null
+export function bestPromotion(product, promotions) {
+  let best = null;
+
+  for (const promotion of promotions) {
+    if (!appliesTo(promotion, product)) continue;
+
+    const price = applyDiscount(product.price, promotion.type, promotion.value);
+    if (price < product.price && (!best || price < best.price)) {
+      best = { promotion, price };
+    }
+  }
+
+  return best;
+}
+
+// Produtos normalizados com o preço promocional ao lado do original, no
+// produto e em cada variante (que pode ter preço próprio).
+// Não altera a lista recebida (que pode ser a do cache).
+export function applyPromotions(products, promotions) {
+  return products.map(product => {
+    const best = bestPromotion(product, promotions);
+    return {
+      ...product,
+      promotionalPrice: best ? best.price : null,
+      promotion: best
+        ? { id: best.promotion.id, name: best.promotion.name, endsAt: best.promotion.ends_at }
+        : null,
+      colors: product.colors.map(color => ({
+        ...color,
+        sizes: color.sizes.map(size => {
+          if (size.price === null || size.price === undefined) {
+            return { ...size, promotionalPrice: best ? best.price : null };
+          }
+          const variantBest = bestPromotion({ ...product, price: size.price }, promotions);
+          return { ...size, promotionalPrice: variantBest ? variantBest.price : null };
+        })
+      }))
+    };
+  });
+}
+
+export async function findCoupon(code) {
+  if (typeof code !== 'string' || !code.trim()) return null;
+
+  const { data, error } = await db
+    .from('coupons')
+    .select('*')
+    .eq('code', code.trim().toUpperCase());
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Motivo para o cupom não valer neste pedido, ou null se vale
+export function couponError(coupon, subtotal, now = Date.now()) {
+  if (!coupon || !isWithinPeriod(coupon, now)) return "Cupom inválido ou expirado";
+  if (coupon.max_uses && (coupon.used_count || 0) >= coupon.max_uses) return "Cupom esgotado";
+
+  const minimum = Number(coupon.min_order_value) || 0;
+  if (subtotal < minimum) return `Pedido mínimo de R$ ${minimum.toFixed(2).replace('.', ',')} para este cupom`;
+
+  return null;
+}
+
+export function couponDiscount(coupon, subtotal) {
+  return roundMoney(subtotal - applyDiscount(subtotal, coupon.type, coupon.value));
+}
+
+// Registrar um uso do cupom (compare-and-swap em used_count).
+// Retorna false se o limite foi atingido nesse meio tempo.
+export async function redeemCoupon(couponId) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const { data: coupons, error: fetchError } = await db
+      .from('coupons')
+      .select('id, used_count, max_uses')
+      .eq('id', couponId);
+
+    if (fetchError) throw fetchError;
+
+    const coupon = coupons && coupons[0];
+    if (!coupon) return false;
+
+    const used = coupon.used_count || 0;
+    if (coupon.max_uses && used >= coupon.max_uses) return false;
+
+    const { data: updated, error } = await db
+      .from('coupons')
+      .update({ used_count: used + 1 })
+      .eq('id', couponId)
+      .eq('used_count', used)
+      .select('id');
+
+    if (error) throw error;
+    if (updated && updated.length > 0) return true;
+  }
+
+  return false;
+}
+
+// Devolver o uso do cupom (pedido cancelado)
+export async function releaseCoupon(code) {
+  const coupon = await findCoupon(code);
+  if (!coupon || !coupon.used_count) return;
+
+  const { error } = await db
+    .from('coupons')
+    .update({ used_count: coupon.used_count - 1 })
+    .eq('id', coupon.id)
+    .eq('used_count', coupon.used_count);
+
+  if (error) {
+    logger.error('Erro ao devolver uso do cupom', { error, coupon: code });
+  }
+}
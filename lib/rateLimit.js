@@ -0,0 +1,112 @@
+import { getCache } from './cache/index.js';
+import logger from './logger.js';
+
+// Limite de requisições por janela fixa e bloqueio progressivo do login.
+//
+// Os contadores ficam no mesmo armazenamento do cache (CACHE_DRIVER): na
+// memória da instância por padrão, ou no Redis, compartilhados entre as
+// instâncias serverless. Se o armazenamento falhar, a requisição passa (um
+// limite indisponível não pode derrubar a loja).
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 60;
+const LOGIN_LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+
+// Falhas de login são esquecidas 24h após a primeira
+const LOGIN_FAILURE_WINDOW = 24 * 60 * 60;
+
+// Requisições por minuto por IP: login e rotas públicas de escrita
+// (reservas, pedidos, orçamentos de carrinho e frete)
+const LOGIN_PER_MINUTE = parseInt(process.env.RATE_LIMIT_LOGIN_PER_MINUTE) || 10;
+const PUBLIC_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PUBLIC_PER_MINUTE) || 60;
+
+function tooManyRequests(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter: retryAfter });
+}
+
+// Middleware: no máximo `limit` requisições por janela de windowSeconds
+// para cada chave (padrão: IP do cliente). name separa os contadores de
+// cada regra. Responde 429 com Retry-After quando excedido.
+export function rateLimit({ name, limit, windowSeconds = 60, key = req => req.ip }) {
+  return async (req, res, next) => {
+    const now = Date.now();
+    const window = Math.floor(now / (windowSeconds * 1000));
+    const resetAt = (window + 1) * windowSeconds * 1000;
+    const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+
+    let count;
+    try {
+      count = await getCache().incr(`rl:${name}:${key(req)}:${window}`, windowSeconds);
+    } catch (error) {
+      logger.warn('Limite de requisições indisponível, requisição liberada', { error, rule: name });
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - count)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (count > limit) {
+      logger.warn('Limite de requisições excedido', { rule: name, ip: req.ip, count });
+      return tooManyRequests(res, retryAfter, `Muitas requisições. Tente novamente em ${retryAfter}s`);
+    }
+
+    next();
+  };
+}
+
+export const loginRateLimit = rateLimit({ name: 'login', limit: LOGIN_PER_MINUTE });
+export const publicRateLimit = rateLimit({ name: 'public', limit: PUBLIC_PER_MINUTE });
+
+function loginKey(username) {
+  return String(username).trim().toLowerCase();
+}
+
+// Segundos restantes de bloqueio do usuário (0 = liberado)
+export async function loginLockRemaining(username) {
+  try {
+    const until = await getCache().get(`login:lock:${loginKey(username)}`);
+    return until ? Math.max(0, Math.ceil((until - Date.now()) / 1000)) : 0;
+  } catch (error) {
+    logger.warn('Bloqueio de login indisponível, ignorado', { error });
+    return 0;
+  }
+}
+
+// Registrar senha errada. A partir de LOGIN_MAX_FAILURES falhas o usuário
+// fica bloqueado, e cada nova falha dobra o bloqueio (até o máximo).
+// Retorna os segundos de bloqueio (0 = ainda não bloqueado).
+export async function recordLoginFailure(username) {
+  const key = loginKey(username);
+  try {
+    const failures = await getCache().incr(`login:failures:${key}`, LOGIN_FAILURE_WINDOW);
+    if (failures < LOGIN_MAX_FAILURES) return 0;
+
+    const seconds = Math.min(
+      LOGIN_LOCKOUT_MAX_SECONDS,
+      LOGIN_LOCKOUT_SECONDS * 2 ** (failures - LOGIN_MAX_FAILURES)
+    );
+    await getCache().set(`login:lock:${key}`, Date.now() + seconds * 1000, seconds);
+
+    logger.warn('Login bloqueado por excesso de tentativas', { username: key, failures, seconds });
+    return seconds;
+  } catch (error) {
+    logger.warn('Erro ao registrar falha de login', { error });
+    return 0;
+  }
+}
+
+// Login bem-sucedido: zerar as falhas
+export async function clearLoginFailures(username) {
+  const key = loginKey(username);
+  try {
+    await getCache().del([`login:failures:${key}`, `login:lock:${key}`]);
+  } catch (error) {
+    logger.warn('Erro ao zerar falhas de login', { error });
+  }
+}
+
+// Resposta para usuário bloqueado
+export function sendLoginLocked(res, seconds) {
+  return tooManyRequests(res, seconds, `Muitas tentativas de login. Tente novamente em ${seconds}s`);
+}
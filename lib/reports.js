@@ -0,0 +1,263 @@
+import db from './db/index.js';
+import productsRepository from './repositories/products.js';
+import categoriesRepository from './repositories/categories.js';
+import { normalizeVariant, variantPrice } from './variants.js';
+import { normalizeStatus } from './lifecycle.js';
+import { roundMoney } from './promotions.js';
+import { toCsv } from './csv.js';
+
+// Relatórios do painel: valor do estoque, estoque por categoria, variantes
+// zeradas, mais e menos vendidos e taxa de venda (sell-through).
+//
+// Vendas são os itens dos pedidos pagos, enviados ou entregues criados no
+// período; a receita é a soma das linhas (com promoções, sem cupom e frete).
+// Valores do estoque usam o preço de venda da variante (sem promoção).
+export const SOLD_ORDER_STATUSES = ['paid', 'shipped', 'delivered'];
+
+const PAGE_SIZE = 1000;
+
+// Colunas de cada relatório: campos das linhas no JSON (camelCase, como o
+// restante da API); no CSV, os cabeçalhos vão em snake_case
+export const REPORT_COLUMNS = {
+  'inventory-value': ['productId', 'title', 'category', 'status', 'units', 'value'],
+  'stock-by-category': ['category', 'name', 'products', 'variants', 'units', 'value'],
+  'out-of-stock': ['productId', 'title', 'category', 'status', 'sku', 'color', 'size', 'price'],
+  sellers: ['productId', 'title', 'category', 'status', 'unitsSold', 'orders', 'revenue'],
+  'sell-through': ['productId', 'title', 'category', 'status', 'unitsSold', 'stock', 'sellThrough']
+};
+
+function snakeCase(field) {
+  return field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+// Planilha do relatório `name` com as linhas
+export function reportToCsv(name, rows) {
+  const columns = REPORT_COLUMNS[name];
+  const headers = columns.map(snakeCase);
+  return toCsv(rows.map(row => Object.fromEntries(columns.map((column, index) => [headers[index], row[column]]))), headers);
+}
+
+// Produtos com as variantes no formato da API
+async function loadProducts() {
+  const products = await productsRepository.findAll('id, title, category, price, status, colors');
+
+  return products.map(product => ({
+    id: product.id,
+    title: product.title,
+    category: product.category,
+    price: parseFloat(product.price) || 0,
+    status: normalizeStatus(product.status),
+    variants: (product.colors || []).flatMap(color => (color.sizes || []).map(size => ({
+      color: color.name,
+      ...normalizeVariant(size, product.id, color.name)
+    })))
+  }));
+}
+
+function productColumns(product) {
+  return { productId: product.id, title: product.title, category: product.category, status: product.status };
+}
+
+function stockValue(product) {
+  return product.variants.reduce((total, variant) => total + variant.stock * variantPrice(product, variant), 0);
+}
+
+function stockUnits(product) {
+  return product.variants.reduce((total, variant) => total + variant.stock, 0);
+}
+
+// Valor total do estoque (preço × estoque de cada variante), por produto
+export async function inventoryValueReport() {
+  const rows = (await loadProducts()).map(product => ({
+    ...productColumns(product),
+    units: stockUnits(product),
+    value: roundMoney(stockValue(product))
+  }));
+
+  rows.sort((a, b) => b.value - a.value);
+
+  return {
+    summary: {
+      products: rows.length,
+      units: rows.reduce((total, row) => total + row.units, 0),
+      value: roundMoney(rows.reduce((total, row) => total + row.value, 0))
+    },
+    rows: rows
+  };
+}
+
+// Estoque e valor por categoria (produtos de categorias excluídas aparecem
+// com o id que têm gravado)
+export async function stockByCategoryReport() {
+  const [products, categories] = await Promise.all([loadProducts(), categoriesRepository.findAll()]);
+  const byCategory = new Map(categories.map(category => [category.id, {
+    category: category.id,
+    name: category.name,
+    products: 0,
+    variants: 0,
+    units: 0,
+    value: 0
+  }]));
+
+  for (const product of products) {
+    if (!byCategory.has(product.category)) {
+      byCategory.set(product.category, {
+        category: product.category,
+        name: null,
+        products: 0,
+        variants: 0,
+        units: 0,
+        value: 0
+      });
+    }
+    const row = byCategory.get(product.category);
+    row.products += 1;
+    row.variants += product.variants.length;
+    row.units += stockUnits(product);
+    row.value += stockValue(product);
+  }
+
+  const rows = [...byCategory.values()]
+    .map(row => ({ ...row, value: roundMoney(row.value) }))
+    .sort((a, b) => b.value - a.value);
+
+  return {
+    summary: {
+      categories: rows.length,
+      units: rows.reduce((total, row) => total + row.units, 0),
+      value: roundMoney(rows.reduce((total, row) => total + row.value, 0))
+    },
+    rows: rows
+  };
+}
+
+// Variantes com estoque zerado
+export async function outOfStockReport() {
+  const rows = (await loadProducts()).flatMap(product => product.variants
+    .filter(variant => variant.stock <= 0)
+    .map(variant => ({
+      ...productColumns(product),
+      sku: variant.sku,
+      color: variant.color,
+      size: variant.name,
+      price: variantPrice(product, variant)
+    })));
+
+  return {
+    summary: { variants: rows.length, products: new Set(rows.map(row => String(row.productId))).size },
+    rows: rows
+  };
+}
+
+// Itens vendidos no período, somados por produto: Map id -> { units, orders, revenue }
+async function salesByProduct(from, to) {
+  const sales = new Map();
+
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await db
+      .from('orders')
+      .select('id, items')
+      .in('status', SOLD_ORDER_STATUSES)
+      .gte('created_at', from)
+      .lte('created_at', to)
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    for (const order of data || []) {
+      const counted = new Set();
+      for (const item of order.items || []) {
+        const key = String(item.productId);
+        if (!sales.has(key)) sales.set(key, { units: 0, orders: 0, revenue: 0 });
+
+        const sale = sales.get(key);
+        sale.units += parseInt(item.quantity) || 0;
+        sale.revenue += Number(item.lineTotal) || 0;
+        if (!counted.has(key)) {
+          sale.orders += 1;
+          counted.add(key);
+        }
+      }
+    }
+
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return sales;
+}
+
+function salesRows(products, sales) {
+  return products.map(product => {
+    const sale = sales.get(String(product.id)) || { units: 0, orders: 0, revenue: 0 };
+    return {
+      ...productColumns(product),
+      unitsSold: sale.units,
+      orders: sale.orders,
+      revenue: roundMoney(sale.revenue)
+    };
+  });
+}
+
+// Mais vendidos (order 'best') ou menos vendidos ('worst') no período, por
+// unidades e depois receita. Os menos vendidos incluem produtos sem vendas
+// (só os ativos: rascunhos e arquivados não estavam à venda).
+export async function sellersReport({ from, to, order = 'best', limit = 20 }) {
+  const [products, sales] = await Promise.all([loadProducts(), salesByProduct(from, to)]);
+
+  const candidates = order === 'best'
+    ? salesRows(products, sales).filter(row => row.unitsSold > 0)
+    : salesRows(products.filter(product => product.status === 'active'), sales);
+
+  const direction = order === 'best' ? -1 : 1;
+  const rows = candidates
+    .sort((a, b) => direction * (a.unitsSold - b.unitsSold) || direction * (a.revenue - b.revenue))
+    .slice(0, limit);
+
+  return {
+    summary: {
+      from: from,
+      to: to,
+      order: order,
+      unitsSold: [...sales.values()].reduce((total, sale) => total + sale.units, 0),
+      revenue: roundMoney([...sales.values()].reduce((total, sale) => total + sale.revenue, 0))
+    },
+    rows: rows
+  };
+}
+
+// Taxa de venda no período: vendidas / (vendidas + estoque atual), ou seja,
+// a fração do estoque disponível no período que foi vendida (entradas de
+// estoque durante o período contam como se já estivessem lá no início).
+// null para produtos sem vendas nem estoque.
+export async function sellThroughReport({ from, to }) {
+  const [products, sales] = await Promise.all([loadProducts(), salesByProduct(from, to)]);
+
+  const rows = products.map(product => {
+    const unitsSold = sales.get(String(product.id))?.units || 0;
+    const stock = stockUnits(product);
+    const available = unitsSold + stock;
+    return {
+      ...productColumns(product),
+      unitsSold: unitsSold,
+      stock: stock,
+      sellThrough: available > 0 ? Math.round((unitsSold / available) * 10000) / 10000 : null
+    };
+  });
+
+  rows.sort((a, b) => (b.sellThrough ?? -1) - (a.sellThrough ?? -1));
+
+  const totalSold = rows.reduce((total, row) => total + row.unitsSold, 0);
+  const totalStock = rows.reduce((total, row) => total + row.stock, 0);
+
+  return {
+    summary: {
+      from: from,
+      to: to,
+      unitsSold: totalSold,
+      stock: totalStock,
+      sellThrough: totalSold + totalStock > 0 ? Math.round((totalSold / (totalSold + totalStock)) * 10000) / 10000 : null
+    },
+    rows: rows
+  };
+}
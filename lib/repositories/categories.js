@@ -0,0 +1,96 @@
+import db from '../db/index.js';
+
+// Acesso à tabela categories
+const categoriesRepository = {
+  // Em ordem de exibição
+  async findAll() {
+    const { data, error } = await db
+      .from('categories')
+      .select('*')
+      .order('position')
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async findById(id) {
+    const { data, error } = await db
+      .from('categories')
+      .select('*')
+      .eq('id', id);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  async findIds() {
+    const { data, error } = await db
+      .from('categories')
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).map(category => category.id);
+  },
+
+  async upsertMany(rows) {
+    const { error } = await db
+      .from('categories')
+      .upsert(rows, {
+        onConflict: 'id',
+        ignoreDuplicates: false
+      });
+
+    if (error) throw error;
+  },
+
+  async update(id, fields) {
+    const { data, error } = await db
+      .from('categories')
+      .update(fields)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  // Passar as subcategorias de uma categoria para outra mãe (null = raiz)
+  async reparent(fromParentId, toParentId) {
+    const { error } = await db
+      .from('categories')
+      .update({ parent_id: toParentId })
+      .eq('parent_id', fromParentId);
+
+    if (error) throw error;
+  },
+
+  async deleteById(id) {
+    const { error } = await db
+      .from('categories')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Excluir as categorias fora da lista de ids e devolver os ids excluídos.
+  // A diferença é calculada aqui e enviada com .in(), que escapa os valores
+  // (ids com aspas ou vírgulas não quebram o filtro).
+  async deleteExcept(ids) {
+    const keep = new Set(ids.map(String));
+    const removed = (await this.findIds()).filter(id => !keep.has(String(id)));
+
+    if (removed.length === 0) return [];
+
+    const { error } = await db
+      .from('categories')
+      .delete()
+      .in('id', removed);
+
+    if (error) throw error;
+    return removed;
+  }
+};
+
+export default categoriesRepository;
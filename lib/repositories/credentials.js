@@ -0,0 +1,61 @@
+import db from '../db/index.js';
+
+// Acesso à tabela admin_credentials
+export const PUBLIC_COLUMNS = 'id, username, role, disabled, created_at';
+
+const credentialsRepository = {
+  async list() {
+    const { data, error } = await db
+      .from('admin_credentials')
+      .select(PUBLIC_COLUMNS)
+      .order('username');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async findByUsername(username) {
+    const { data, error } = await db
+      .from('admin_credentials')
+      .select('*')
+      .eq('username', username);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  async findById(id) {
+    const { data, error } = await db
+      .from('admin_credentials')
+      .select('*')
+      .eq('id', id);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  async create(fields) {
+    const { data, error } = await db
+      .from('admin_credentials')
+      .insert(fields)
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Atualizar e devolver a conta (colunas públicas) ou null se não existe
+  async update(id, fields) {
+    const { data, error } = await db
+      .from('admin_credentials')
+      .update(fields)
+      .eq('id', id)
+      .select(PUBLIC_COLUMNS);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  }
+};
+
+export default credentialsRepository;
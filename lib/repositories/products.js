@@ -0,0 +1,129 @@
+import db from '../db/index.js';
+
+// Lista para filtros in do PostgREST: cada valor entre aspas duplas, com
+// aspas e barras escapadas (vírgulas e parênteses não quebram o filtro)
+function filterList(values) {
+  return `(${values.map(value => `"${String(value).replace(/[\\"]/g, '\\$&')}"`).join(',')})`;
+}
+
+// Acesso à tabela products. Os métodos lançam o erro do banco em caso de
+// falha e devolvem linhas cruas (normalização fica com a API).
+const productsRepository = {
+  async findAll(columns = '*') {
+    const { data, error } = await db
+      .from('products')
+      .select(columns)
+      .order('id');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async findById(id, columns = '*') {
+    const { data, error } = await db
+      .from('products')
+      .select(columns)
+      .eq('id', id);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  async findByIds(ids, columns = '*') {
+    if (ids.length === 0) return [];
+
+    const { data, error } = await db
+      .from('products')
+      .select(columns)
+      .in('id', ids);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async findByCategory(categoryId, columns = '*') {
+    const { data, error } = await db
+      .from('products')
+      .select(columns)
+      .eq('category', categoryId);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async insert(row) {
+    const { data, error } = await db
+      .from('products')
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Inserir/atualizar por id em um único comando (tudo ou nada)
+  async upsertMany(rows) {
+    if (rows.length === 0) return [];
+
+    const { data, error } = await db
+      .from('products')
+      .upsert(rows, {
+        onConflict: 'id',
+        defaultToNull: false
+      })
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Atualizar campos; com expectedVersion, só grava se a versão não mudou
+  // (compare-and-swap). Retorna a linha atualizada ou null.
+  async update(id, fields, { expectedVersion = null } = {}) {
+    let query = db
+      .from('products')
+      .update(fields)
+      .eq('id', id);
+
+    if (expectedVersion !== null) {
+      query = query.eq('version', expectedVersion);
+    }
+
+    const { data, error } = await query.select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  // Excluir e devolver a linha excluída (null se não existia)
+  async deleteById(id) {
+    const { data, error } = await db
+      .from('products')
+      .delete()
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  },
+
+  // Excluir todos os produtos fora da lista de ids e devolver os excluídos
+  async deleteExcept(ids) {
+    let query = db
+      .from('products')
+      .delete();
+
+    query = ids.length > 0
+      ? query.not('id', 'in', filterList(ids))
+      : query.neq('id', 0);
+
+    const { data, error } = await query.select();
+
+    // PGRST116: nenhuma linha excluída
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || [];
+  }
+};
+
+export default productsRepository;
@@ -0,0 +1,178 @@
+import crypto from 'node:crypto';
+import db from './db/index.js';
+import { applyStockChanges } from './stock.js';
+import { invalidateCache } from './cache/index.js';
+import logger from './logger.js';
+
+// Reservas de estoque: o estoque é baixado na reserva e devolvido se o
+// pagamento não for confirmado antes de expires_at.
+const RESERVATION_TTL = (parseInt(process.env.RESERVATION_TTL_MINUTES) || 15) * 60 * 1000;
+
+// A loja recebe um token ao reservar e o apresenta para consultar ou
+// cancelar a reserva; o banco guarda só o hash.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function toStockChanges(items, sign) {
+  return items.map(item => ({
+    productId: item.productId,
+    color: item.color,
+    size: item.size,
+    delta: sign * item.quantity
+  }));
+}
+
+// Reservar todas as linhas do carrinho ou nenhuma.
+// Retorna { reservation, token } ou { errors } com as linhas sem estoque.
+export async function createReservation(items, actor = null) {
+  const id = crypto.randomUUID();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const normalizedItems = items.map(item => ({
+    productId: Number(item.productId),
+    color: item.color,
+    size: String(item.size),
+    quantity: Number(item.quantity)
+  }));
+
+  const result = await applyStockChanges(toStockChanges(normalizedItems, -1), {
+    clamp: false,
+    movement: { reason: 'sale', actor: actor, reference: `reservation:${id}` }
+  });
+  if (!result.success) {
+    return { errors: result.errors };
+  }
+
+  await invalidateCache('products');
+
+  const { data: reservation, error } = await db
+    .from('stock_reservations')
+    .insert({
+      id: id,
+      items: normalizedItems,
+      status: 'active',
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + RESERVATION_TTL).toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // Sem registro da reserva o estoque não seria devolvido: desfazer
+    await applyStockChanges(toStockChanges(normalizedItems, 1), {
+      clamp: true,
+      movement: { reason: 'adjustment', actor: actor, reference: `rollback:reservation:${id}` }
+    });
+    await invalidateCache('products');
+    throw error;
+  }
+
+  logger.info('Reserva criada', { reservationId: reservation.id, items: normalizedItems.length });
+  return { reservation: reservation, token: token };
+}
+
+// Mudar o status de uma reserva (compare-and-swap no status, por padrão
+// a partir de active). Retorna a reserva atualizada, ou null se ela não
+// estava mais no status esperado.
+async function transitionReservation(id, status, from = 'active') {
+  const { data, error } = await db
+    .from('stock_reservations')
+    .update({ status: status, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', from)
+    .select();
+
+  if (error) throw error;
+
+  return data && data.length > 0 ? data[0] : null;
+}
+
+export async function getReservation(id) {
+  const { data: reservation, error } = await db
+    .from('stock_reservations')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error || !reservation) return null;
+  return reservation;
+}
+
+// O token apresentado é o que foi entregue ao criar a reserva?
+export function ownsReservation(reservation, token) {
+  if (!reservation.token_hash || typeof token !== 'string' || !token) return false;
+
+  const expected = Buffer.from(reservation.token_hash);
+  const received = Buffer.from(hashToken(token));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Pagamento confirmado: a baixa de estoque passa a ser definitiva
+export async function confirmReservation(id) {
+  const reservation = await getReservation(id);
+  if (!reservation) return null;
+
+  if (reservation.status === 'active' && new Date(reservation.expires_at).getTime() <= Date.now()) {
+    await releaseReservation(id, 'expired');
+    return { ...reservation, status: 'expired' };
+  }
+
+  return await transitionReservation(id, 'confirmed') || reservation;
+}
+
+// Devolver o estoque de uma reserva ativa (cancelada ou expirada). O status
+// muda antes (só uma chamada devolve o estoque); se a devolução falhar, a
+// reserva volta a ficar ativa para o cron tentar de novo.
+export async function releaseReservation(id, status = 'released', actor = null) {
+  const reservation = await transitionReservation(id, status);
+  if (!reservation) return null;
+
+  const movement = { reason: 'return', actor: actor, reference: `reservation:${id}` };
+  const changes = toStockChanges(reservation.items, 1);
+
+  try {
+    const result = await applyStockChanges(changes, { clamp: true, movement });
+
+    // Produto ou variante excluídos desde a reserva: devolver o restante
+    if (!result.success) {
+      logger.warn('Estoque da reserva sem variante para devolver', { reservationId: id, errors: result.errors });
+      const failed = new Set(result.errors.map(error => error.line));
+      const remaining = changes.filter((change, index) => !failed.has(index));
+      if (remaining.length > 0) {
+        await applyStockChanges(remaining, { clamp: true, movement });
+      }
+    }
+  } catch (error) {
+    await transitionReservation(id, 'active', status);
+    throw error;
+  }
+  await invalidateCache('products');
+
+  logger.info(status === 'expired' ? 'Reserva expirada' : 'Reserva liberada', { reservationId: id });
+  return reservation;
+}
+
+// Liberar reservas vencidas (chamado pelo cron e antes de novas reservas)
+export async function releaseExpiredReservations() {
+  const { data: expired, error } = await db
+    .from('stock_reservations')
+    .select('id')
+    .eq('status', 'active')
+    .lte('expires_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  let released = 0;
+  for (const reservation of expired || []) {
+    try {
+      if (await releaseReservation(reservation.id, 'expired')) {
+        released++;
+      }
+    } catch (error) {
+      // Continua ativa: a próxima execução tenta de novo
+      logger.error('Erro ao liberar reserva expirada', { error, reservationId: reservation.id });
+    }
+  }
+
+  return released;
+}
@@ -0,0 +1,172 @@
+import express from "express";
+import credentialsRepository from "../repositories/credentials.js";
+import { requireAuth, hasPermission, revokeAdminSessions, ROLES, DEFAULT_ROLE } from "../auth.js";
+import { hashPassword, verifyPassword, verifyLegacyPassword, validatePasswordStrength } from "../passwords.js";
+import logger from "../logger.js";
+
+const router = express.Router();
+
+// Listar administradores
+router.get("/api/admins", requireAuth('admins:manage'), async (req, res) => {
+  try {
+    const admins = await credentialsRepository.list();
+
+    res.json({ admins: admins });
+  } catch (error) {
+    logger.error("Erro ao listar administradores", { error });
+    res.status(500).json({ error: "Erro ao listar administradores: " + error.message });
+  }
+});
+
+// Criar administrador
+router.post("/api/admins", requireAuth('admins:manage'), async (req, res) => {
+  try {
+    const user = req.user;
+    const { username, password, role = DEFAULT_ROLE } = req.body;
+
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({ error: "Nome de usuário inválido" });
+    }
+
+    if (!ROLES[role]) {
+      return res.status(400).json({ error: "Papel inválido" });
+    }
+
+    const passwordError = validatePasswordStrength(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    if (await credentialsRepository.findByUsername(username)) {
+      return res.status(409).json({ error: "Nome de usuário já existe" });
+    }
+
+    const admin = await credentialsRepository.create({
+      username: username,
+      password_hash: await hashPassword(password),
+      role: role,
+      disabled: false
+    });
+
+    logger.info('Administrador criado', { username, role, actor: user.username });
+    res.status(201).json({ success: true, admin: admin });
+  } catch (error) {
+    logger.error("Erro ao criar administrador", { error });
+    res.status(500).json({ error: "Erro ao criar administrador: " + error.message });
+  }
+});
+
+// Alterar senha (a própria exige a senha atual)
+router.put("/api/admins/:id/password", requireAuth(), async (req, res) => {
+  try {
+    const user = req.user;
+    const adminId = req.params.id;
+    const { currentPassword, newPassword } = req.body;
+    const isSelf = String(adminId) === String(user.id);
+
+    if (!isSelf && !hasPermission(user, 'admins:manage')) {
+      return res.status(403).json({ error: "Permissão insuficiente" });
+    }
+
+    const passwordError = validatePasswordStrength(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const admin = await credentialsRepository.findById(adminId);
+
+    if (!admin) {
+      return res.status(404).json({ error: "Administrador não encontrado" });
+    }
+
+    if (isSelf) {
+      const valid = admin.password_hash
+        ? await verifyPassword(currentPassword, admin.password_hash)
+        : verifyLegacyPassword(currentPassword, admin);
+
+      if (!valid) {
+        return res.status(401).json({ error: "Senha atual incorreta" });
+      }
+    }
+
+    await credentialsRepository.update(adminId, {
+      password_hash: await hashPassword(newPassword),
+      encrypted_password: null,
+      password: null
+    });
+
+    // Encerrar as outras sessões do administrador
+    await revokeAdminSessions(adminId, isSelf ? user.sessionId : null);
+
+    logger.info('Senha de administrador alterada', { username: admin.username, actor: user.username });
+    res.json({ success: true, message: "Senha alterada com sucesso" });
+  } catch (error) {
+    logger.error("Erro ao alterar senha", { error });
+    res.status(500).json({ error: "Erro ao alterar senha: " + error.message });
+  }
+});
+
+// Ativar/desativar administrador
+async function setAdminDisabled(req, res, disabled) {
+  try {
+    const user = req.user;
+    const adminId = req.params.id;
+
+    if (disabled && String(adminId) === String(user.id)) {
+      return res.status(400).json({ error: "Não é possível desativar a própria conta" });
+    }
+
+    const admin = await credentialsRepository.update(adminId, { disabled: disabled });
+
+    if (!admin) {
+      return res.status(404).json({ error: "Administrador não encontrado" });
+    }
+
+    if (disabled) {
+      await revokeAdminSessions(adminId);
+    }
+
+    logger.info(disabled ? 'Administrador desativado' : 'Administrador reativado', { username: admin.username, actor: user.username });
+    res.json({ success: true, admin: admin });
+  } catch (error) {
+    logger.error("Erro ao atualizar administrador", { error });
+    res.status(500).json({ error: "Erro ao atualizar administrador: " + error.message });
+  }
+}
+
+router.post("/api/admins/:id/disable", requireAuth('admins:manage'), (req, res) => setAdminDisabled(req, res, true));
+router.post("/api/admins/:id/enable", requireAuth('admins:manage'), (req, res) => setAdminDisabled(req, res, false));
+
+// Alterar papel do administrador
+router.put("/api/admins/:id/role", requireAuth('admins:manage'), async (req, res) => {
+  try {
+    const user = req.user;
+    const adminId = req.params.id;
+    const { role } = req.body;
+
+    if (!ROLES[role]) {
+      return res.status(400).json({ error: "Papel inválido" });
+    }
+
+    if (String(adminId) === String(user.id)) {
+      return res.status(400).json({ error: "Não é possível alterar o próprio papel" });
+    }
+
+    const admin = await credentialsRepository.update(adminId, { role: role });
+
+    if (!admin) {
+      return res.status(404).json({ error: "Administrador não encontrado" });
+    }
+
+    // O papel vai no token: forçar novo login
+    await revokeAdminSessions(adminId);
+
+    logger.info('Papel de administrador alterado', { username: admin.username, role, actor: user.username });
+    res.json({ success: true, admin: admin });
+  } catch (error) {
+    logger.error("Erro ao alterar papel", { error });
+    res.status(500).json({ error: "Erro ao alterar papel: " + error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,148 @@
+import express from "express";
+import { validate, sendValidationError } from "../validation.js";
+import { cartSchema } from "../schemas.js";
+import {
+  createReservation,
+  getReservation,
+  confirmReservation,
+  releaseReservation,
+  releaseExpiredReservations,
+  ownsReservation
+} from "../reservations.js";
+import { requireAuth, requireCron } from "../auth.js";
+import logger from "../logger.js";
+import { publicRateLimit } from "../rateLimit.js";
+
+const router = express.Router();
+
+function toReservationResponse(reservation) {
+  return {
+    id: reservation.id,
+    status: reservation.status,
+    items: reservation.items,
+    expiresAt: reservation.expires_at
+  };
+}
+
+// Reserva de quem a criou: o token entregue na reserva vai no header
+// X-Reservation-Token. Sem ele (ou com outro), a reserva "não existe".
+async function findOwnReservation(req) {
+  const reservation = await getReservation(req.params.id);
+  if (!reservation || !ownsReservation(reservation, req.get('X-Reservation-Token'))) {
+    return null;
+  }
+  return reservation;
+}
+
+// Reservar estoque do carrinho (tudo ou nada). O token da resposta é o
+// que permite consultar e cancelar a reserva depois.
+router.post("/api/checkout/reserve", publicRateLimit, async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    const errors = validate(items, cartSchema, {}, 'items');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    // Devolver ao estoque as reservas vencidas antes de reservar
+    try {
+      await releaseExpiredReservations();
+    } catch (error) {
+      logger.error("Erro ao liberar reservas expiradas", { error });
+    }
+
+    const result = await createReservation(items);
+
+    if (result.errors) {
+      return res.status(409).json({ 
+        error: "Estoque insuficiente para um ou mais itens",
+        errors: result.errors 
+      });
+    }
+
+    res.status(201).json({ 
+      success: true, 
+      reservation: toReservationResponse(result.reservation),
+      token: result.token
+    });
+  } catch (error) {
+    logger.error("Erro ao reservar estoque", { error });
+    res.status(500).json({ error: "Erro ao reservar estoque: " + error.message });
+  }
+});
+
+// Consultar reserva
+router.get("/api/checkout/reservations/:id", async (req, res) => {
+  try {
+    const reservation = await findOwnReservation(req);
+
+    if (!reservation) {
+      return res.status(404).json({ error: "Reserva não encontrada" });
+    }
+
+    res.json({ reservation: toReservationResponse(reservation) });
+  } catch (error) {
+    logger.error("Erro ao buscar reserva", { error });
+    res.status(500).json({ error: "Erro ao buscar reserva: " + error.message });
+  }
+});
+
+// Confirmar reserva após o pagamento (painel ou integração de pagamento
+// com sessão de administrador): a baixa passa a ser definitiva
+router.post("/api/checkout/reservations/:id/confirm", requireAuth('orders:write'), async (req, res) => {
+  try {
+    const reservation = await confirmReservation(req.params.id);
+
+    if (!reservation) {
+      return res.status(404).json({ error: "Reserva não encontrada" });
+    }
+
+    if (reservation.status !== 'confirmed') {
+      return res.status(409).json({ 
+        error: `Reserva não pode ser confirmada (status: ${reservation.status})`,
+        reservation: toReservationResponse(reservation)
+      });
+    }
+
+    logger.info('Reserva confirmada', { reservationId: reservation.id, actor: req.user.username });
+    res.json({ success: true, reservation: toReservationResponse(reservation) });
+  } catch (error) {
+    logger.error("Erro ao confirmar reserva", { error });
+    res.status(500).json({ error: "Erro ao confirmar reserva: " + error.message });
+  }
+});
+
+// Cancelar reserva e devolver o estoque
+router.delete("/api/checkout/reservations/:id", publicRateLimit, async (req, res) => {
+  try {
+    if (!(await findOwnReservation(req))) {
+      return res.status(404).json({ error: "Reserva não encontrada" });
+    }
+
+    const reservation = await releaseReservation(req.params.id);
+
+    if (!reservation) {
+      return res.status(409).json({ error: "Reserva não está ativa" });
+    }
+
+    res.json({ success: true, message: "Reserva cancelada, estoque devolvido" });
+  } catch (error) {
+    logger.error("Erro ao cancelar reserva", { error });
+    res.status(500).json({ error: "Erro ao cancelar reserva: " + error.message });
+  }
+});
+
+// Liberar reservas expiradas (agendador externo / Vercel Cron).
+router.get("/api/cron/expire-reservations", requireCron, async (req, res) => {
+  try {
+    const released = await releaseExpiredReservations();
+    logger.info('Reservas expiradas liberadas', { count: released });
+    res.json({ success: true, released: released });
+  } catch (error) {
+    logger.error("Erro ao liberar reservas expiradas", { error });
+    res.status(500).json({ error: "Erro ao liberar reservas expiradas: " + error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,132 @@
+import express from "express";
+import multer from "multer";
+import { requireAuth, requireCron } from "../auth.js";
+import { getStorage } from "../storage/index.js";
+import {
+  inspectImage,
+  storeImage,
+  getImage,
+  isImageReferenced,
+  deleteImage,
+  cleanupOrphanImages,
+  toImageResponse,
+  MAX_IMAGE_SIZE,
+  MAX_IMAGES_PER_UPLOAD
+} from "../images.js";
+import logger from "../logger.js";
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_UPLOAD }
+}).array('images', MAX_IMAGES_PER_UPLOAD);
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Arquivo maior que ${MAX_IMAGE_SIZE / 1024 / 1024} MB`,
+  LIMIT_FILE_COUNT: `Envie no máximo ${MAX_IMAGES_PER_UPLOAD} imagens por vez`,
+  LIMIT_UNEXPECTED_FILE: `Envie as imagens no campo "images" (máximo ${MAX_IMAGES_PER_UPLOAD})`
+};
+
+// Servir arquivos do armazenamento local (desenvolvimento)
+router.use("/uploads", (req, res, next) => {
+  const storage = getStorage();
+  if (storage.name !== 'local') return next();
+  express.static(storage.directory, { fallthrough: false, maxAge: '1y' })(req, res, next);
+});
+
+// Enviar imagens (multipart/form-data, campo "images").
+// Todas são verificadas antes de gravar: se alguma for inválida, nenhuma é salva.
+router.post("/api/images", requireAuth('catalog:write'), (req, res) => {
+  upload(req, res, async uploadError => {
+    try {
+      if (uploadError) {
+        const message = UPLOAD_ERRORS[uploadError.code] || uploadError.message;
+        return res.status(uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message });
+      }
+
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'Nenhuma imagem enviada (campo "images")' });
+      }
+
+      const inspected = [];
+      const errors = [];
+      for (const [index, file] of files.entries()) {
+        const { metadata, error } = await inspectImage(file);
+        if (error) {
+          errors.push({ field: `images[${index}]`, file: file.originalname, message: error });
+        } else {
+          inspected.push({ file, metadata });
+        }
+      }
+
+      if (errors.length > 0) {
+        return res.status(422).json({ error: "Imagens inválidas", errors: errors });
+      }
+
+      const images = [];
+      for (const { file, metadata } of inspected) {
+        images.push(toImageResponse(await storeImage(file, metadata, req.user.username)));
+      }
+
+      logger.info('Imagens enviadas', { count: images.length, actor: req.user.username });
+      res.status(201).json({ success: true, images: images });
+    } catch (error) {
+      logger.error("Erro ao enviar imagens", { error });
+      res.status(500).json({ error: "Erro ao enviar imagens: " + error.message });
+    }
+  });
+});
+
+// Consultar imagem
+router.get("/api/images/:id", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const image = await getImage(req.params.id);
+
+    if (!image) {
+      return res.status(404).json({ error: "Imagem não encontrada" });
+    }
+
+    res.json({ image: toImageResponse(image) });
+  } catch (error) {
+    logger.error("Erro ao buscar imagem", { error });
+    res.status(500).json({ error: "Erro ao buscar imagem: " + error.message });
+  }
+});
+
+// Excluir imagem que não está em uso
+router.delete("/api/images/:id", requireAuth('catalog:write'), async (req, res) => {
+  try {
+    const image = await getImage(req.params.id);
+
+    if (!image) {
+      return res.status(404).json({ error: "Imagem não encontrada" });
+    }
+
+    if (await isImageReferenced(image)) {
+      return res.status(409).json({ error: "Imagem em uso por um produto ou por uma versão do histórico" });
+    }
+
+    await deleteImage(image);
+
+    logger.info('Imagem excluída', { imageId: image.id, actor: req.user.username });
+    res.json({ success: true, message: "Imagem excluída" });
+  } catch (error) {
+    logger.error("Erro ao excluir imagem", { error });
+    res.status(500).json({ error: "Erro ao excluir imagem: " + error.message });
+  }
+});
+
+// Remover uploads órfãos (chamado pelo cron da Vercel)
+router.get("/api/cron/cleanup-images", requireCron, async (req, res) => {
+  try {
+    const removed = await cleanupOrphanImages();
+    res.json({ success: true, removed: removed });
+  } catch (error) {
+    logger.error("Erro ao remover imagens órfãs", { error });
+    res.status(500).json({ error: "Erro ao remover imagens órfãs: " + error.message });
+  }
+});
+
+export default router;
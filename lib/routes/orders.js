@@ -0,0 +1,139 @@
+import express from "express";
+import db from "../db/index.js";
+import { requireAuth } from "../auth.js";
+import { validate, sendValidationError } from "../validation.js";
+import { cartSchema, customerSchema, orderShippingSchema } from "../schemas.js";
+import { createOrder, changeOrderStatus, ORDER_STATUSES } from "../orders.js";
+import logger from "../logger.js";
+import { publicRateLimit } from "../rateLimit.js";
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Data ISO do filtro: null se ausente, undefined se inválida
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// Criar pedido (loja)
+router.post("/api/orders", publicRateLimit, async (req, res) => {
+  try {
+    const { customer, items, notes, couponCode, shipping } = req.body;
+
+    const errors = [
+      ...validate(customer, customerSchema, {}, 'customer'),
+      ...validate(items, cartSchema, {}, 'items'),
+      ...validate(couponCode, { type: 'string', maxLength: 30 }, {}, 'couponCode'),
+      ...validate(shipping, orderShippingSchema, {}, 'shipping')
+    ];
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const result = await createOrder({ customer, items, notes, couponCode, shipping });
+
+    if (result.errors) {
+      return res.status(result.status).json({ 
+        error: result.error || (result.status === 409 ? "Estoque insuficiente para um ou mais itens" : "Itens inválidos"),
+        errors: result.errors 
+      });
+    }
+
+    res.status(201).json({ success: true, order: result.order });
+  } catch (error) {
+    logger.error("Erro ao criar pedido", { error });
+    res.status(500).json({ error: "Erro ao criar pedido: " + error.message });
+  }
+});
+
+// Listar pedidos com filtros: status, email, from, to, page, limit
+router.get("/api/orders", requireAuth('orders:read'), async (req, res) => {
+  try {
+    const { status, email } = req.query;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+
+    if (status && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status inválido. Use: ${ORDER_STATUSES.join(', ')}` });
+    }
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "Datas inválidas (use ISO 8601)" });
+    }
+
+    let query = db
+      .from('orders')
+      .select('*', { count: 'exact' });
+
+    if (status) query = query.eq('status', status);
+    if (email) query = query.eq('customer_email', String(email).toLowerCase());
+    if (from) query = query.gte('created_at', from);
+    if (to) query = query.lte('created_at', to);
+
+    const { data: orders, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) throw error;
+
+    res.json({ 
+      orders: orders || [], 
+      total: count ?? (orders || []).length,
+      page: page,
+      limit: limit
+    });
+  } catch (error) {
+    logger.error("Erro ao listar pedidos", { error });
+    res.status(500).json({ error: "Erro ao listar pedidos: " + error.message });
+  }
+});
+
+// Buscar pedido
+router.get("/api/orders/:id", requireAuth('orders:read'), async (req, res) => {
+  try {
+    const { data: order, error } = await db
+      .from('orders')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error || !order) {
+      return res.status(404).json({ error: "Pedido não encontrado" });
+    }
+
+    res.json({ order: order });
+  } catch (error) {
+    logger.error("Erro ao buscar pedido", { error });
+    res.status(500).json({ error: "Erro ao buscar pedido: " + error.message });
+  }
+});
+
+// Alterar status do pedido (cancelar devolve o estoque)
+router.patch("/api/orders/:id/status", requireAuth('orders:write'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status inválido. Use: ${ORDER_STATUSES.join(', ')}` });
+    }
+
+    const result = await changeOrderStatus(req.params.id, status, { actor: req.user.username, note });
+
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, errors: result.errors });
+    }
+
+    res.json({ success: true, order: result.order });
+  } catch (error) {
+    logger.error("Erro ao alterar status do pedido", { error });
+    res.status(500).json({ error: "Erro ao alterar status do pedido: " + error.message });
+  }
+});
+
+export default router;
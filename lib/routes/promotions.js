@@ -0,0 +1,306 @@
+import express from "express";
+import db from "../db/index.js";
+import productsRepository from "../repositories/products.js";
+import categoriesRepository from "../repositories/categories.js";
+import { requireAuth } from "../auth.js";
+import { validate, sendValidationError } from "../validation.js";
+import { promotionSchema, couponSchema, cartSchema } from "../schemas.js";
+import { quoteCart } from "../pricing.js";
+import {
+  toPromotionResponse,
+  toPromotionRow,
+  toCouponResponse,
+  toCouponRow
+} from "../promotions.js";
+import { invalidateCache } from "../cache/index.js";
+import logger from "../logger.js";
+import { publicRateLimit } from "../rateLimit.js";
+
+const router = express.Router();
+
+// O alvo da promoção precisa existir
+async function checkPromotionTarget(promotion) {
+  if (promotion.scope === 'product' && !(await productsRepository.findById(promotion.target, 'id'))) {
+    return [{ field: 'promotion.target', message: `produto ${promotion.target} não existe` }];
+  }
+  if (promotion.scope === 'category' && !(await categoriesRepository.findById(promotion.target))) {
+    return [{ field: 'promotion.target', message: `categoria "${promotion.target}" não existe` }];
+  }
+  return [];
+}
+
+async function findById(table, id) {
+  const { data, error } = await db
+    .from(table)
+    .select('*')
+    .eq('id', id);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Orçamento do carrinho (loja): preço por linha com promoções e cupom
+router.post("/api/cart/quote", publicRateLimit, async (req, res) => {
+  try {
+    const { items, couponCode } = req.body;
+
+    const errors = [
+      ...validate(items, cartSchema, {}, 'items'),
+      ...validate(couponCode, { type: 'string', maxLength: 30 }, {}, 'couponCode')
+    ];
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const quote = await quoteCart(items, { couponCode });
+
+    if (quote.errors) {
+      return res.status(422).json({ error: "Itens inválidos", errors: quote.errors });
+    }
+
+    res.json(quote);
+  } catch (error) {
+    logger.error("Erro ao calcular orçamento", { error });
+    res.status(500).json({ error: "Erro ao calcular orçamento: " + error.message });
+  }
+});
+
+// Listar promoções (?current=true: só as vigentes agora)
+router.get("/api/promotions", requireAuth('promotions:write'), async (req, res) => {
+  try {
+    const { data: promotions, error } = await db
+      .from('promotions')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    let result = (promotions || []).map(toPromotionResponse);
+
+    if (req.query.current === 'true') {
+      const now = Date.now();
+      result = result.filter(promotion =>
+        promotion.active &&
+        (!promotion.startsAt || new Date(promotion.startsAt).getTime() <= now) &&
+        (!promotion.endsAt || new Date(promotion.endsAt).getTime() >= now)
+      );
+    }
+
+    res.json({ promotions: result });
+  } catch (error) {
+    logger.error("Erro ao listar promoções", { error });
+    res.status(500).json({ error: "Erro ao listar promoções: " + error.message });
+  }
+});
+
+// Criar promoção
+router.post("/api/promotions", requireAuth('promotions:write'), async (req, res) => {
+  try {
+    const { promotion } = req.body;
+
+    const errors = validate(promotion, promotionSchema, {}, 'promotion');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const targetErrors = await checkPromotionTarget(promotion);
+    if (targetErrors.length > 0) {
+      return sendValidationError(res, targetErrors);
+    }
+
+    const { data, error } = await db
+      .from('promotions')
+      .insert(toPromotionRow(promotion))
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await invalidateCache('promotions');
+
+    logger.info('Promoção criada', { promotionId: data.id, name: data.name, actor: req.user.username });
+    res.status(201).json({ success: true, promotion: toPromotionResponse(data) });
+  } catch (error) {
+    logger.error("Erro ao criar promoção", { error });
+    res.status(500).json({ error: "Erro ao criar promoção: " + error.message });
+  }
+});
+
+// Alterar promoção (campos enviados substituem os atuais)
+router.put("/api/promotions/:id", requireAuth('promotions:write'), async (req, res) => {
+  try {
+    const current = await findById('promotions', req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ error: "Promoção não encontrada" });
+    }
+
+    const promotion = { ...toPromotionResponse(current), ...req.body };
+
+    const errors = validate(promotion, promotionSchema, {}, 'promotion');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const targetErrors = await checkPromotionTarget(promotion);
+    if (targetErrors.length > 0) {
+      return sendValidationError(res, targetErrors);
+    }
+
+    const { data, error } = await db
+      .from('promotions')
+      .update(toPromotionRow(promotion))
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await invalidateCache('promotions');
+
+    logger.info('Promoção alterada', { promotionId: data.id, name: data.name, actor: req.user.username });
+    res.json({ success: true, promotion: toPromotionResponse(data) });
+  } catch (error) {
+    logger.error("Erro ao alterar promoção", { error });
+    res.status(500).json({ error: "Erro ao alterar promoção: " + error.message });
+  }
+});
+
+// Excluir promoção
+router.delete("/api/promotions/:id", requireAuth('promotions:write'), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from('promotions')
+      .delete()
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Promoção não encontrada" });
+    }
+
+    await invalidateCache('promotions');
+
+    logger.info('Promoção excluída', { promotionId: data[0].id, name: data[0].name, actor: req.user.username });
+    res.json({ success: true, message: `Promoção "${data[0].name}" excluída` });
+  } catch (error) {
+    logger.error("Erro ao excluir promoção", { error });
+    res.status(500).json({ error: "Erro ao excluir promoção: " + error.message });
+  }
+});
+
+// Listar cupons
+router.get("/api/coupons", requireAuth('promotions:write'), async (req, res) => {
+  try {
+    const { data: coupons, error } = await db
+      .from('coupons')
+      .select('*')
+      .order('code');
+
+    if (error) throw error;
+
+    res.json({ coupons: (coupons || []).map(toCouponResponse) });
+  } catch (error) {
+    logger.error("Erro ao listar cupons", { error });
+    res.status(500).json({ error: "Erro ao listar cupons: " + error.message });
+  }
+});
+
+// Criar cupom
+router.post("/api/coupons", requireAuth('promotions:write'), async (req, res) => {
+  try {
+    const { coupon } = req.body;
+
+    const errors = validate(coupon, couponSchema, {}, 'coupon');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const row = toCouponRow(coupon);
+
+    const { data: existing, error: fetchError } = await db
+      .from('coupons')
+      .select('id')
+      .eq('code', row.code);
+
+    if (fetchError) throw fetchError;
+
+    if (existing && existing.length > 0) {
+      return res.status(409).json({ error: `Cupom ${row.code} já existe` });
+    }
+
+    const { data, error } = await db
+      .from('coupons')
+      .insert({ ...row, used_count: 0 })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Cupom criado', { coupon: data.code, actor: req.user.username });
+    res.status(201).json({ success: true, coupon: toCouponResponse(data) });
+  } catch (error) {
+    logger.error("Erro ao criar cupom", { error });
+    res.status(500).json({ error: "Erro ao criar cupom: " + error.message });
+  }
+});
+
+// Alterar cupom (o código não muda; usos já registrados são mantidos)
+router.put("/api/coupons/:id", requireAuth('promotions:write'), async (req, res) => {
+  try {
+    const current = await findById('coupons', req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ error: "Cupom não encontrado" });
+    }
+
+    const coupon = { ...toCouponResponse(current), ...req.body, code: current.code };
+
+    const errors = validate(coupon, couponSchema, {}, 'coupon');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const { data, error } = await db
+      .from('coupons')
+      .update(toCouponRow(coupon))
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Cupom alterado', { coupon: data.code, actor: req.user.username });
+    res.json({ success: true, coupon: toCouponResponse(data) });
+  } catch (error) {
+    logger.error("Erro ao alterar cupom", { error });
+    res.status(500).json({ error: "Erro ao alterar cupom: " + error.message });
+  }
+});
+
+// Excluir cupom
+router.delete("/api/coupons/:id", requireAuth('promotions:write'), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from('coupons')
+      .delete()
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Cupom não encontrado" });
+    }
+
+    logger.info('Cupom excluído', { coupon: data[0].code, actor: req.user.username });
+    res.json({ success: true, message: `Cupom ${data[0].code} excluído` });
+  } catch (error) {
+    logger.error("Erro ao excluir cupom", { error });
+    res.status(500).json({ error: "Erro ao excluir cupom: " + error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+import express from "express";
+import { requireAuth } from "../auth.js";
+import {
+  reportToCsv,
+  inventoryValueReport,
+  stockByCategoryReport,
+  outOfStockReport,
+  sellersReport,
+  sellThroughReport
+} from "../reports.js";
+import logger from "../logger.js";
+
+const router = express.Router();
+
+// Período padrão dos relatórios de vendas
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_SELLERS = 500;
+
+// Data do filtro; "AAAA-MM-DD" em `to` vale até o fim do dia
+function parseDate(value, { endOfDay = false } = {}) {
+  const text = String(value);
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59.999Z` : text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ?from=&to= (padrão: os últimos 30 dias). Retorna { from, to } ou { error }
+function parsePeriod(query) {
+  const to = query.to ? parseDate(query.to, { endOfDay: true }) : new Date().toISOString();
+  const from = query.from
+    ? parseDate(query.from)
+    : to && new Date(Date.parse(to) - DEFAULT_PERIOD_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  if (!from || !to) {
+    return { error: "Datas inválidas (use ISO 8601)" };
+  }
+  if (from > to) {
+    return { error: "from deve ser anterior a to" };
+  }
+  return { from, to };
+}
+
+// Relatório em JSON ({ summary, rows }) ou, com ?format=csv, planilha com
+// as linhas
+function sendReport(req, res, name, report) {
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="relatorio-${name}.csv"`);
+    return res.send(reportToCsv(name, report.rows));
+  }
+  res.json(report);
+}
+
+function checkFormat(req, res) {
+  const format = req.query.format || 'json';
+  if (!['csv', 'json'].includes(format)) {
+    res.status(400).json({ error: "Formato inválido (use csv ou json)" });
+    return false;
+  }
+  return true;
+}
+
+// Valor total do estoque (preço × estoque de cada variante), por produto
+router.get("/api/reports/inventory-value", requireAuth('reports:read'), async (req, res) => {
+  try {
+    if (!checkFormat(req, res)) return;
+
+    sendReport(req, res, 'inventory-value', await inventoryValueReport());
+  } catch (error) {
+    logger.error("Erro ao gerar relatório de valor do estoque", { error });
+    res.status(500).json({ error: "Erro ao gerar relatório de valor do estoque: " + error.message });
+  }
+});
+
+// Estoque e valor por categoria
+router.get("/api/reports/stock-by-category", requireAuth('reports:read'), async (req, res) => {
+  try {
+    if (!checkFormat(req, res)) return;
+
+    sendReport(req, res, 'stock-by-category', await stockByCategoryReport());
+  } catch (error) {
+    logger.error("Erro ao gerar relatório de estoque por categoria", { error });
+    res.status(500).json({ error: "Erro ao gerar relatório de estoque por categoria: " + error.message });
+  }
+});
+
+// Variantes com estoque zerado
+router.get("/api/reports/out-of-stock", requireAuth('reports:read'), async (req, res) => {
+  try {
+    if (!checkFormat(req, res)) return;
+
+    sendReport(req, res, 'out-of-stock', await outOfStockReport());
+  } catch (error) {
+    logger.error("Erro ao gerar relatório de variantes zeradas", { error });
+    res.status(500).json({ error: "Erro ao gerar relatório de variantes zeradas: " + error.message });
+  }
+});
+
+// Mais e menos vendidos: ?from=&to=&order=best|worst&limit=
+router.get("/api/reports/sellers", requireAuth('reports:read'), async (req, res) => {
+  try {
+    if (!checkFormat(req, res)) return;
+
+    const period = parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    const order = req.query.order || 'best';
+    if (!['best', 'worst'].includes(order)) {
+      return res.status(400).json({ error: "Ordem inválida (use best ou worst)" });
+    }
+
+    const limit = Math.min(MAX_SELLERS, Math.max(1, parseInt(req.query.limit) || 20));
+
+    sendReport(req, res, 'sellers', await sellersReport({ ...period, order, limit }));
+  } catch (error) {
+    logger.error("Erro ao gerar relatório de vendas", { error });
+    res.status(500).json({ error: "Erro ao gerar relatório de vendas: " + error.message });
+  }
+});
+
+// Taxa de venda (sell-through) por produto: ?from=&to=
+router.get("/api/reports/sell-through", requireAuth('reports:read'), async (req, res) => {
+  try {
+    if (!checkFormat(req, res)) return;
+
+    const period = parsePeriod(req.query);
+    if (period.error) {
+      return res.status(400).json({ error: period.error });
+    }
+
+    sendReport(req, res, 'sell-through', await sellThroughReport(period));
+  } catch (error) {
+    logger.error("Erro ao gerar relatório de taxa de venda", { error });
+    res.status(500).json({ error: "Erro ao gerar relatório de taxa de venda: " + error.message });
+  }
+});
+
+export default router;
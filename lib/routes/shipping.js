@@ -0,0 +1,146 @@
+import express from "express";
+import db from "../db/index.js";
+import { requireAuth } from "../auth.js";
+import { validate, sendValidationError } from "../validation.js";
+import { shippingRuleSchema, cartSchema } from "../schemas.js";
+import { quoteCart } from "../pricing.js";
+import { quoteShipping, normalizeCep, toShippingRuleResponse, toShippingRuleRow } from "../shipping.js";
+import logger from "../logger.js";
+import { publicRateLimit } from "../rateLimit.js";
+
+const router = express.Router();
+
+// Cotação de frete (loja): opções com preço e prazo para o CEP e o carrinho
+router.post("/api/shipping/quote", publicRateLimit, async (req, res) => {
+  try {
+    const { cep, items } = req.body;
+
+    const errors = validate(items, cartSchema, {}, 'items');
+    const normalizedCep = normalizeCep(cep);
+    if (!normalizedCep) {
+      errors.unshift({ field: 'cep', message: 'deve ter 8 dígitos' });
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    // Frete grátis considera o valor dos produtos já com promoções
+    const cart = await quoteCart(items);
+    if (cart.errors) {
+      return res.status(422).json({ error: "Itens inválidos", errors: cart.errors });
+    }
+
+    const quote = await quoteShipping({ cep: normalizedCep, items, subtotal: cart.subtotal });
+
+    res.json({ ...quote, subtotal: cart.subtotal });
+  } catch (error) {
+    logger.error("Erro ao calcular frete", { error });
+    res.status(500).json({ error: "Erro ao calcular frete: " + error.message });
+  }
+});
+
+// Listar regras de frete
+router.get("/api/shipping/rules", requireAuth('shipping:write'), async (req, res) => {
+  try {
+    const { data: rules, error } = await db
+      .from('shipping_rules')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+
+    res.json({ rules: (rules || []).map(toShippingRuleResponse) });
+  } catch (error) {
+    logger.error("Erro ao listar regras de frete", { error });
+    res.status(500).json({ error: "Erro ao listar regras de frete: " + error.message });
+  }
+});
+
+// Criar regra de frete
+router.post("/api/shipping/rules", requireAuth('shipping:write'), async (req, res) => {
+  try {
+    const { rule } = req.body;
+
+    const errors = validate(rule, shippingRuleSchema, {}, 'rule');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const { data, error } = await db
+      .from('shipping_rules')
+      .insert(toShippingRuleRow(rule))
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Regra de frete criada', { ruleId: data.id, name: data.name, actor: req.user.username });
+    res.status(201).json({ success: true, rule: toShippingRuleResponse(data) });
+  } catch (error) {
+    logger.error("Erro ao criar regra de frete", { error });
+    res.status(500).json({ error: "Erro ao criar regra de frete: " + error.message });
+  }
+});
+
+// Alterar regra de frete (campos enviados substituem os atuais)
+router.put("/api/shipping/rules/:id", requireAuth('shipping:write'), async (req, res) => {
+  try {
+    const { data: current, error: fetchError } = await db
+      .from('shipping_rules')
+      .select('*')
+      .eq('id', req.params.id);
+
+    if (fetchError) throw fetchError;
+
+    if (!current || current.length === 0) {
+      return res.status(404).json({ error: "Regra de frete não encontrada" });
+    }
+
+    const rule = { ...toShippingRuleResponse(current[0]), ...req.body };
+
+    const errors = validate(rule, shippingRuleSchema, {}, 'rule');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const { data, error } = await db
+      .from('shipping_rules')
+      .update(toShippingRuleRow(rule))
+      .eq('id', current[0].id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Regra de frete alterada', { ruleId: data.id, name: data.name, actor: req.user.username });
+    res.json({ success: true, rule: toShippingRuleResponse(data) });
+  } catch (error) {
+    logger.error("Erro ao alterar regra de frete", { error });
+    res.status(500).json({ error: "Erro ao alterar regra de frete: " + error.message });
+  }
+});
+
+// Excluir regra de frete
+router.delete("/api/shipping/rules/:id", requireAuth('shipping:write'), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from('shipping_rules')
+      .delete()
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Regra de frete não encontrada" });
+    }
+
+    logger.info('Regra de frete excluída', { ruleId: data[0].id, name: data[0].name, actor: req.user.username });
+    res.json({ success: true, message: `Regra de frete "${data[0].name}" excluída` });
+  } catch (error) {
+    logger.error("Erro ao excluir regra de frete", { error });
+    res.status(500).json({ error: "Erro ao excluir regra de frete: " + error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,85 @@
+import express from "express";
+import { requireAuth } from "../auth.js";
+import { listMovements, reconcileStock } from "../movements.js";
+import { getLowStockReport, DEFAULT_LOW_STOCK_THRESHOLD } from "../alerts.js";
+import logger from "../logger.js";
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 500;
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+}
+
+// Histórico de movimentações: ?productId=&from=&to=&limit=&offset=
+router.get("/api/stock/movements", requireAuth('stock:read'), async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: "Datas inválidas (use ISO 8601)" });
+    }
+
+    const result = await listMovements({
+      productId: req.query.productId || null,
+      from: from,
+      to: to,
+      limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 100)),
+      offset: Math.max(0, parseInt(req.query.offset) || 0)
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error("Erro ao buscar movimentações", { error });
+    res.status(500).json({ error: "Erro ao buscar movimentações: " + error.message });
+  }
+});
+
+// Reconciliação: refaz o livro e compara com o estoque atual
+router.get("/api/stock/reconciliation", requireAuth('stock:read'), async (req, res) => {
+  try {
+    const result = await reconcileStock(req.query.productId || null);
+
+    logger.info('Reconciliação de estoque', { checked: result.checked, discrepancies: result.discrepancies.length });
+    res.json({ 
+      consistent: result.discrepancies.length === 0,
+      ...result 
+    });
+  } catch (error) {
+    logger.error("Erro ao reconciliar estoque", { error });
+    res.status(500).json({ error: "Erro ao reconciliar estoque: " + error.message });
+  }
+});
+
+// Variantes com estoque no limite ou abaixo: ?productId=&threshold=
+router.get("/api/stock/alerts", requireAuth('stock:read'), async (req, res) => {
+  try {
+    let threshold = null;
+    if (req.query.threshold !== undefined) {
+      threshold = parseInt(req.query.threshold);
+      if (!Number.isInteger(threshold) || threshold < 0) {
+        return res.status(400).json({ error: "threshold deve ser um inteiro >= 0" });
+      }
+    }
+
+    const variants = await getLowStockReport({
+      productId: req.query.productId || null,
+      threshold: threshold
+    });
+
+    res.json({ 
+      defaultThreshold: DEFAULT_LOW_STOCK_THRESHOLD,
+      total: variants.length,
+      variants: variants 
+    });
+  } catch (error) {
+    logger.error("Erro ao gerar alertas de estoque", { error });
+    res.status(500).json({ error: "Erro ao gerar alertas de estoque: " + error.message });
+  }
+});
+
+export default router;
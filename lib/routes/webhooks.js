@@ -0,0 +1,249 @@
+import express from "express";
+import db from "../db/index.js";
+import { requireAuth, requireCron } from "../auth.js";
+import { validate, sendValidationError } from "../validation.js";
+import { webhookSchema } from "../schemas.js";
+import {
+  DELIVERY_STATUSES,
+  WEBHOOK_EVENTS,
+  generateSecret,
+  toSubscriptionResponse,
+  toSubscriptionRow,
+  toDeliveryResponse,
+  findSubscription,
+  findDelivery,
+  deliverDueDeliveries,
+  replayDelivery
+} from "../webhooks.js";
+import logger from "../logger.js";
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Listar assinaturas (sem os segredos)
+router.get("/api/webhooks", requireAuth('webhooks:manage'), async (req, res) => {
+  try {
+    const { data: subscriptions, error } = await db
+      .from('webhook_subscriptions')
+      .select('*')
+      .order('id');
+
+    if (error) throw error;
+
+    res.json({ webhooks: (subscriptions || []).map(toSubscriptionResponse), events: WEBHOOK_EVENTS });
+  } catch (error) {
+    logger.error("Erro ao listar webhooks", { error });
+    res.status(500).json({ error: "Erro ao listar webhooks: " + error.message });
+  }
+});
+
+// Criar assinatura. O segredo de assinatura só é mostrado nesta resposta
+// (e ao trocá-lo)
+router.post("/api/webhooks", requireAuth('webhooks:manage'), async (req, res) => {
+  try {
+    const { webhook } = req.body;
+
+    const errors = validate(webhook, webhookSchema, {}, 'webhook');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const { data, error } = await db
+      .from('webhook_subscriptions')
+      .insert({ ...toSubscriptionRow(webhook), secret: generateSecret() })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Webhook criado', { webhookId: data.id, url: data.url, events: data.events, actor: req.user.username });
+    res.status(201).json({ success: true, webhook: { ...toSubscriptionResponse(data), secret: data.secret } });
+  } catch (error) {
+    logger.error("Erro ao criar webhook", { error });
+    res.status(500).json({ error: "Erro ao criar webhook: " + error.message });
+  }
+});
+
+// Alterar assinatura (campos enviados substituem os atuais)
+router.put("/api/webhooks/:id", requireAuth('webhooks:manage'), async (req, res) => {
+  try {
+    const current = await findSubscription(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ error: "Webhook não encontrado" });
+    }
+
+    const webhook = { ...toSubscriptionResponse(current), ...req.body };
+
+    const errors = validate(webhook, webhookSchema, {}, 'webhook');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const { data, error } = await db
+      .from('webhook_subscriptions')
+      .update(toSubscriptionRow(webhook))
+      .eq('id', current.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info('Webhook alterado', { webhookId: data.id, actor: req.user.username });
+    res.json({ success: true, webhook: toSubscriptionResponse(data) });
+  } catch (error) {
+    logger.error("Erro ao alterar webhook", { error });
+    res.status(500).json({ error: "Erro ao alterar webhook: " + error.message });
+  }
+});
+
+// Trocar o segredo de assinatura (o anterior deixa de valer na hora)
+router.post("/api/webhooks/:id/secret", requireAuth('webhooks:manage'), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from('webhook_subscriptions')
+      .update({ secret: generateSecret() })
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Webhook não encontrado" });
+    }
+
+    logger.info('Segredo de webhook trocado', { webhookId: data[0].id, actor: req.user.username });
+    res.json({ success: true, webhook: { ...toSubscriptionResponse(data[0]), secret: data[0].secret } });
+  } catch (error) {
+    logger.error("Erro ao trocar segredo do webhook", { error });
+    res.status(500).json({ error: "Erro ao trocar segredo do webhook: " + error.message });
+  }
+});
+
+// Excluir assinatura (e o log de entregas dela)
+router.delete("/api/webhooks/:id", requireAuth('webhooks:manage'), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from('webhook_subscriptions')
+      .delete()
+      .eq('id', req.params.id)
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Webhook não encontrado" });
+    }
+
+    const { error: deliveriesError } = await db
+      .from('webhook_deliveries')
+      .delete()
+      .eq('subscription_id', data[0].id);
+
+    if (deliveriesError) throw deliveriesError;
+
+    logger.info('Webhook excluído', { webhookId: data[0].id, url: data[0].url, actor: req.user.username });
+    res.json({ success: true, message: "Webhook excluído" });
+  } catch (error) {
+    logger.error("Erro ao excluir webhook", { error });
+    res.status(500).json({ error: "Erro ao excluir webhook: " + error.message });
+  }
+});
+
+// Log de entregas: ?webhookId=&event=&status=&page=&limit= (mais recentes primeiro)
+router.get("/api/webhooks/deliveries", requireAuth('webhooks:manage'), async (req, res) => {
+  try {
+    const { webhookId, event, status } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status inválido. Use: ${DELIVERY_STATUSES.join(', ')}` });
+    }
+    if (event && !WEBHOOK_EVENTS.includes(event)) {
+      return res.status(400).json({ error: `Evento inválido. Use: ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+
+    let query = db
+      .from('webhook_deliveries')
+      .select('*', { count: 'exact' });
+
+    if (webhookId) query = query.eq('subscription_id', webhookId);
+    if (event) query = query.eq('event', event);
+    if (status) query = query.eq('status', status);
+
+    const { data: deliveries, error, count } = await query
+      .order('id', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) throw error;
+
+    res.json({
+      deliveries: (deliveries || []).map(delivery => toDeliveryResponse(delivery)),
+      total: count ?? (deliveries || []).length,
+      page: page,
+      limit: limit
+    });
+  } catch (error) {
+    logger.error("Erro ao listar entregas de webhooks", { error });
+    res.status(500).json({ error: "Erro ao listar entregas de webhooks: " + error.message });
+  }
+});
+
+// Entrega com o corpo enviado
+router.get("/api/webhooks/deliveries/:id", requireAuth('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await findDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: "Entrega não encontrada" });
+    }
+
+    res.json({ delivery: toDeliveryResponse(delivery, { withPayload: true }) });
+  } catch (error) {
+    logger.error("Erro ao buscar entrega de webhook", { error });
+    res.status(500).json({ error: "Erro ao buscar entrega de webhook: " + error.message });
+  }
+});
+
+// Reenviar uma entrega (ex.: destino fora do ar por mais tempo que as
+// tentativas automáticas). Gera uma nova entrega, tentada na hora.
+router.post("/api/webhooks/deliveries/:id/replay", requireAuth('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await findDelivery(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: "Entrega não encontrada" });
+    }
+
+    const subscription = await findSubscription(delivery.subscription_id);
+    if (!subscription || !subscription.active) {
+      return res.status(409).json({ error: "Webhook removido ou desativado" });
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    logger.info('Entrega de webhook reenviada', { deliveryId: delivery.id, replayId: replay.id, actor: req.user.username });
+    res.status(201).json({ success: true, delivery: toDeliveryResponse(replay) });
+  } catch (error) {
+    logger.error("Erro ao reenviar entrega de webhook", { error });
+    res.status(500).json({ error: "Erro ao reenviar entrega de webhook: " + error.message });
+  }
+});
+
+// Fazer as entregas pendentes, novas e as que falharam (agendador externo /
+// Vercel Cron)
+router.get("/api/cron/webhook-deliveries", requireCron, async (req, res) => {
+  try {
+    const result = await deliverDueDeliveries();
+    logger.info('Entregas de webhooks tentadas', result);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error("Erro ao fazer as entregas de webhooks", { error });
+    res.status(500).json({ error: "Erro ao fazer as entregas de webhooks: " + error.message });
+  }
+});
+
+export default router;
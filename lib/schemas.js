@@ -0,0 +1,247 @@
+import { isValidBarcode } from './variants.js';
+import { PRODUCT_STATUSES } from './lifecycle.js';
+import { WEBHOOK_EVENTS } from './webhooks.js';
+
+// Schemas de validação (ver lib/validation.js) para produtos e categorias.
+// ctx.categoryIds: Set com os ids de categorias existentes.
+
+// Variante (cor + tamanho). sku e barcode são únicos no catálogo; price
+// substitui o preço do produto
+const sizeSchema = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true, maxLength: 10 },
+    stock: { type: 'integer', min: 0 },
+    sku: { type: 'string', maxLength: 64, pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/ },
+    barcode: {
+      type: 'string',
+      custom: value => isValidBarcode(value) ? null : 'deve ser um código EAN-8 ou EAN-13 válido'
+    },
+    price: { type: 'number', exclusiveMin: 0 }
+  }
+};
+
+// Imagem da cor: enviada por POST /api/images ou URL externa
+const imageSchema = {
+  type: 'object',
+  required: true,
+  fields: {
+    id: { type: 'string' },
+    url: { type: 'url', required: true },
+    thumbnailUrl: { type: 'url' }
+  }
+};
+
+const colorSchema = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true, maxLength: 50 },
+    image: { type: 'url' },
+    images: { type: 'array', maxItems: 10, items: imageSchema, uniqueBy: 'url' },
+    sizes: { type: 'array', required: true, minItems: 1, items: sizeSchema, uniqueBy: 'name' }
+  },
+  custom: value => !value.image && !(Array.isArray(value.images) && value.images.length > 0)
+    ? 'informe image ou images'
+    : null
+};
+
+// Dados de envio do produto: peso em kg e dimensões em cm (opcionais)
+const shippingSchema = {
+  type: 'object',
+  fields: {
+    weight: { type: 'number', exclusiveMin: 0, max: 100 },
+    length: { type: 'number', exclusiveMin: 0, max: 300 },
+    width: { type: 'number', exclusiveMin: 0, max: 300 },
+    height: { type: 'number', exclusiveMin: 0, max: 300 }
+  }
+};
+
+export const productSchema = {
+  type: 'object',
+  required: true,
+  fields: {
+    // Versão lida do produto: se o produto mudou depois, a gravação é recusada (409)
+    version: { type: 'integer', min: 0 },
+    title: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    category: {
+      type: 'string',
+      required: true,
+      custom: (value, ctx) => ctx.categoryIds && !ctx.categoryIds.has(value) ? `categoria "${value}" não existe` : null
+    },
+    price: { type: 'number', required: true, exclusiveMin: 0 },
+    description: { type: 'string', maxLength: 5000 },
+    status: { type: 'string', enum: PRODUCT_STATUSES },
+    publishAt: { type: 'date' },
+    unpublishAt: { type: 'date' },
+    lowStockThreshold: { type: 'integer', min: 0 },
+    shipping: shippingSchema,
+    colors: { type: 'array', required: true, minItems: 1, items: colorSchema, uniqueBy: 'name' }
+  }
+};
+
+export const productListSchema = {
+  type: 'array',
+  required: true,
+  items: productSchema,
+  uniqueBy: 'id'
+};
+
+export const categorySchema = {
+  type: 'object',
+  required: true,
+  fields: {
+    id: { type: 'string', required: true, maxLength: 50 },
+    name: { type: 'string', maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    // null ou ausente: categoria raiz
+    parentId: { type: 'string', maxLength: 50 },
+    position: { type: 'integer', min: 0 },
+    slug: { type: 'string', maxLength: 80, pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/ }
+  }
+};
+
+// Cadastro individual exige o nome
+export const newCategorySchema = {
+  ...categorySchema,
+  fields: {
+    ...categorySchema.fields,
+    name: { ...categorySchema.fields.name, required: true }
+  }
+};
+
+export const categoryListSchema = {
+  type: 'array',
+  required: true,
+  minItems: 1,
+  items: categorySchema,
+  uniqueBy: 'id'
+};
+
+// Linhas de carrinho: (produto, cor, tamanho, quantidade)
+export const cartSchema = {
+  type: 'array',
+  required: true,
+  minItems: 1,
+  maxItems: 100,
+  items: {
+    type: 'object',
+    required: true,
+    fields: {
+      productId: { type: 'integer', required: true, min: 1 },
+      color: { type: 'string', required: true },
+      size: { type: 'string', required: true },
+      quantity: { type: 'integer', required: true, min: 1 }
+    }
+  }
+};
+
+export const customerSchema = {
+  type: 'object',
+  required: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 2, maxLength: 120 },
+    email: { type: 'string', required: true, maxLength: 200, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+    phone: { type: 'string', maxLength: 30 }
+  }
+};
+
+// Regras comuns a promoções e cupons: percentual até 100% e fim após o início
+function checkDiscount(value) {
+  if (value.type === 'percentage' && Number(value.value) > 100) return 'desconto percentual deve ser no máximo 100';
+  if (value.startsAt && value.endsAt && Date.parse(value.endsAt) <= Date.parse(value.startsAt)) return 'endsAt deve ser depois de startsAt';
+  return null;
+}
+
+const discountFields = {
+  type: { type: 'string', required: true, enum: ['percentage', 'fixed'] },
+  value: { type: 'number', required: true, exclusiveMin: 0 },
+  startsAt: { type: 'date' },
+  endsAt: { type: 'date' },
+  active: { type: 'boolean' }
+};
+
+// Promoção: desconto no preço de um produto, de uma categoria ou da loja toda.
+// target é o id do produto ou da categoria (vazio para a loja).
+export const promotionSchema = {
+  type: 'object',
+  required: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+    ...discountFields,
+    scope: { type: 'string', required: true, enum: ['product', 'category', 'store'] },
+    target: { maxLength: 50 }
+  },
+  custom: value => {
+    if (value.scope !== 'store' && (value.target === undefined || value.target === null || value.target === '')) {
+      return 'target é obrigatório para promoções de produto ou categoria';
+    }
+    if (value.scope === 'product' && !/^\d+$/.test(String(value.target))) {
+      return 'target deve ser o id de um produto';
+    }
+    return checkDiscount(value);
+  }
+};
+
+// Cupom: desconto no total do pedido, com limite de usos e valor mínimo
+export const couponSchema = {
+  type: 'object',
+  required: true,
+  fields: {
+    code: { type: 'string', required: true, pattern: /^[A-Za-z0-9_-]{3,30}$/ },
+    ...discountFields,
+    minOrderValue: { type: 'number', min: 0 },
+    maxUses: { type: 'integer', min: 1 }
+  },
+  custom: checkDiscount
+};
+
+const cepPattern = /^\d{5}-?\d{3}$/;
+
+// Regra de frete: faixa de CEP e de peso (kg), preço e prazo em dias úteis
+export const shippingRuleSchema = {
+  type: 'object',
+  required: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 80 },
+    type: { type: 'string', required: true, enum: ['delivery', 'pickup'] },
+    cepStart: { type: 'string', pattern: cepPattern },
+    cepEnd: { type: 'string', pattern: cepPattern },
+    minWeight: { type: 'number', min: 0 },
+    maxWeight: { type: 'number', exclusiveMin: 0 },
+    price: { type: 'number', required: true, min: 0 },
+    freeAbove: { type: 'number', min: 0 },
+    deliveryDaysMin: { type: 'integer', min: 0 },
+    deliveryDaysMax: { type: 'integer', min: 0 },
+    description: { type: 'string', maxLength: 500 },
+    active: { type: 'boolean' }
+  },
+  custom: value => {
+    const digits = cep => String(cep || '').replace(/\D/g, '');
+    if (Boolean(value.cepStart) !== Boolean(value.cepEnd)) return 'informe cepStart e cepEnd juntos';
+    if (value.cepStart && digits(value.cepStart) > digits(value.cepEnd)) return 'cepStart deve ser menor ou igual a cepEnd';
+    if (value.minWeight != null && value.maxWeight != null && Number(value.minWeight) >= Number(value.maxWeight)) return 'minWeight deve ser menor que maxWeight';
+    if (value.deliveryDaysMin != null && value.deliveryDaysMax != null && Number(value.deliveryDaysMin) > Number(value.deliveryDaysMax)) return 'deliveryDaysMin deve ser menor ou igual a deliveryDaysMax';
+    return null;
+  }
+};
+
+// Frete escolhido no pedido
+export const orderShippingSchema = {
+  type: 'object',
+  fields: {
+    cep: { type: 'string', required: true, pattern: cepPattern },
+    optionId: { type: 'integer', required: true, min: 1 }
+  }
+};
+
+// Assinatura de webhook: URL de destino e eventos enviados
+export const webhookSchema = {
+  type: 'object',
+  required: true,
+  fields: {
+    url: { type: 'url', required: true, maxLength: 500 },
+    events: { type: 'array', required: true, minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    description: { type: 'string', maxLength: 200 },
+    active: { type: 'boolean' }
+  }
+};
@@ -0,0 +1,154 @@
+import db from './db/index.js';
+import productsRepository from './repositories/products.js';
+import { roundMoney } from './promotions.js';
+
+// Cálculo de frete por regras configuráveis (tabela shipping_rules).
+//
+// Cada regra é uma opção de entrega (ou retirada na loja) para uma faixa de
+// CEP e uma faixa de peso: min_weight < peso <= max_weight (kg). Regras com
+// o mesmo nome são o mesmo serviço em faixas diferentes; vale a mais barata
+// que atender. free_above zera o frete a partir do subtotal informado.
+export const SHIPPING_RULE_TYPES = ['delivery', 'pickup'];
+
+// Peso usado para produtos sem dados de envio (kg)
+const DEFAULT_PRODUCT_WEIGHT = parseFloat(process.env.DEFAULT_PRODUCT_WEIGHT_KG) || 0.3;
+
+// Peso cúbico: comprimento x largura x altura (cm) / 6000, como nos Correios
+const CUBIC_FACTOR = 6000;
+
+// CEP com ou sem hífen -> 8 dígitos, ou null se inválido
+export function normalizeCep(cep) {
+  const digits = String(cep || '').replace(/\D/g, '');
+  return digits.length === 8 ? digits : null;
+}
+
+// Dados de envio do produto (kg e cm). undefined = não informado no payload;
+// null = produto sem dados de envio.
+export function normalizeShipping(shipping) {
+  if (shipping === undefined) return undefined;
+  if (!shipping || typeof shipping !== 'object') return null;
+
+  const number = value => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+  };
+
+  const normalized = {
+    weight: number(shipping.weight),
+    length: number(shipping.length),
+    width: number(shipping.width),
+    height: number(shipping.height)
+  };
+
+  return Object.values(normalized).some(value => value !== null) ? normalized : null;
+}
+
+// Peso considerado no frete: o maior entre o real e o cúbico
+function billableWeight(shipping) {
+  if (!shipping) return DEFAULT_PRODUCT_WEIGHT;
+
+  const weight = shipping.weight || DEFAULT_PRODUCT_WEIGHT;
+  if (!shipping.length || !shipping.width || !shipping.height) return weight;
+
+  return Math.max(weight, (shipping.length * shipping.width * shipping.height) / CUBIC_FACTOR);
+}
+
+export function toShippingRuleResponse(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    cepStart: row.cep_start,
+    cepEnd: row.cep_end,
+    minWeight: row.min_weight === null ? null : Number(row.min_weight),
+    maxWeight: row.max_weight === null ? null : Number(row.max_weight),
+    price: Number(row.price),
+    freeAbove: row.free_above === null ? null : Number(row.free_above),
+    deliveryDaysMin: row.delivery_days_min,
+    deliveryDaysMax: row.delivery_days_max,
+    description: row.description,
+    active: row.active
+  };
+}
+
+export function toShippingRuleRow(rule) {
+  const optionalNumber = value => value === undefined || value === null || value === '' ? null : Number(value);
+
+  return {
+    name: rule.name,
+    type: rule.type,
+    cep_start: rule.cepStart ? normalizeCep(rule.cepStart) : null,
+    cep_end: rule.cepEnd ? normalizeCep(rule.cepEnd) : null,
+    min_weight: optionalNumber(rule.minWeight),
+    max_weight: optionalNumber(rule.maxWeight),
+    price: Number(rule.price),
+    free_above: optionalNumber(rule.freeAbove),
+    delivery_days_min: optionalNumber(rule.deliveryDaysMin),
+    delivery_days_max: optionalNumber(rule.deliveryDaysMax),
+    description: rule.description || null,
+    active: rule.active !== false
+  };
+}
+
+function ruleMatches(rule, cep, weight) {
+  if (!rule.active) return false;
+  if (rule.cep_start && (cep < rule.cep_start || cep > rule.cep_end)) return false;
+  if (rule.min_weight !== null && rule.min_weight !== undefined && weight <= Number(rule.min_weight)) return false;
+  if (rule.max_weight !== null && rule.max_weight !== undefined && weight > Number(rule.max_weight)) return false;
+  return true;
+}
+
+function toOption(rule, subtotal) {
+  const price = Number(rule.price);
+  const free = rule.free_above !== null && rule.free_above !== undefined && subtotal >= Number(rule.free_above);
+
+  return {
+    id: rule.id,
+    name: rule.name,
+    type: rule.type,
+    price: free ? 0 : roundMoney(price),
+    originalPrice: roundMoney(price),
+    free: free,
+    deliveryDays: rule.delivery_days_min === null && rule.delivery_days_max === null
+      ? null
+      : { min: rule.delivery_days_min, max: rule.delivery_days_max },
+    description: rule.description
+  };
+}
+
+// Opções de frete para o carrinho.
+// items: [{ productId, quantity }]; subtotal: valor dos produtos (com promoções).
+// Retorna { cep, weight, options } com as opções ordenadas por preço.
+export async function quoteShipping({ cep, items, subtotal }) {
+  const productIds = [...new Set(items.map(item => Number(item.productId)))];
+  const products = await productsRepository.findByIds(productIds, 'id, shipping');
+  const shippingById = new Map(products.map(product => [String(product.id), normalizeShipping(product.shipping)]));
+
+  const weight = roundMoney(items.reduce(
+    (sum, item) => sum + billableWeight(shippingById.get(String(item.productId))) * Number(item.quantity),
+    0
+  ));
+
+  const { data: rules, error } = await db
+    .from('shipping_rules')
+    .select('*')
+    .eq('active', true);
+
+  if (error) throw error;
+
+  // Uma opção por serviço: a regra mais barata que atende
+  const best = new Map();
+  for (const rule of rules || []) {
+    if (!ruleMatches(rule, cep, weight)) continue;
+
+    const option = toOption(rule, subtotal);
+    const current = best.get(rule.name);
+    if (!current || option.price < current.price) {
+      best.set(rule.name, option);
+    }
+  }
+
+  const options = [...best.values()].sort((a, b) => a.price - b.price || a.name.localeCompare(b.name, 'pt-BR'));
+
+  return { cep, weight, options };
+}
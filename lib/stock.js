@@ -0,0 +1,174 @@
+import productsRepository from './repositories/products.js';
+import { recordMovements } from './movements.js';
+import { notifyLowStockCrossings } from './alerts.js';
+import logger from './logger.js';
+
+// Alterações de estoque com concorrência otimista: cada produto tem uma
+// coluna version e a escrita só acontece se a versão lida não mudou
+// (compare-and-swap). Em caso de conflito a operação é refeita.
+const MAX_RETRIES = 5;
+
+// Localizar variante pelo nome da cor e do tamanho
+export function findVariant(colors, colorName, sizeName) {
+  const color = (colors || []).find(c => c.name === colorName);
+  if (!color || !Array.isArray(color.sizes)) return null;
+
+  const size = color.sizes.find(s => String(s.name) === String(sizeName));
+  if (!size) return null;
+
+  return size;
+}
+
+function fetchProductStock(productId) {
+  return productsRepository.findById(productId, 'id, title, colors, version, low_stock_threshold');
+}
+
+// Aplicar deltas de estoque às cores de um produto (em memória).
+// Retorna { colors, errors, movements } sem alterar o produto recebido;
+// movements traz o delta efetivo (após limitar em zero) de cada linha.
+function applyDeltas(product, lines, { clamp }) {
+  const colors = structuredClone(product.colors || []);
+  const errors = [];
+  const movements = [];
+
+  for (const line of lines) {
+    const variant = findVariant(colors, line.color, line.size);
+
+    if (!variant) {
+      errors.push({ ...line.ref, error: "Variante não encontrada" });
+      continue;
+    }
+
+    const current = parseInt(variant.stock) || 0;
+    const next = current + line.delta;
+
+    if (next < 0 && !clamp) {
+      errors.push({ ...line.ref, error: "Estoque insuficiente", requested: -line.delta, available: current });
+      continue;
+    }
+
+    variant.stock = Math.max(0, next);
+    movements.push({
+      productId: product.id,
+      color: line.color,
+      size: line.size,
+      delta: variant.stock - current,
+      stockAfter: variant.stock
+    });
+  }
+
+  return { colors, errors, movements };
+}
+
+// Ler, alterar e gravar o estoque de um produto com compare-and-swap
+async function updateProductStock(productId, lines, options) {
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const product = await fetchProductStock(productId);
+
+    if (!product) {
+      return { errors: lines.map(line => ({ ...line.ref, error: "Produto não encontrado" })) };
+    }
+
+    const { colors, errors, movements } = applyDeltas(product, lines, options);
+    if (errors.length > 0) return { errors };
+
+    const version = product.version || 0;
+    const updated = await productsRepository.update(
+      productId,
+      { colors: colors, version: version + 1 },
+      { expectedVersion: version }
+    );
+
+    if (updated) {
+      const changed = movements.filter(movement => movement.delta !== 0);
+      if (options.movement) {
+        await recordMovements(changed, options.movement);
+      }
+      await notifyLowStockCrossings(product, changed);
+      return { errors: [], colors: colors };
+    }
+
+    logger.debug('Conflito de versão, tentando novamente', { productId });
+  }
+
+  throw new Error(`Não foi possível atualizar o estoque do produto ${productId} (conflitos de concorrência)`);
+}
+
+function groupByProduct(lines) {
+  const groups = new Map();
+  for (const line of lines) {
+    const key = String(line.productId);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(line);
+  }
+  return groups;
+}
+
+// Aplicar alterações de estoque em vários produtos: todas ou nenhuma.
+//
+// changes: [{ productId, color, size, delta }]
+// options.clamp: limitar o estoque em zero em vez de recusar
+// options.movement: { reason, actor, reference } para o livro de movimentações
+//
+// Retorna { success, errors, products } — errors lista cada linha recusada
+// (com o índice original em `line`); products traz as cores gravadas.
+export async function applyStockChanges(changes, options = { clamp: false }) {
+  const lines = changes.map((change, index) => ({
+    ...change,
+    ref: { line: index, productId: change.productId, color: change.color, size: change.size }
+  }));
+  const groups = groupByProduct(lines);
+
+  // Verificar todas as linhas antes de gravar, para reportar todos os erros
+  const checkErrors = [];
+  for (const [productId, productLines] of groups) {
+    const product = await fetchProductStock(productId);
+    if (!product) {
+      checkErrors.push(...productLines.map(line => ({ ...line.ref, error: "Produto não encontrado" })));
+      continue;
+    }
+    checkErrors.push(...applyDeltas(product, productLines, options).errors);
+  }
+
+  if (checkErrors.length > 0) {
+    return { success: false, errors: checkErrors.sort((a, b) => a.line - b.line) };
+  }
+
+  // Gravar produto a produto; se algum falhar, desfazer os já gravados
+  const applied = [];
+  const products = {};
+
+  try {
+    for (const [productId, productLines] of groups) {
+      const result = await updateProductStock(productId, productLines, options);
+
+      if (result.errors.length > 0) {
+        await revertStockChanges(applied, options.movement);
+        return { success: false, errors: result.errors };
+      }
+
+      applied.push(...productLines);
+      products[productId] = result.colors;
+    }
+  } catch (error) {
+    await revertStockChanges(applied, options.movement);
+    throw error;
+  }
+
+  return { success: true, errors: [], products: products };
+}
+
+async function revertStockChanges(lines, movement) {
+  if (lines.length === 0) return;
+
+  const inverse = lines.map(line => ({ ...line, delta: -line.delta }));
+  const revertMovement = movement ? { ...movement, reason: 'adjustment', reference: `rollback:${movement.reference || ''}` } : null;
+
+  for (const [productId, productLines] of groupByProduct(inverse)) {
+    try {
+      await updateProductStock(productId, productLines, { clamp: true, movement: revertMovement });
+    } catch (error) {
+      logger.error('Erro ao desfazer estoque', { error, productId });
+    }
+  }
+}
@@ -0,0 +1,41 @@
+import { createSupabaseStorage } from './supabase.js';
+import { createLocalStorage } from './local.js';
+
+// Armazenamento de arquivos (imagens) selecionado por STORAGE_DRIVER:
+//   supabase (padrão)  bucket STORAGE_BUCKET do Supabase Storage
+//   local              disco em STORAGE_DIR, URLs com STORAGE_PUBLIC_URL
+//                      (absoluta, ex.: http://localhost:3000/uploads: as
+//                      URLs vão para os produtos, que só aceitam http(s))
+//
+// Como em lib/db, o driver é criado no primeiro uso; setStorage() troca o
+// driver (testes, com createMemoryStorage de ./memory.js).
+let storage = null;
+
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || 'supabase';
+
+  if (driver === 'local') {
+    const publicUrl = process.env.STORAGE_PUBLIC_URL;
+    if (!/^https?:\/\/[^/]/.test(publicUrl || '')) {
+      throw new Error('STORAGE_PUBLIC_URL deve ser uma URL absoluta (http/https) para STORAGE_DRIVER=local');
+    }
+    return createLocalStorage(process.env.STORAGE_DIR || 'uploads', publicUrl);
+  }
+
+  if (driver !== 'supabase') {
+    throw new Error(`STORAGE_DRIVER desconhecido: ${driver}`);
+  }
+
+  return createSupabaseStorage(process.env.STORAGE_BUCKET || 'product-images');
+}
+
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+export function setStorage(newStorage) {
+  storage = newStorage;
+}
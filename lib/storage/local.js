@@ -0,0 +1,33 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Disco local (desenvolvimento): arquivos em `directory`, servidos pela
+// própria API em /uploads (ver lib/routes/images.js). baseUrl é o endereço
+// absoluto desse caminho (ex.: http://localhost:3000/uploads).
+export function createLocalStorage(directory, baseUrl) {
+  const resolve = key => {
+    const file = path.resolve(directory, key);
+    if (!file.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Caminho inválido: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    directory: directory,
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    async remove(keys) {
+      for (const key of keys) {
+        await fs.rm(resolve(key), { force: true });
+      }
+    },
+    publicUrl(key) {
+      return `${baseUrl.replace(/\/$/, '')}/${key}`;
+    }
+  };
+}
@@ -0,0 +1,18 @@
+// Em memória (testes): files guarda { key: { buffer, contentType } }
+export function createMemoryStorage(baseUrl = 'https://storage.test/') {
+  const files = {};
+
+  return {
+    name: 'memory',
+    files: files,
+    async put(key, buffer, contentType) {
+      files[key] = { buffer, contentType };
+    },
+    async remove(keys) {
+      for (const key of keys) delete files[key];
+    },
+    publicUrl(key) {
+      return `${baseUrl}${key}`;
+    }
+  };
+}
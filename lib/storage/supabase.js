@@ -0,0 +1,27 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Supabase Storage: arquivos em um bucket público (STORAGE_BUCKET)
+export function createSupabaseStorage(bucket) {
+  const client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+  const files = () => client.storage.from(bucket);
+
+  return {
+    name: 'supabase',
+    async put(key, buffer, contentType) {
+      const { error } = await files().upload(key, buffer, {
+        contentType: contentType,
+        cacheControl: '31536000',
+        upsert: false
+      });
+      if (error) throw error;
+    },
+    async remove(keys) {
+      if (keys.length === 0) return;
+      const { error } = await files().remove(keys);
+      if (error) throw error;
+    },
+    publicUrl(key) {
+      return files().getPublicUrl(key).data.publicUrl;
+    }
+  };
+}
@@ -0,0 +1,140 @@
+// Validação declarativa de payloads.
+//
+// Um schema descreve um valor com as regras:
+//   type         'string' | 'number' | 'integer' | 'boolean' | 'url' | 'date' | 'array' | 'object'
+//   required     campo obrigatório (ignorado em validações parciais no primeiro nível)
+//   min, max, exclusiveMin           limites numéricos
+//   minLength, maxLength, pattern    regras de texto
+//   enum         lista de valores aceitos
+//   items, minItems, maxItems, uniqueBy   regras de listas
+//   fields       schemas dos campos de um objeto
+//   custom(value, ctx)   regra extra; retorna mensagem de erro ou null
+//
+// validate() devolve uma lista de { field, message } (vazia se válido).
+
+function isNumeric(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+function isUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Data/hora em texto (ISO 8601, ex.: 2024-11-29 ou 2024-11-29T00:00:00-03:00)
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: isNumeric,
+  integer: value => isNumeric(value) && Number.isInteger(Number(value)),
+  boolean: value => typeof value === 'boolean',
+  url: isUrl,
+  date: isDate,
+  array: value => Array.isArray(value),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_MESSAGES = {
+  string: 'deve ser um texto',
+  number: 'deve ser um número',
+  integer: 'deve ser um número inteiro',
+  boolean: 'deve ser verdadeiro ou falso',
+  url: 'deve ser uma URL http(s) válida',
+  date: 'deve ser uma data válida (AAAA-MM-DD)',
+  array: 'deve ser uma lista',
+  object: 'deve ser um objeto'
+};
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+export function validate(value, schema, options = {}, path = '') {
+  const { ctx = {}, partial = false } = options;
+  const errors = [];
+  const push = message => errors.push({ field: path || '(raiz)', message });
+
+  if (isEmpty(value)) {
+    if (schema.required) push('é obrigatório');
+    return errors;
+  }
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    push(TYPE_MESSAGES[schema.type]);
+    return errors;
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    const number = Number(value);
+    if (schema.min !== undefined && number < schema.min) push(`deve ser maior ou igual a ${schema.min}`);
+    if (schema.exclusiveMin !== undefined && number <= schema.exclusiveMin) push(`deve ser maior que ${schema.exclusiveMin}`);
+    if (schema.max !== undefined && number > schema.max) push(`deve ser menor ou igual a ${schema.max}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) push(`deve ter pelo menos ${schema.minLength} caracteres`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) push(`deve ter no máximo ${schema.maxLength} caracteres`);
+    if (schema.pattern && !schema.pattern.test(value)) push('formato inválido');
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    push(`deve ser um de: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) push(`deve ter pelo menos ${schema.minItems} item(ns)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) push(`deve ter no máximo ${schema.maxItems} itens`);
+
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, { ctx }, joinPath(path, index)));
+      });
+    }
+
+    if (schema.uniqueBy) {
+      const seen = new Set();
+      value.forEach((item, index) => {
+        const key = item && typeof item === 'object' ? item[schema.uniqueBy] : item;
+        if (isEmpty(key)) return;
+        const normalizedKey = String(key).trim().toLowerCase();
+        if (seen.has(normalizedKey)) {
+          errors.push({ field: joinPath(joinPath(path, index), schema.uniqueBy), message: `"${key}" está duplicado` });
+        }
+        seen.add(normalizedKey);
+      });
+    }
+  }
+
+  if (schema.type === 'object' && schema.fields) {
+    for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+      if (partial && !(key in value)) continue;
+      errors.push(...validate(value[key], fieldSchema, { ctx }, joinPath(path, key)));
+    }
+  }
+
+  if (schema.custom && errors.length === 0) {
+    const message = schema.custom(value, ctx);
+    if (message) push(message);
+  }
+
+  return errors;
+}
+
+// Resposta padrão para payload inválido
+export function sendValidationError(res, errors) {
+  return res.status(422).json({ error: "Dados inválidos", errors: errors });
+}
@@ -0,0 +1,173 @@
+import { foldText } from './catalog.js';
+
+// Variantes de produto: cada tamanho de cada cor (colors[].sizes[]) é uma
+// variante com estoque próprio, SKU estável, código de barras EAN opcional
+// e preço próprio opcional (null = preço do produto).
+//
+// O SKU padrão <id>-<COR>-<TAMANHO> é gravado junto com a variante (gatilho
+// da migração 017; o id do produto novo só existe no banco). Depois de
+// gravado, o SKU não muda quando a cor ou o tamanho é renomeado. Linhas
+// ainda sem SKU gravado são lidas com o SKU padrão.
+// SKUs e códigos de barras são únicos no banco (product_variant_codes).
+
+// Trecho do SKU: maiúsculas sem acento, outros caracteres viram hífen
+function skuPart(text) {
+  return foldText(text).toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+export function defaultSku(productId, colorName, sizeName) {
+  return `${productId}-${skuPart(colorName)}-${skuPart(sizeName)}`;
+}
+
+export function normalizeSku(value) {
+  const sku = String(value ?? '').trim().toUpperCase();
+  return sku || null;
+}
+
+export function normalizeBarcode(value) {
+  const barcode = String(value ?? '').trim();
+  return barcode || null;
+}
+
+// EAN-8 ou EAN-13 com dígito verificador correto
+export function isValidBarcode(value) {
+  const code = String(value);
+  if (!/^(\d{8}|\d{13})$/.test(code)) return false;
+
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+// Variante no formato da API
+export function normalizeVariant(size, productId, colorName) {
+  const name = String(size.name || 'M');
+  const price = parseFloat(size.price);
+
+  return {
+    name: name,
+    stock: parseInt(size.stock) || 0,
+    sku: normalizeSku(size.sku) || (productId ? defaultSku(productId, colorName, name) : null),
+    barcode: normalizeBarcode(size.barcode),
+    price: Number.isFinite(price) && price > 0 ? price : null
+  };
+}
+
+// Preço de venda da variante (sem promoção)
+export function variantPrice(product, variant) {
+  return variant?.price ?? (parseFloat(product.price) || 0);
+}
+
+const VARIANT_FIELDS = ['sku', 'barcode', 'price'];
+
+// Produtos recebidos pela API: sku, barcode e price não enviados numa
+// variante mantêm o valor atual da variante com a mesma cor e tamanho
+// (clientes que não conhecem esses campos não os apagam). null apaga.
+// A cor atual é a de mesmo nome ou, se a cor foi renomeada (o nome antigo
+// não veio), a da mesma posição: o SKU continua o mesmo após renomear.
+// current: produtos normalizados.
+export function keepVariantFields(products, current) {
+  const currentById = new Map(current.map(product => [String(product.id), product]));
+
+  return products.map(product => {
+    const existing = product?.id !== undefined ? currentById.get(String(product.id)) : null;
+    if (!existing || !Array.isArray(product.colors)) return product;
+
+    const incomingNames = new Set(product.colors.map(color => color?.name));
+
+    return {
+      ...product,
+      colors: product.colors.map((color, colorIndex) => {
+        const renamed = existing.colors[colorIndex];
+        const existingColor = existing.colors.find(c => c.name === color?.name)
+          || (renamed && !incomingNames.has(renamed.name) ? renamed : null);
+        if (!existingColor || !Array.isArray(color.sizes)) return color;
+
+        return {
+          ...color,
+          sizes: color.sizes.map(size => {
+            const existingSize = existingColor.sizes.find(s => String(s.name) === String(size?.name));
+            if (!existingSize) return size;
+
+            const kept = { ...size };
+            for (const field of VARIANT_FIELDS) {
+              if (!(field in kept)) kept[field] = existingSize[field];
+            }
+            return kept;
+          })
+        };
+      })
+    };
+  });
+}
+
+// Variantes do produto normalizado em lista: [{ sku, barcode, color, size, stock, price }]
+export function listVariants(product) {
+  return product.colors.flatMap(color => color.sizes.map(size => ({
+    sku: size.sku,
+    barcode: size.barcode,
+    color: color.name,
+    size: size.name,
+    stock: size.stock,
+    price: variantPrice(product, size)
+  })));
+}
+
+// SKUs e códigos de barras repetidos nos produtos a gravar ou já usados por
+// outros produtos do catálogo (others). pathFor(index) dá o caminho do
+// produto nas mensagens. Retorna [{ field, message }].
+export function variantCodeErrors(products, others, pathFor) {
+  const errors = [];
+  const taken = { sku: new Map(), barcode: new Map() };
+
+  for (const product of others) {
+    for (const variant of listVariants(product)) {
+      if (variant.sku) taken.sku.set(variant.sku, `produto ${product.id}`);
+      if (variant.barcode) taken.barcode.set(variant.barcode, `produto ${product.id}`);
+    }
+  }
+
+  products.forEach((product, index) => {
+    product.colors.forEach((color, colorIndex) => {
+      color.sizes.forEach((size, sizeIndex) => {
+        const owner = `${color.name}/${size.name}${product.id ? ` do produto ${product.id}` : ''}`;
+
+        for (const field of ['sku', 'barcode']) {
+          const code = size[field];
+          if (!code) continue;
+
+          if (taken[field].has(code)) {
+            errors.push({
+              field: `${pathFor(index)}.colors[${colorIndex}].sizes[${sizeIndex}].${field}`,
+              message: `"${code}" já é usado (${taken[field].get(code)})`
+            });
+            continue;
+          }
+          taken[field].set(code, owner);
+        }
+      });
+    });
+  });
+
+  return errors;
+}
+
+// Variante pelo SKU ou código de barras: { product, color, variant } ou null
+export function findVariantByCode(products, { sku, barcode }) {
+  const normalizedSku = sku !== undefined ? normalizeSku(sku) : null;
+  const normalizedBarcode = barcode !== undefined ? normalizeBarcode(barcode) : null;
+
+  for (const product of products) {
+    for (const color of product.colors) {
+      for (const variant of color.sizes) {
+        if ((normalizedSku && variant.sku === normalizedSku) ||
+            (normalizedBarcode && variant.barcode === normalizedBarcode)) {
+          return { product, color, variant };
+        }
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,310 @@
+import crypto from 'node:crypto';
+import db from './db/index.js';
+import logger from './logger.js';
+
+// Webhooks de saída: avisam a loja, a sincronização da loja do Instagram e
+// outros sistemas quando o catálogo muda, sem que precisem consultar
+// GET /api/products.
+//
+// Cada evento gera uma entrega (webhook_deliveries) para cada assinatura
+// ativa interessada nele. A requisição que alterou o catálogo só enfileira
+// as entregas (não espera destinos lentos); GET /api/cron/webhook-deliveries,
+// agendado a cada minuto em vercel.json, faz as entregas e tenta de novo as
+// que falharam com espera crescente (1 min, 2 min, 4 min...) até
+// WEBHOOK_MAX_ATTEMPTS tentativas. Crons com mais de uma execução por dia
+// exigem o plano Pro da Vercel; em outro plano, chame a rota por um
+// agendador externo. O log de entregas fica disponível para consulta e
+// reenvio no painel.
+//
+// O corpo é assinado com o segredo da assinatura:
+//   X-Webhook-Signature: t=<unix>,v1=<hex do HMAC-SHA256 de "<t>.<corpo>">
+// O destino recalcula o HMAC e pode recusar timestamps antigos (replay).
+export const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'stock.changed',
+  'category.created',
+  'category.updated',
+  'category.deleted'
+];
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const WEBHOOK_TIMEOUT = 3000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = 60;
+
+// Entregas por execução do cron
+const CRON_BATCH_SIZE = 50;
+
+export function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+export function signPayload(secret, body, timestamp) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function signatureHeader(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${signPayload(secret, body, timestamp)}`;
+}
+
+// Espera (segundos) antes da próxima tentativa, após `attempts` tentativas
+export function retryDelay(attempts) {
+  return RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+}
+
+// O segredo só é mostrado na criação e na troca
+export function toSubscriptionResponse(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events || [],
+    description: row.description,
+    active: row.active,
+    createdAt: row.created_at
+  };
+}
+
+export function toSubscriptionRow(subscription) {
+  return {
+    url: subscription.url,
+    events: [...new Set(subscription.events)],
+    description: subscription.description || null,
+    active: subscription.active !== false
+  };
+}
+
+export function toDeliveryResponse(row, { withPayload = false } = {}) {
+  const delivery = {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    event: row.event,
+    eventId: row.payload?.id ?? null,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    lastError: row.last_error,
+    lastAttemptAt: row.last_attempt_at,
+    nextAttemptAt: row.next_attempt_at,
+    replayOf: row.replay_of,
+    createdAt: row.created_at
+  };
+  if (withPayload) delivery.payload = row.payload;
+  return delivery;
+}
+
+export async function findSubscription(id) {
+  const { data, error } = await db
+    .from('webhook_subscriptions')
+    .select('*')
+    .eq('id', id);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+export async function findDelivery(id) {
+  const { data, error } = await db
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('id', id);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function loadSubscriptions(ids) {
+  const { data, error } = await db
+    .from('webhook_subscriptions')
+    .select('*')
+    .in('id', ids);
+
+  if (error) throw error;
+  return new Map((data || []).map(subscription => [String(subscription.id), subscription]));
+}
+
+// Uma tentativa de entrega. A tentativa é reservada antes do envio
+// (compare-and-swap em attempts, já com a próxima tentativa agendada): o
+// cron e a requisição que criou a entrega não enviam a mesma tentativa
+// duas vezes, e uma instância interrompida no meio do envio não perde a
+// entrega. Retorna a entrega atualizada, ou null se outra instância a pegou.
+async function attemptDelivery(delivery, subscription) {
+  const attempts = delivery.attempts + 1;
+  const startedAt = new Date();
+
+  const { data: claimed, error: claimError } = await db
+    .from('webhook_deliveries')
+    .update({
+      attempts: attempts,
+      last_attempt_at: startedAt.toISOString(),
+      next_attempt_at: new Date(startedAt.getTime() + retryDelay(attempts) * 1000).toISOString()
+    })
+    .eq('id', delivery.id)
+    .eq('status', 'pending')
+    .eq('attempts', delivery.attempts)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return null;
+
+  let responseStatus = null;
+  let lastError = null;
+
+  if (!subscription || !subscription.active) {
+    lastError = 'Assinatura removida ou desativada';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Signature': signatureHeader(subscription.secret, body)
+        },
+        body: body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        lastError = `Destino respondeu ${response.status}`;
+      }
+    } catch (error) {
+      lastError = error.name === 'TimeoutError' ? `Sem resposta em ${WEBHOOK_TIMEOUT}ms` : error.message;
+    }
+  }
+
+  const delivered = lastError === null;
+  const exhausted = !delivered && (attempts >= MAX_ATTEMPTS || !subscription || !subscription.active);
+  const values = {
+    status: delivered ? 'delivered' : exhausted ? 'failed' : 'pending',
+    response_status: responseStatus,
+    last_error: lastError
+  };
+  if (delivered || exhausted) values.next_attempt_at = null;
+
+  const { error } = await db
+    .from('webhook_deliveries')
+    .update(values)
+    .eq('id', delivery.id);
+
+  if (error) throw error;
+
+  if (!delivered) {
+    logger.warn('Falha na entrega de webhook', {
+      deliveryId: delivery.id,
+      event: delivery.event,
+      attempts,
+      status: values.status,
+      error: lastError
+    });
+  }
+
+  return { ...delivery, ...values, attempts, last_attempt_at: startedAt.toISOString() };
+}
+
+async function attemptDeliveries(deliveries) {
+  if (deliveries.length === 0) return [];
+
+  const subscriptions = await loadSubscriptions([...new Set(deliveries.map(delivery => delivery.subscription_id))]);
+  return Promise.all(deliveries.map(delivery =>
+    attemptDelivery(delivery, subscriptions.get(String(delivery.subscription_id)))
+  ));
+}
+
+// Disparar eventos: [{ type, data }]. Chamado depois da gravação; enfileira
+// as entregas para o cron. Falhas são registradas no log mas não desfazem a
+// alteração, que já foi gravada.
+export async function emitEvents(events) {
+  if (events.length === 0) return;
+
+  try {
+    const { data: subscriptions, error: fetchError } = await db
+      .from('webhook_subscriptions')
+      .select('*')
+      .eq('active', true);
+
+    if (fetchError) throw fetchError;
+
+    const now = new Date().toISOString();
+    const rows = [];
+
+    for (const event of events) {
+      const payload = { id: crypto.randomUUID(), type: event.type, createdAt: now, data: event.data };
+
+      for (const subscription of subscriptions || []) {
+        if (!(subscription.events || []).includes(event.type)) continue;
+        rows.push({
+          subscription_id: subscription.id,
+          event: event.type,
+          payload: payload,
+          status: 'pending',
+          attempts: 0,
+          next_attempt_at: now
+        });
+      }
+    }
+
+    if (rows.length === 0) return;
+
+    const { error } = await db
+      .from('webhook_deliveries')
+      .insert(rows);
+
+    if (error) throw error;
+  } catch (error) {
+    logger.error('Erro ao disparar webhooks', { error, events: events.map(event => event.type) });
+  }
+}
+
+export function emitEvent(type, data) {
+  return emitEvents([{ type, data }]);
+}
+
+// Tentar as entregas pendentes cuja hora chegou: as novas e as que
+// falharam antes (cron)
+export async function deliverDueDeliveries() {
+  const { data: due, error } = await db
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at')
+    .limit(CRON_BATCH_SIZE);
+
+  if (error) throw error;
+
+  const results = (await attemptDeliveries(due || [])).filter(Boolean);
+  return {
+    attempted: results.length,
+    delivered: results.filter(delivery => delivery.status === 'delivered').length,
+    failed: results.filter(delivery => delivery.status === 'failed').length
+  };
+}
+
+// Reenviar uma entrega (mesmo evento e corpo) como uma nova entrega,
+// preservando a original no log
+export async function replayDelivery(delivery) {
+  const { data: replay, error } = await db
+    .from('webhook_deliveries')
+    .insert({
+      subscription_id: delivery.subscription_id,
+      event: delivery.event,
+      payload: delivery.payload,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      replay_of: delivery.id
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const [result] = await attemptDeliveries([replay]);
+  return result || replay;
+}
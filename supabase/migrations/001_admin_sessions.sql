@@ -0,0 +1,11 @@
+-- Sessões de administrador (tokens de acesso assinados + refresh token)
+create table if not exists admin_sessions (
+  id bigint generated by default as identity primary key,
+  admin_id bigint not null references admin_credentials(id) on delete cascade,
+  refresh_token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_sessions_admin_id_idx on admin_sessions(admin_id);
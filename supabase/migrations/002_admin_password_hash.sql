@@ -0,0 +1,9 @@
+-- Hash de senha (scrypt) e desativação de contas de administrador.
+-- As colunas legadas encrypted_password/password são limpas no próximo login.
+alter table admin_credentials add column if not exists password_hash text;
+alter table admin_credentials add column if not exists disabled boolean not null default false;
+alter table admin_credentials add column if not exists created_at timestamptz not null default now();
+alter table admin_credentials alter column encrypted_password drop not null;
+alter table admin_credentials alter column password drop not null;
+
+create unique index if not exists admin_credentials_username_idx on admin_credentials(username);
@@ -0,0 +1,4 @@
+-- Papéis de administrador: owner, catalog_editor, stock_clerk.
+-- Contas existentes continuam com acesso total (owner).
+alter table admin_credentials add column if not exists role text not null default 'owner'
+  check (role in ('owner', 'catalog_editor', 'stock_clerk'));
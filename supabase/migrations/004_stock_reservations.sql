@@ -0,0 +1,16 @@
+-- Versão do produto para concorrência otimista nas alterações de estoque
+alter table products add column if not exists version integer not null default 0;
+
+-- Reservas de estoque do checkout
+create table if not exists stock_reservations (
+  id uuid primary key,
+  items jsonb not null,
+  status text not null default 'active'
+    check (status in ('active', 'confirmed', 'released', 'expired')),
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists stock_reservations_active_idx
+  on stock_reservations(expires_at) where status = 'active';
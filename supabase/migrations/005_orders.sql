@@ -0,0 +1,22 @@
+-- Pedidos. Os itens guardam um snapshot (título, cor, tamanho, preço) no
+-- momento da compra.
+create table if not exists orders (
+  id bigint generated by default as identity primary key,
+  status text not null default 'pending'
+    check (status in ('pending', 'paid', 'shipped', 'delivered', 'cancelled')),
+  customer_name text not null,
+  customer_email text not null,
+  customer_phone text,
+  items jsonb not null,
+  subtotal numeric(10, 2) not null,
+  total numeric(10, 2) not null,
+  notes text,
+  reservation_id uuid references stock_reservations(id),
+  status_history jsonb not null default '[]',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+create index if not exists orders_status_idx on orders(status);
+create index if not exists orders_customer_email_idx on orders(customer_email);
+create index if not exists orders_created_at_idx on orders(created_at desc);
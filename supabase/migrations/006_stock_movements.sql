@@ -0,0 +1,32 @@
+-- Livro de movimentações de estoque
+create table if not exists stock_movements (
+  id bigint generated by default as identity primary key,
+  product_id bigint not null,
+  color text not null,
+  size text not null,
+  delta integer not null,
+  stock_after integer not null,
+  reason text not null
+    check (reason in ('sale', 'return', 'adjustment', 'import', 'opening')),
+  actor text,
+  reference text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_movements_product_idx on stock_movements(product_id, created_at);
+create index if not exists stock_movements_created_at_idx on stock_movements(created_at);
+
+-- Saldo de abertura: estoque atual de cada variante, para que a
+-- reconciliação parta do estado existente antes do livro.
+insert into stock_movements (product_id, color, size, delta, stock_after, reason, actor)
+select p.id,
+       color->>'name',
+       size->>'name',
+       coalesce((size->>'stock')::integer, 0),
+       coalesce((size->>'stock')::integer, 0),
+       'opening',
+       'migration'
+from products p,
+     jsonb_array_elements(p.colors) as color,
+     jsonb_array_elements(color->'sizes') as size
+where coalesce((size->>'stock')::integer, 0) <> 0;
@@ -0,0 +1,3 @@
+-- Limite de estoque baixo por produto (null = padrão global LOW_STOCK_THRESHOLD)
+alter table products add column if not exists low_stock_threshold integer
+  check (low_stock_threshold is null or low_stock_threshold >= 0);
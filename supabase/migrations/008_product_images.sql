@@ -0,0 +1,22 @@
+-- Imagens enviadas pela API (POST /api/images). As cores dos produtos
+-- referenciam as imagens pela URL em colors[].images.
+create table if not exists product_images (
+  id uuid primary key,
+  path text not null,
+  thumbnail_path text,
+  url text not null unique,
+  thumbnail_url text,
+  content_type text not null,
+  size integer not null,
+  width integer,
+  height integer,
+  uploaded_by text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists product_images_created_at_idx on product_images(created_at);
+
+-- Bucket público do Supabase Storage (STORAGE_BUCKET)
+insert into storage.buckets (id, name, public)
+values ('product-images', 'product-images', true)
+on conflict (id) do nothing;
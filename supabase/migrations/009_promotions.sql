@@ -0,0 +1,37 @@
+-- Promoções: desconto no preço de um produto, de uma categoria ou da loja
+create table if not exists promotions (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  type text not null check (type in ('percentage', 'fixed')),
+  value numeric(10, 2) not null check (value > 0),
+  scope text not null check (scope in ('product', 'category', 'store')),
+  target text,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (scope = 'store' or target is not null),
+  check (type <> 'percentage' or value <= 100)
+);
+
+create index if not exists promotions_active_idx on promotions(active);
+
+-- Cupons: desconto no total do pedido
+create table if not exists coupons (
+  id bigint generated by default as identity primary key,
+  code text not null unique,
+  type text not null check (type in ('percentage', 'fixed')),
+  value numeric(10, 2) not null check (value > 0),
+  min_order_value numeric(10, 2) not null default 0,
+  max_uses integer check (max_uses is null or max_uses > 0),
+  used_count integer not null default 0,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (max_uses is null or used_count <= max_uses)
+);
+
+-- Desconto do cupom no pedido (total = subtotal - discount)
+alter table orders add column if not exists discount numeric(10, 2) not null default 0;
+alter table orders add column if not exists coupon_code text;
@@ -0,0 +1,28 @@
+-- Dados de envio do produto: { weight (kg), length, width, height (cm) }
+alter table products add column if not exists shipping jsonb;
+
+-- Regras de frete: uma opção de entrega (ou retirada) por faixa de CEP e peso
+create table if not exists shipping_rules (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  type text not null check (type in ('delivery', 'pickup')),
+  cep_start text check (cep_start ~ '^[0-9]{8}$'),
+  cep_end text check (cep_end ~ '^[0-9]{8}$'),
+  min_weight numeric(10, 3) check (min_weight >= 0),
+  max_weight numeric(10, 3) check (max_weight > 0),
+  price numeric(10, 2) not null check (price >= 0),
+  free_above numeric(10, 2) check (free_above >= 0),
+  delivery_days_min integer check (delivery_days_min >= 0),
+  delivery_days_max integer check (delivery_days_max >= 0),
+  description text,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check ((cep_start is null) = (cep_end is null) and (cep_start is null or cep_start <= cep_end)),
+  check (min_weight is null or max_weight is null or min_weight < max_weight)
+);
+
+create index if not exists shipping_rules_active_idx on shipping_rules(active);
+
+-- Frete escolhido no pedido (total = subtotal - discount + shipping_cost)
+alter table orders add column if not exists shipping_cost numeric(10, 2) not null default 0;
+alter table orders add column if not exists shipping jsonb;
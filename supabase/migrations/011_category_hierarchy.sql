@@ -0,0 +1,12 @@
+-- Hierarquia de categorias: mãe (null = raiz), ordem entre irmãs e slug de URL
+alter table categories add column if not exists parent_id text
+  references categories(id) on update cascade on delete set null;
+alter table categories add column if not exists position integer not null default 0;
+alter table categories add column if not exists slug text;
+
+alter table categories drop constraint if exists categories_parent_not_self;
+alter table categories add constraint categories_parent_not_self check (parent_id is null or parent_id <> id);
+
+-- Slugs ficam nulos até a categoria ser salva (a API gera a partir do nome)
+create unique index if not exists categories_slug_key on categories(slug);
+create index if not exists categories_parent_idx on categories(parent_id, position);
@@ -0,0 +1,25 @@
+-- Histórico de produtos: uma versão por gravação pelo painel
+-- (sem chave estrangeira: o histórico sobrevive à exclusão do produto)
+create table if not exists product_history (
+  id bigint generated by default as identity primary key,
+  product_id bigint not null,
+  version integer not null,
+  action text not null check (action in ('create', 'update', 'delete', 'revert')),
+  note text,
+  data jsonb not null,
+  actor text,
+  created_at timestamptz not null default now(),
+  unique (product_id, version)
+);
+
+-- Snapshots do catálogo inteiro, tirados antes de cada gravação em lote
+create table if not exists catalog_snapshots (
+  id bigint generated by default as identity primary key,
+  reason text not null,
+  actor text,
+  product_count integer not null,
+  products jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists catalog_snapshots_created_at_idx on catalog_snapshots(created_at);
@@ -0,0 +1,38 @@
+-- Variantes com SKU estável: cada tamanho de cada cor (colors[].sizes[])
+-- recebe o SKU padrão <id>-<COR>-<TAMANHO>, o mesmo que a API usa para
+-- variantes sem SKU (lib/variants.js). Código de barras (EAN) e preço
+-- próprio da variante são opcionais e ficam nulos.
+create or replace function pg_temp.sku_part(text) returns text as $$
+  select btrim(regexp_replace(upper(translate(
+    $1,
+    'áàâãäéèêëíìîïóòôõöúùûüçñÁÀÂÃÄÉÈÊËÍÌÎÏÓÒÔÕÖÚÙÛÜÇÑ',
+    'aaaaaeeeeiiiiooooouuuucnAAAAAEEEEIIIIOOOOOUUUUCN'
+  )), '[^A-Z0-9]+', '-', 'g'), '-')
+$$ language sql immutable;
+
+update products p
+set colors = (
+  select jsonb_agg(
+    case when jsonb_typeof(c.color->'sizes') = 'array' then
+      c.color || jsonb_build_object('sizes', (
+        select coalesce(jsonb_agg(
+          (s.size - 'sku' - 'barcode' - 'price') || jsonb_build_object(
+            'sku', coalesce(
+              upper(btrim(nullif(s.size->>'sku', ''))),
+              p.id || '-' || pg_temp.sku_part(coalesce(nullif(c.color->>'name', ''), 'Padrão'))
+                   || '-' || pg_temp.sku_part(coalesce(nullif(s.size->>'name', ''), 'M'))
+            ),
+            'barcode', s.size->'barcode',
+            'price', s.size->'price'
+          )
+          order by s.position
+        ), '[]'::jsonb)
+        from jsonb_array_elements(c.color->'sizes') with ordinality as s(size, position)
+      ))
+    else c.color end
+    order by c.position
+  )
+  from jsonb_array_elements(p.colors) with ordinality as c(color, position)
+)
+where jsonb_typeof(p.colors) = 'array'
+  and jsonb_array_length(p.colors) > 0;
@@ -0,0 +1,22 @@
+-- Ciclo de vida dos produtos: draft, scheduled, active, archived, com
+-- publicação e retirada automáticas
+alter table products add column if not exists publish_at timestamptz;
+alter table products add column if not exists unpublish_at timestamptz;
+
+-- Status anteriores: vazio era ativo; outros textos livres ficam fora da loja
+update products set status = 'active' where status is null or status = '';
+update products set status = 'archived' where status not in ('draft', 'scheduled', 'active', 'archived');
+
+alter table products alter column status set default 'active';
+alter table products alter column status set not null;
+
+alter table products drop constraint if exists products_status_check;
+alter table products add constraint products_status_check
+  check (status in ('draft', 'scheduled', 'active', 'archived'));
+
+alter table products drop constraint if exists products_schedule_check;
+alter table products add constraint products_schedule_check
+  check (
+    (status <> 'scheduled' or publish_at is not null) and
+    (publish_at is null or unpublish_at is null or unpublish_at > publish_at)
+  );
@@ -0,0 +1,34 @@
+-- Webhooks de saída: assinaturas (URL, eventos e segredo do HMAC) e log de
+-- entregas com as tentativas
+create table if not exists webhook_subscriptions (
+  id bigint generated by default as identity primary key,
+  url text not null,
+  events text[] not null,
+  secret text not null,
+  description text,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+  id bigint generated by default as identity primary key,
+  subscription_id bigint not null references webhook_subscriptions (id) on delete cascade,
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending' check (status in ('pending', 'delivered', 'failed')),
+  attempts integer not null default 0,
+  response_status integer,
+  last_error text,
+  last_attempt_at timestamptz,
+  next_attempt_at timestamptz,
+  replay_of bigint references webhook_deliveries (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- Fila do cron: pendentes pela hora da próxima tentativa
+create index if not exists webhook_deliveries_due_idx
+  on webhook_deliveries (next_attempt_at)
+  where status = 'pending';
+
+create index if not exists webhook_deliveries_subscription_idx
+  on webhook_deliveries (subscription_id, id desc);
@@ -0,0 +1,3 @@
+-- Hash do token entregue à loja ao reservar: só quem o tem consulta ou
+-- cancela a reserva
+alter table stock_reservations add column if not exists token_hash text;
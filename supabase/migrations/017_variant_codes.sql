@@ -0,0 +1,118 @@
+-- SKUs gravados e únicos no banco.
+--
+-- Variantes gravadas sem SKU recebem o SKU padrão <id>-<COR>-<TAMANHO> no
+-- próprio insert/update (o id do produto novo só existe aqui). Depois de
+-- gravado, o SKU não muda quando a cor ou o tamanho é renomeado.
+--
+-- product_variant_codes guarda o SKU e o código de barras de cada variante,
+-- mantida por gatilho na mesma transação da gravação do produto: a chave
+-- primária recusa (23505) um código já usado, mesmo com gravações
+-- simultâneas que passaram pela validação da API.
+
+create or replace function variant_sku_part(text) returns text as $$
+  select btrim(regexp_replace(upper(translate(
+    $1,
+    'áàâãäéèêëíìîïóòôõöúùûüçñÁÀÂÃÄÉÈÊËÍÌÎÏÓÒÔÕÖÚÙÛÜÇÑ',
+    'aaaaaeeeeiiiiooooouuuucnAAAAAEEEEIIIIOOOOOUUUUCN'
+  )), '[^A-Z0-9]+', '-', 'g'), '-')
+$$ language sql immutable;
+
+create or replace function products_fill_skus() returns trigger as $$
+begin
+  if jsonb_typeof(new.colors) = 'array' then
+    new.colors := (
+      select coalesce(jsonb_agg(
+        case when jsonb_typeof(c.color->'sizes') = 'array' then
+          c.color || jsonb_build_object('sizes', (
+            select coalesce(jsonb_agg(
+              case when coalesce(s.size->>'sku', '') = '' then
+                s.size || jsonb_build_object('sku',
+                  new.id || '-' || variant_sku_part(coalesce(nullif(c.color->>'name', ''), 'Padrão'))
+                         || '-' || variant_sku_part(coalesce(nullif(s.size->>'name', ''), 'M'))
+                )
+              else s.size end
+              order by s.position
+            ), '[]'::jsonb)
+            from jsonb_array_elements(c.color->'sizes') with ordinality as s(size, position)
+          ))
+        else c.color end
+        order by c.position
+      ), '[]'::jsonb)
+      from jsonb_array_elements(new.colors) with ordinality as c(color, position)
+    );
+  end if;
+  return new;
+end;
+$$ language plpgsql;
+
+drop trigger if exists products_fill_skus on products;
+create trigger products_fill_skus
+  before insert or update of colors on products
+  for each row execute function products_fill_skus();
+
+create table if not exists product_variant_codes (
+  kind text not null check (kind in ('sku', 'barcode')),
+  code text not null,
+  product_id bigint not null references products(id) on delete cascade,
+  primary key (kind, code)
+);
+
+create index if not exists product_variant_codes_product_idx on product_variant_codes(product_id);
+
+-- Códigos das variantes do produto: [{ kind, code }]
+create or replace function product_variant_codes_of(colors jsonb) returns table (kind text, code text) as $$
+  select v.kind, v.code
+  from jsonb_array_elements(case when jsonb_typeof(colors) = 'array' then colors else '[]'::jsonb end) as c(color)
+  cross join lateral jsonb_array_elements(
+    case when jsonb_typeof(c.color->'sizes') = 'array' then c.color->'sizes' else '[]'::jsonb end
+  ) as s(size)
+  cross join lateral (values ('sku', s.size->>'sku'), ('barcode', s.size->>'barcode')) as v(kind, code)
+  where coalesce(v.code, '') <> ''
+$$ language sql immutable;
+
+create or replace function products_sync_variant_codes() returns trigger as $$
+declare
+  variant record;
+begin
+  delete from product_variant_codes where product_id = new.id;
+
+  for variant in select * from product_variant_codes_of(new.colors) loop
+    begin
+      insert into product_variant_codes (kind, code, product_id) values (variant.kind, variant.code, new.id);
+    exception when unique_violation then
+      raise exception using
+        errcode = 'unique_violation',
+        message = format('%s "%s" já é usado', case variant.kind when 'sku' then 'SKU' else 'Código de barras' end, variant.code);
+    end;
+  end loop;
+
+  return null;
+end;
+$$ language plpgsql;
+
+-- Códigos já gravados; falha se o catálogo tiver códigos repetidos
+-- (corrija-os pelo painel e rode a migração de novo)
+insert into product_variant_codes (kind, code, product_id)
+select v.kind, v.code, p.id
+from products p
+cross join lateral product_variant_codes_of(p.colors) as v
+on conflict (kind, code) do nothing;
+
+do $$
+begin
+  if exists (
+    select 1
+    from products p
+    cross join lateral product_variant_codes_of(p.colors) as v
+    left join product_variant_codes pvc on pvc.kind = v.kind and pvc.code = v.code and pvc.product_id = p.id
+    where pvc.kind is null
+  ) then
+    raise exception 'SKUs ou códigos de barras repetidos no catálogo';
+  end if;
+end;
+$$;
+
+drop trigger if exists products_sync_variant_codes on products;
+create trigger products_sync_variant_codes
+  after insert or update of colors on products
+  for each row execute function products_sync_variant_codes();
@@ -0,0 +1,60 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials } from './helpers.js';
+
+describe('administradores', () => {
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetState({
+      admin_credentials: [
+        await adminCredentials(),
+        await adminCredentials({ id: 2, username: 'estoque', role: 'stock_clerk' })
+      ]
+    });
+    token = await login();
+  });
+
+  it('cria administrador com o papel informado e recusa nome repetido', async () => {
+    const created = await request('POST', '/api/admins', { token, body: { username: 'editora', password: 'outra-senha-123', role: 'catalog_editor' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.admin.role, 'catalog_editor');
+    assert.equal(created.body.admin.password_hash, undefined);
+
+    const editorToken = await login('editora', 'outra-senha-123');
+    assert.equal((await request('GET', '/api/products/export', { token: editorToken })).status, 200);
+    assert.equal((await request('GET', '/api/admins', { token: editorToken })).status, 403);
+
+    const duplicate = await request('POST', '/api/admins', { token, body: { username: 'editora', password: 'outra-senha-123' } });
+    assert.equal(duplicate.status, 409);
+
+    const weak = await request('POST', '/api/admins', { token, body: { username: 'fraca', password: '123' } });
+    assert.equal(weak.status, 400);
+  });
+
+  it('desativar encerra as sessões do administrador', async () => {
+    const clerkToken = await login('estoque');
+    assert.equal((await request('GET', '/api/stock/alerts', { token: clerkToken })).status, 200);
+
+    const disabled = await request('POST', '/api/admins/2/disable', { token });
+    assert.equal(disabled.status, 200);
+
+    assert.equal((await request('GET', '/api/stock/alerts', { token: clerkToken })).status, 401);
+    assert.equal((await request('POST', '/api/auth/login', { body: { username: 'estoque', password: 'senha-forte-123' } })).status, 401);
+
+    const self = await request('POST', '/api/admins/1/disable', { token });
+    assert.equal(self.status, 400);
+  });
+
+  it('trocar a própria senha exige a senha atual', async () => {
+    const wrong = await request('PUT', '/api/admins/1/password', { token, body: { currentPassword: 'errada', newPassword: 'nova-senha-456' } });
+    assert.equal(wrong.status, 401);
+
+    const changed = await request('PUT', '/api/admins/1/password', { token, body: { currentPassword: 'senha-forte-123', newPassword: 'nova-senha-456' } });
+    assert.equal(changed.status, 200);
+    await login('dona', 'nova-senha-456');
+  });
+});
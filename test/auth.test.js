@@ -0,0 +1,94 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials } from './helpers.js';
+import { refreshSession } from '../lib/auth.js';
+
+describe('login', () => {
+  let tables;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({ admin_credentials: [await adminCredentials()] });
+  });
+
+  it('devolve tokens para usuário e senha corretos', async () => {
+    const response = await request('POST', '/api/auth/login', { body: { username: 'dona', password: 'senha-forte-123' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.ok(response.body.token);
+    assert.ok(response.body.refreshToken);
+
+    const verify = await request('GET', '/api/auth/verify', { token: response.body.token });
+    assert.equal(verify.body.valid, true);
+    assert.equal(verify.body.user.username, 'dona');
+  });
+
+  it('recusa senha errada e usuário inexistente com 401', async () => {
+    const wrongPassword = await request('POST', '/api/auth/login', { body: { username: 'dona', password: 'errada' } });
+    const unknownUser = await request('POST', '/api/auth/login', { body: { username: 'ninguem', password: 'senha-forte-123' } });
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(wrongPassword.body.code, 'UNAUTHORIZED');
+    assert.equal(unknownUser.status, 401);
+  });
+
+  it('migra a senha antiga (base64 invertido) para scrypt no login', async () => {
+    const legacy = Buffer.from('antiga123').toString('base64').split('').reverse().join('');
+    tables.admin_credentials.push({ id: 2, username: 'loja', role: 'owner', disabled: false, encrypted_password: legacy, password_hash: null });
+
+    await login('loja', 'antiga123');
+
+    const credentials = tables.admin_credentials.find(row => row.username === 'loja');
+    assert.match(credentials.password_hash, /^scrypt\$/);
+    assert.equal(credentials.encrypted_password, null);
+    await login('loja', 'antiga123');
+  });
+
+  it('bloqueia o usuário após falhas seguidas, mesmo com a senha certa', async () => {
+    for (let attempt = 0; attempt < 4; attempt++) {
+      const response = await request('POST', '/api/auth/login', { body: { username: 'dona', password: 'errada' } });
+      assert.equal(response.status, 401);
+    }
+
+    const locked = await request('POST', '/api/auth/login', { body: { username: 'dona', password: 'errada' } });
+    assert.equal(locked.status, 429);
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+    const correct = await request('POST', '/api/auth/login', { body: { username: 'dona', password: 'senha-forte-123' } });
+    assert.equal(correct.status, 429);
+  });
+
+  it('renova a sessão trocando o refresh token', async () => {
+    const { body } = await request('POST', '/api/auth/login', { body: { username: 'dona', password: 'senha-forte-123' } });
+
+    const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken: body.refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.body.refreshToken, body.refreshToken);
+
+    const reused = await request('POST', '/api/auth/refresh', { body: { refreshToken: body.refreshToken } });
+    assert.equal(reused.status, 401);
+  });
+
+  it('duas renovações simultâneas com o mesmo token revogam a sessão', async () => {
+    const { body } = await request('POST', '/api/auth/login', { body: { username: 'dona', password: 'senha-forte-123' } });
+
+    const results = await Promise.all([refreshSession(body.refreshToken), refreshSession(body.refreshToken)]);
+
+    const winner = results.find(Boolean);
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.ok(tables.admin_sessions[0].revoked_at);
+    assert.equal(await refreshSession(winner.refreshToken), null);
+    assert.equal((await request('GET', '/api/auth/verify', { token: winner.token })).body.valid, false);
+  });
+
+  it('exige token nas rotas do painel', async () => {
+    const anonymous = await request('GET', '/api/products/export');
+    const invalid = await request('GET', '/api/products/export', { token: 'token-invalido' });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(invalid.status, 401);
+  });
+});
@@ -0,0 +1,241 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+import { setCache, cached, invalidateCache } from '../lib/cache/index.js';
+import { createRedisCache } from '../lib/cache/redis.js';
+
+// Stub da API REST do Upstash: POST com [comando, ...argumentos], resposta
+// { result } ou { error }. clock.offset adianta o relógio das expirações.
+function createRedisStub(token) {
+  const store = new Map();
+  const clock = { offset: 0 };
+  const commands = [];
+
+  const now = () => Date.now() + clock.offset;
+  const read = key => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= now()) {
+      store.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  };
+
+  const handlers = {
+    GET: ([key]) => read(key),
+    MGET: keys => keys.map(read),
+    SET: ([key, value, option, seconds]) => {
+      store.set(key, { value, expiresAt: option === 'EX' ? now() + Number(seconds) * 1000 : null });
+      return 'OK';
+    },
+    DEL: keys => keys.filter(key => store.delete(key)).length,
+    INCR: ([key]) => {
+      const value = Number(read(key) || 0) + 1;
+      store.set(key, { value: String(value), expiresAt: store.get(key)?.expiresAt ?? null });
+      return value;
+    },
+    EXPIRE: ([key, seconds]) => {
+      if (read(key) === null) return 0;
+      store.get(key).expiresAt = now() + Number(seconds) * 1000;
+      return 1;
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const send = (status, payload) => res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(payload));
+      if (req.headers.authorization !== `Bearer ${token}`) {
+        return send(401, { error: 'Unauthorized' });
+      }
+      const [name, ...args] = JSON.parse(body);
+      commands.push([name, ...args]);
+      if (!handlers[name]) {
+        return send(400, { error: `ERR unknown command '${name}'` });
+      }
+      send(200, { result: handlers[name](args) });
+    });
+  });
+
+  return {
+    store,
+    clock,
+    commands,
+    url: null,
+    async start() {
+      server.listen(0);
+      await new Promise(resolve => server.once('listening', resolve));
+      this.url = `http://127.0.0.1:${server.address().port}`;
+    },
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('cache das leituras públicas', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas'), categoryRow('bones')],
+      products: [productRow(1), productRow(2, { category: 'bones' })]
+    });
+    token = await login();
+  });
+
+  it('responde 304 para If-None-Match com o ETag atual', async () => {
+    const first = await request('GET', '/api/products');
+    const etag = first.headers.get('etag');
+
+    assert.equal(first.status, 200);
+    assert.ok(etag);
+
+    const second = await request('GET', '/api/products', { headers: { 'If-None-Match': etag } });
+    assert.equal(second.status, 304);
+  });
+
+  it('serve do cache até uma escrita pela API invalidá-lo', async () => {
+    const first = await request('GET', '/api/products');
+    const etag = first.headers.get('etag');
+    await request('GET', '/api/products/1');
+
+    // Alteração direta no banco não passa pela invalidação: segue o cache
+    tables.products[0].description = 'Alterada fora da API';
+    const stale = await request('GET', '/api/products/1');
+    assert.equal(stale.body.product.description, 'Algodão');
+
+    await request('PUT', '/api/products/1', { token, body: { title: 'Camiseta Nova' } });
+
+    const list = await request('GET', '/api/products', { headers: { 'If-None-Match': etag } });
+    assert.equal(list.status, 200);
+    assert.notEqual(list.headers.get('etag'), etag);
+    assert.ok(list.body.products.some(product => product.title === 'Camiseta Nova'));
+
+    const item = await request('GET', '/api/products/1');
+    assert.equal(item.body.product.title, 'Camiseta Nova');
+  });
+
+  it('reflete a atualização de estoque no produto', async () => {
+    const before = await request('GET', '/api/products/1');
+    assert.equal(before.body.product.colors[0].sizes[0].stock, 5);
+
+    await request('POST', '/api/stock/update', { token, body: { sku: '1-PRETO-M', quantityChange: -2, reason: 'sale' } });
+
+    const after = await request('GET', '/api/products/1');
+    assert.equal(after.body.product.colors[0].sizes[0].stock, 3);
+  });
+
+  it('reflete a exclusão de categoria na lista de categorias e nos produtos', async () => {
+    const before = await request('GET', '/api/categories');
+    assert.deepEqual(before.body.categories.map(category => category.id).sort(), ['bones', 'camisetas']);
+    await request('GET', '/api/products?category=bones');
+
+    await request('DELETE', '/api/categories/bones?moveTo=camisetas', { token });
+
+    const categories = await request('GET', '/api/categories');
+    assert.deepEqual(categories.body.categories.map(category => category.id), ['camisetas']);
+
+    const moved = await request('GET', '/api/products?category=camisetas');
+    assert.deepEqual(moved.body.products.map(product => product.id).sort(), [1, 2]);
+  });
+});
+
+describe('cache no Redis (API REST)', () => {
+  const stub = createRedisStub('token-do-redis');
+  let redis;
+  let token;
+
+  before(async () => {
+    await startServer();
+    await stub.start();
+  });
+  after(async () => {
+    await stub.stop();
+    await stopServer();
+  });
+
+  beforeEach(async () => {
+    resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1)]
+    });
+    stub.store.clear();
+    stub.commands.length = 0;
+    stub.clock.offset = 0;
+    redis = createRedisCache({ url: stub.url, token: 'token-do-redis' });
+    setCache(redis);
+    token = await login();
+  });
+
+  it('grava e lê valores em JSON com o prefixo, e os apaga', async () => {
+    await redis.set('chave', { a: 1, lista: ['x'] });
+
+    assert.deepEqual(await redis.get('chave'), { a: 1, lista: ['x'] });
+    assert.equal(stub.store.get('urbanz:chave').value, '{"a":1,"lista":["x"]}');
+    assert.deepEqual(await redis.mget(['chave', 'ausente']), [{ a: 1, lista: ['x'] }, null]);
+
+    await redis.del(['chave']);
+    assert.equal(await redis.get('chave'), null);
+  });
+
+  it('expira valores e contadores pelo ttl', async () => {
+    await redis.set('curta', 'valor', 60);
+    assert.deepEqual(stub.commands.at(-1), ['SET', 'urbanz:curta', '"valor"', 'EX', '60']);
+
+    assert.equal(await redis.incr('tentativas', 60), 1);
+    assert.equal(await redis.incr('tentativas', 60), 2);
+    assert.deepEqual(stub.commands.filter(([name, key]) => name === 'EXPIRE' && key === 'urbanz:tentativas'), [['EXPIRE', 'urbanz:tentativas', '60']]);
+
+    stub.clock.offset = 61 * 1000;
+    assert.equal(await redis.get('curta'), null);
+    assert.equal(await redis.incr('tentativas', 60), 1);
+  });
+
+  it('falha com token errado', async () => {
+    const wrongToken = createRedisCache({ url: stub.url, token: 'outro' });
+
+    await assert.rejects(wrongToken.get('chave'), /Redis GET: Unauthorized/);
+    await assert.rejects(wrongToken.set('chave', 1), /Redis SET: Unauthorized/);
+    assert.equal(stub.store.has('urbanz:chave'), false);
+  });
+
+  it('invalidar troca a geração do namespace e as chaves dos valores', async () => {
+    let computed = 0;
+    const compute = async () => ({ computed: ++computed });
+
+    const first = await cached('products:query:teste', ['products'], compute);
+    const second = await cached('products:query:teste', ['products'], compute);
+    assert.deepEqual([first.hit, second.hit, second.value], [false, true, { computed: 1 }]);
+
+    const generation = JSON.parse(stub.store.get('urbanz:ns:products').value).gen;
+    assert.ok(stub.store.has(`urbanz:products:query:teste@${generation}`));
+
+    await invalidateCache('products');
+    const newGeneration = JSON.parse(stub.store.get('urbanz:ns:products').value).gen;
+    assert.notEqual(newGeneration, generation);
+
+    const third = await cached('products:query:teste', ['products'], compute);
+    assert.deepEqual([third.hit, third.value], [false, { computed: 2 }]);
+    assert.ok(stub.store.has(`urbanz:products:query:teste@${newGeneration}`));
+  });
+
+  it('a API serve do Redis e invalida nas escritas', async () => {
+    const first = await request('GET', '/api/products/1');
+    const cachedRead = await request('GET', '/api/products/1');
+    assert.equal(cachedRead.headers.get('etag'), first.headers.get('etag'));
+    assert.ok([...stub.store.keys()].some(key => key.startsWith('urbanz:products:item:1:')));
+
+    await request('PUT', '/api/products/1', { token, body: { title: 'Camiseta Nova' } });
+
+    const updated = await request('GET', '/api/products/1');
+    assert.equal(updated.body.product.title, 'Camiseta Nova');
+    assert.notEqual(updated.headers.get('etag'), first.headers.get('etag'));
+  });
+});
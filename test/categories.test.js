@@ -0,0 +1,92 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+
+describe('DELETE /api/categories/:categoryId', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [
+        categoryRow('roupas'),
+        categoryRow('camisetas', { parent_id: 'roupas' }),
+        categoryRow('regatas', { parent_id: 'camisetas' }),
+        categoryRow('bones')
+      ],
+      products: [productRow(1), productRow(2), productRow(3, { category: 'bones' })]
+    });
+    token = await login();
+  });
+
+  it('recusa excluir categoria com produtos sem moveTo (409) e lista os produtos', async () => {
+    const response = await request('DELETE', '/api/categories/camisetas', { token });
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(response.body.products.map(product => product.id).sort(), [1, 2]);
+    assert.ok(tables.categories.some(category => category.id === 'camisetas'));
+  });
+
+  it('move os produtos para moveTo e sobe as subcategorias um nível', async () => {
+    const response = await request('DELETE', '/api/categories/camisetas?moveTo=bones', { token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.movedProducts, 2);
+
+    assert.ok(!tables.categories.some(category => category.id === 'camisetas'));
+    assert.equal(tables.categories.find(category => category.id === 'regatas').parent_id, 'roupas');
+    assert.deepEqual(tables.products.map(product => product.category), ['bones', 'bones', 'bones']);
+  });
+
+  it('registra no histórico e avisa os webhooks dos produtos movidos', async () => {
+    tables.webhook_subscriptions = [{ id: 1, url: 'https://destino.test/hook', events: ['product.updated'], active: true, secret: 'whsec_teste' }];
+
+    await request('DELETE', '/api/categories/camisetas?moveTo=bones', { token });
+
+    assert.deepEqual(tables.products.map(product => product.version), [1, 1, 0]);
+    assert.deepEqual(
+      tables.product_history.map(entry => [entry.product_id, entry.action, entry.note]),
+      [[1, 'update', 'Categoria "Camisetas" excluída'], [2, 'update', 'Categoria "Camisetas" excluída']]
+    );
+    assert.deepEqual(
+      tables.webhook_deliveries.map(delivery => [delivery.event, delivery.payload.data.product.id, delivery.payload.data.product.category]),
+      [['product.updated', 1, 'bones'], ['product.updated', 2, 'bones']]
+    );
+  });
+
+  it('exclui categoria vazia sem moveTo', async () => {
+    const response = await request('DELETE', '/api/categories/roupas', { token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.movedProducts, 0);
+    assert.equal(tables.categories.find(category => category.id === 'camisetas').parent_id, null);
+  });
+
+  it('valida moveTo', async () => {
+    const same = await request('DELETE', '/api/categories/camisetas?moveTo=camisetas', { token });
+    const missing = await request('DELETE', '/api/categories/camisetas?moveTo=inexistente', { token });
+
+    assert.equal(same.status, 400);
+    assert.equal(missing.status, 404);
+    assert.equal(tables.categories.length, 4);
+    assert.deepEqual(tables.products.map(product => product.category), ['camisetas', 'camisetas', 'bones']);
+  });
+
+  it('responde 404 para categoria inexistente', async () => {
+    const response = await request('DELETE', '/api/categories/inexistente', { token });
+    assert.equal(response.status, 404);
+  });
+
+  it('exige a permissão categories:delete', async () => {
+    tables.admin_credentials.push(await adminCredentials({ id: 2, username: 'editor', role: 'catalog_editor' }));
+    const editorToken = await login('editor');
+
+    const response = await request('DELETE', '/api/categories/bones', { token: editorToken });
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow, cronHeaders } from './helpers.js';
+import { getDb, setDb } from '../lib/db/index.js';
+
+describe('reservas de estoque do checkout', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1), productRow(2)]
+    });
+    token = await login();
+  });
+
+  function stockOf(productId, size) {
+    return tables.products.find(product => product.id === productId).colors[0].sizes.find(s => s.name === size).stock;
+  }
+
+  function reserve(items) {
+    return request('POST', '/api/checkout/reserve', { body: { items } });
+  }
+
+  it('baixa o estoque de todas as linhas e devolve um token da reserva', async () => {
+    const response = await reserve([
+      { productId: 1, color: 'Preto', size: 'M', quantity: 2 },
+      { productId: 2, color: 'Preto', size: 'G', quantity: 1 }
+    ]);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.reservation.status, 'active');
+    assert.ok(response.body.token);
+    assert.equal(stockOf(1, 'M'), 3);
+    assert.equal(stockOf(2, 'G'), 1);
+  });
+
+  it('não reserva nada se alguma linha não tiver estoque', async () => {
+    const response = await reserve([
+      { productId: 1, color: 'Preto', size: 'M', quantity: 2 },
+      { productId: 2, color: 'Preto', size: 'G', quantity: 3 }
+    ]);
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.errors[0].productId, 2);
+    assert.equal(stockOf(1, 'M'), 5);
+    assert.equal(tables.stock_reservations.length, 0);
+  });
+
+  it('reservas simultâneas não vendem a mesma unidade duas vezes', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 4 }, () => reserve([{ productId: 1, color: 'Preto', size: 'G', quantity: 1 }]))
+    );
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 201, 409, 409]);
+    assert.equal(stockOf(1, 'G'), 0);
+  });
+
+  it('consulta e cancelamento exigem o token da reserva', async () => {
+    const { body } = await reserve([{ productId: 1, color: 'Preto', size: 'M', quantity: 2 }]);
+    const path = `/api/checkout/reservations/${body.reservation.id}`;
+
+    assert.equal((await request('GET', path)).status, 404);
+    assert.equal((await request('GET', path, { headers: { 'X-Reservation-Token': 'outro' } })).status, 404);
+    assert.equal((await request('DELETE', path, { headers: { 'X-Reservation-Token': 'outro' } })).status, 404);
+    assert.equal(stockOf(1, 'M'), 3);
+
+    const own = await request('GET', path, { headers: { 'X-Reservation-Token': body.token } });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.reservation.id, body.reservation.id);
+
+    const cancelled = await request('DELETE', path, { headers: { 'X-Reservation-Token': body.token } });
+    assert.equal(cancelled.status, 200);
+    assert.equal(stockOf(1, 'M'), 5);
+  });
+
+  it('confirmação exige sessão com permissão de pedidos e torna a baixa definitiva', async () => {
+    const { body } = await reserve([{ productId: 1, color: 'Preto', size: 'M', quantity: 2 }]);
+    const path = `/api/checkout/reservations/${body.reservation.id}`;
+
+    const anonymous = await request('POST', `${path}/confirm`);
+    assert.equal(anonymous.status, 401);
+
+    const confirmed = await request('POST', `${path}/confirm`, { token });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.body.reservation.status, 'confirmed');
+
+    // Reserva confirmada não volta ao estoque
+    const cancelled = await request('DELETE', path, { headers: { 'X-Reservation-Token': body.token } });
+    assert.equal(cancelled.status, 409);
+    assert.equal(stockOf(1, 'M'), 3);
+  });
+
+  it('o cron devolve o estoque das reservas vencidas', async () => {
+    const { body } = await reserve([{ productId: 1, color: 'Preto', size: 'M', quantity: 2 }]);
+    tables.stock_reservations[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const unauthorized = await request('GET', '/api/cron/expire-reservations');
+    assert.equal(unauthorized.status, 401);
+
+    const response = await request('GET', '/api/cron/expire-reservations', { headers: cronHeaders });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.released, 1);
+    assert.equal(stockOf(1, 'M'), 5);
+
+    const expired = await request('GET', `/api/checkout/reservations/${body.reservation.id}`, { headers: { 'X-Reservation-Token': body.token } });
+    assert.equal(expired.body.reservation.status, 'expired');
+  });
+
+  it('se a devolução do estoque falhar, a reserva continua ativa para o cron', async () => {
+    await reserve([{ productId: 1, color: 'Preto', size: 'M', quantity: 2 }]);
+    tables.stock_reservations[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    // Tabela products fora do ar durante a primeira execução
+    const memory = getDb();
+    setDb({
+      from: table => {
+        if (table === 'products') throw new Error('products indisponível');
+        return memory.from(table);
+      }
+    });
+    const failed = await request('GET', '/api/cron/expire-reservations', { headers: cronHeaders });
+    setDb(memory);
+
+    assert.equal(failed.body.released, 0);
+    assert.equal(tables.stock_reservations[0].status, 'active');
+    assert.equal(stockOf(1, 'M'), 3);
+
+    const retried = await request('GET', '/api/cron/expire-reservations', { headers: cronHeaders });
+    assert.equal(retried.body.released, 1);
+    assert.equal(tables.stock_reservations[0].status, 'expired');
+    assert.equal(stockOf(1, 'M'), 5);
+  });
+
+  it('salvar o catálogo lido antes de uma reserva é recusado (409) e mantém a baixa', async () => {
+    const { body: catalog } = await request('GET', '/api/products', { token });
+    await reserve([{ productId: 1, color: 'Preto', size: 'M', quantity: 2 }]);
+
+    const response = await request('POST', '/api/products', { token, body: { products: catalog.products } });
+
+    assert.equal(response.status, 409);
+    assert.deepEqual(response.body.conflicts, [{ productId: 1, version: 0, currentVersion: 1 }]);
+    assert.equal(stockOf(1, 'M'), 3);
+  });
+
+  it('salvar o catálogo incrementa a versão dos produtos gravados', async () => {
+    const { body: catalog } = await request('GET', '/api/products', { token });
+
+    const response = await request('POST', '/api/products/bulk', { token, body: { products: [{ ...catalog.products[0], title: 'Nova' }] } });
+
+    assert.equal(response.status, 200);
+    assert.equal(tables.products.find(product => product.id === 1).version, 1);
+    assert.equal(tables.products.find(product => product.id === 2).version, 0);
+
+    const stale = await request('POST', '/api/products/bulk', { token, body: { products: [catalog.products[0]] } });
+    assert.equal(stale.status, 409);
+  });
+});
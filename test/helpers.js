@@ -0,0 +1,106 @@
+import { setDb } from '../lib/db/index.js';
+import { createMemoryDb } from '../lib/db/memory.js';
+import { setCache } from '../lib/cache/index.js';
+import { createMemoryCache } from '../lib/cache/memory.js';
+import { setStorage } from '../lib/storage/index.js';
+import { createMemoryStorage } from '../lib/storage/memory.js';
+import { setNotifier, createMemoryNotifier } from '../lib/notifier.js';
+import { hashPassword } from '../lib/passwords.js';
+import { app } from '../api/index.js';
+
+// Ambiente dos testes de integração: o app Express (sem o handler da
+// Vercel) num servidor local, com banco, cache, armazenamento de imagens e
+// notificador em memória no lugar do Supabase e do Redis.
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'segredo-de-teste';
+process.env.CRON_SECRET = process.env.CRON_SECRET || 'segredo-do-cron';
+
+// Header das rotas /api/cron/*
+export const cronHeaders = { Authorization: `Bearer ${process.env.CRON_SECRET}` };
+
+let server = null;
+let baseUrl = null;
+
+export async function startServer() {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+export async function stopServer() {
+  await new Promise(resolve => server.close(resolve));
+}
+
+// Estado limpo para cada teste. seed: { tabela: [linhas] }. Retorna as
+// tabelas do banco em memória (alteradas pelas requisições).
+export function resetState(seed = {}) {
+  const db = createMemoryDb({ seed });
+  setDb(db);
+  setCache(createMemoryCache());
+  setStorage(createMemoryStorage());
+  setNotifier(createMemoryNotifier());
+  return db.tables();
+}
+
+// Requisição ao app: { status, headers, body } (JSON quando possível).
+// form: FormData enviado como multipart/form-data no lugar do body JSON.
+// Com If-None-Match, o fetch adiciona Cache-Control: no-cache (e o Express
+// nunca responde 304); max-age=0 revalida como o navegador.
+export async function request(method, path, { body, form, token, headers = {} } = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(headers['If-None-Match'] ? { 'Cache-Control': 'max-age=0' } : {}),
+      ...headers
+    },
+    body: form || (body !== undefined ? JSON.stringify(body) : undefined)
+  });
+
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Resposta sem JSON (ex.: 304)
+  }
+
+  return { status: response.status, headers: response.headers, body: parsed };
+}
+
+export async function adminCredentials({ id = 1, username = 'dona', password = 'senha-forte-123', role = 'owner' } = {}) {
+  return { id, username, role, disabled: false, password_hash: await hashPassword(password) };
+}
+
+export async function login(username = 'dona', password = 'senha-forte-123') {
+  const response = await request('POST', '/api/auth/login', { body: { username, password } });
+  if (response.status !== 200) {
+    throw new Error(`Login falhou (${response.status}): ${JSON.stringify(response.body)}`);
+  }
+  return response.body.token;
+}
+
+// Produto gravado (linha da tabela products)
+export function productRow(id, fields = {}) {
+  return {
+    id,
+    title: `Produto ${id}`,
+    category: 'camisetas',
+    price: 59.9,
+    description: 'Algodão',
+    status: 'active',
+    version: 0,
+    colors: [
+      {
+        name: 'Preto',
+        image: 'https://cdn.test/preto.png',
+        sizes: [{ name: 'M', stock: 5 }, { name: 'G', stock: 2 }]
+      }
+    ],
+    ...fields
+  };
+}
+
+export function categoryRow(id, fields = {}) {
+  return { id, name: id.charAt(0).toUpperCase() + id.slice(1), description: `Categoria de ${id}`, parent_id: null, position: 0, ...fields };
+}
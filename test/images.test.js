@@ -0,0 +1,125 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow, cronHeaders } from './helpers.js';
+import { getStorage } from '../lib/storage/index.js';
+
+describe('imagens', () => {
+  let tables;
+  let token;
+  let png;
+
+  before(async () => {
+    await startServer();
+    png = await sharp({ create: { width: 640, height: 480, channels: 3, background: '#336699' } }).png().toBuffer();
+  });
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1)]
+    });
+    token = await login();
+  });
+
+  function upload(files) {
+    const form = new FormData();
+    for (const { buffer, type, name } of files) {
+      form.append('images', new Blob([buffer], { type }), name);
+    }
+    return request('POST', '/api/images', { token, form });
+  }
+
+  it('grava a imagem e a miniatura e devolve as URLs', async () => {
+    const response = await upload([{ buffer: png, type: 'image/png', name: 'frente.png' }]);
+
+    assert.equal(response.status, 201);
+    const [image] = response.body.images;
+    assert.deepEqual([image.contentType, image.width, image.height], ['image/png', 640, 480]);
+    assert.match(image.url, /^https:\/\/storage\.test\/products\/.+\.png$/);
+    assert.match(image.thumbnailUrl, /_thumb\.webp$/);
+
+    const thumbnail = getStorage().files[`products/${image.id}_thumb.webp`];
+    assert.deepEqual(await sharp(thumbnail.buffer).metadata().then(({ width, height }) => [width, height]), [320, 240]);
+
+    const found = await request('GET', `/api/images/${image.id}`, { token });
+    assert.equal(found.body.image.url, image.url);
+  });
+
+  it('não grava nada se algum arquivo for inválido', async () => {
+    const response = await upload([
+      { buffer: png, type: 'image/png', name: 'frente.png' },
+      { buffer: png, type: 'image/jpeg', name: 'costas.jpg' },
+      { buffer: Buffer.from('texto'), type: 'text/plain', name: 'notas.txt' }
+    ]);
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors.map(error => error.field), ['images[1]', 'images[2]']);
+    assert.equal(tables.product_images?.length ?? 0, 0);
+    assert.deepEqual(getStorage().files, {});
+  });
+
+  it('só exclui imagens que nenhum produto usa', async () => {
+    const { body } = await upload([
+      { buffer: png, type: 'image/png', name: 'frente.png' },
+      { buffer: png, type: 'image/png', name: 'sobra.png' }
+    ]);
+    const [used, unused] = body.images;
+    const colors = [{ ...productRow(1).colors[0], image: used.url }];
+    await request('PUT', '/api/products/1', { token, body: { colors } });
+
+    const inUse = await request('DELETE', `/api/images/${used.id}`, { token });
+    assert.equal(inUse.status, 409);
+
+    const removed = await request('DELETE', `/api/images/${unused.id}`, { token });
+    assert.equal(removed.status, 200);
+    assert.equal((await request('GET', `/api/images/${unused.id}`, { token })).status, 404);
+    assert.deepEqual(Object.keys(getStorage().files).sort(), [`products/${used.id}.png`, `products/${used.id}_thumb.webp`]);
+  });
+
+  it('excluir um produto com histórico apaga as imagens dele', async () => {
+    const { body } = await upload([{ buffer: png, type: 'image/png', name: 'frente.png' }]);
+    const [image] = body.images;
+    const colors = [{ ...productRow(1).colors[0], image: image.url }];
+    await request('PUT', '/api/products/1', { token, body: { colors } });
+    await request('PUT', '/api/products/1', { token, body: { title: 'Renomeado' } });
+    assert.equal(tables.product_history.length, 2);
+
+    const response = await request('DELETE', '/api/products/1', { token });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(getStorage().files, {});
+    assert.equal((await request('GET', `/api/images/${image.id}`, { token })).status, 404);
+  });
+
+  it('imagem de cor removida fica enquanto uma versão recente a usa', async () => {
+    const { body } = await upload([{ buffer: png, type: 'image/png', name: 'frente.png' }]);
+    const [image] = body.images;
+    const colors = [{ ...productRow(1).colors[0], image: image.url }];
+    await request('PUT', '/api/products/1', { token, body: { colors } });
+
+    await request('PUT', '/api/products/1', { token, body: { colors: productRow(1).colors } });
+    assert.equal(Object.keys(getStorage().files).length, 2);
+
+    // Versões e upload antigos: o cron libera a imagem
+    const old = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    for (const row of [...tables.product_history, ...tables.product_images]) row.created_at = old;
+
+    const response = await request('GET', '/api/cron/cleanup-images', { headers: cronHeaders });
+    assert.equal(response.body.removed, 1);
+    assert.deepEqual(getStorage().files, {});
+  });
+
+  it('o cron remove uploads antigos que nunca foram usados', async () => {
+    const { body } = await upload([{ buffer: png, type: 'image/png', name: 'frente.png' }]);
+    tables.product_images[0].created_at = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+
+    const response = await request('GET', '/api/cron/cleanup-images', { headers: cronHeaders });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.removed, 1);
+    assert.equal((await request('GET', `/api/images/${body.images[0].id}`, { token })).status, 404);
+  });
+});
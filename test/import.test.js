@@ -0,0 +1,79 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+
+describe('exportação e importação do catálogo', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1), productRow(2)]
+    });
+    token = await login();
+  });
+
+  async function exportRows() {
+    const response = await request('GET', '/api/products/export?format=json', { token });
+    assert.equal(response.status, 200);
+    return response.body.rows;
+  }
+
+  it('exporta uma linha por variante, em JSON ou CSV', async () => {
+    const rows = await exportRows();
+    assert.deepEqual(rows.map(row => [row.id, row.color, row.size, row.stock]), [
+      [1, 'Preto', 'M', 5], [1, 'Preto', 'G', 2],
+      [2, 'Preto', 'M', 5], [2, 'Preto', 'G', 2]
+    ]);
+
+    const csv = await request('GET', '/api/products/export', { token });
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.equal(csv.body.trim().split('\n').length, 5);
+  });
+
+  it('dryRun relata as mudanças sem aplicar; a importação aplica', async () => {
+    const rows = (await exportRows())
+      .filter(row => row.id === 1)
+      .map(row => row.size === 'M' ? { ...row, stock: 8 } : row);
+    rows.push({ ...rows[0], id: '', title: 'Nova', sku: '', stock: 1 });
+
+    const preview = await request('POST', '/api/products/import?dryRun=true', { token, body: { rows } });
+    assert.equal(preview.status, 200);
+    assert.deepEqual(preview.body.summary, { rows: 3, create: 1, update: 1, unchanged: 0, remove: 1, errors: 0 });
+    assert.deepEqual(preview.body.update[0].fields, ['colors']);
+    assert.equal(tables.products.length, 2);
+
+    const applied = await request('POST', '/api/products/import', { token, body: { rows } });
+    assert.equal(applied.status, 200);
+    assert.deepEqual(tables.products.map(product => product.title).sort(), ['Nova', 'Produto 1']);
+    assert.equal(tables.products.find(product => product.id === 1).colors[0].sizes[0].stock, 8);
+    assert.equal(tables.catalog_snapshots.length, 1);
+  });
+
+  it('mode=merge mantém os produtos ausentes da planilha', async () => {
+    const rows = (await exportRows()).filter(row => row.id === 2).map(row => ({ ...row, price: 70 }));
+
+    const response = await request('POST', '/api/products/import?mode=merge', { token, body: { rows } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.summary.remove, 0);
+    assert.deepEqual(tables.products.map(product => [product.id, product.price]), [[1, 59.9], [2, 70]]);
+  });
+
+  it('recusa a planilha inteira se alguma linha for inválida', async () => {
+    const rows = await exportRows();
+    rows[1] = { ...rows[1], stock: -1 };
+    rows[3] = { ...rows[3], category: 'inexistente' };
+
+    const response = await request('POST', '/api/products/import', { token, body: { rows } });
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors.map(error => error.row), [2, 4]);
+    assert.equal(tables.products[0].colors[0].sizes[1].stock, 2);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+
+describe('pedidos', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1)]
+    });
+    token = await login();
+  });
+
+  function stockOf(size) {
+    return tables.products[0].colors[0].sizes.find(s => s.name === size).stock;
+  }
+
+  function createOrder(items, fields = {}) {
+    return request('POST', '/api/orders', {
+      body: { customer: { name: 'Cliente', email: 'Cliente@Exemplo.com' }, items, ...fields }
+    });
+  }
+
+  it('cria o pedido pendente com o snapshot dos itens e reserva o estoque', async () => {
+    const response = await createOrder([{ productId: 1, color: 'Preto', size: 'M', quantity: 2 }]);
+
+    assert.equal(response.status, 201);
+    const { order } = response.body;
+    assert.equal(order.status, 'pending');
+    assert.equal(order.customer_email, 'cliente@exemplo.com');
+    assert.equal(order.total, 119.8);
+    assert.deepEqual(
+      order.items.map(item => [item.title, item.sku, item.quantity, item.unitPrice, item.lineTotal]),
+      [['Produto 1', '1-PRETO-M', 2, 59.9, 119.8]]
+    );
+    assert.equal(stockOf('M'), 3);
+
+    // O snapshot não muda quando o produto muda
+    await request('PUT', '/api/products/1', { token, body: { title: 'Renomeado', price: 99 } });
+    const stored = await request('GET', `/api/orders/${order.id}`, { token });
+    assert.equal(stored.body.order.items[0].title, 'Produto 1');
+  });
+
+  it('recusa pedido sem estoque (409) e dados do cliente inválidos (422)', async () => {
+    const noStock = await createOrder([{ productId: 1, color: 'Preto', size: 'G', quantity: 3 }]);
+    const invalid = await request('POST', '/api/orders', {
+      body: { customer: { name: 'C', email: 'sem-arroba' }, items: [{ productId: 1, color: 'Preto', size: 'M', quantity: 1 }] }
+    });
+
+    assert.equal(noStock.status, 409);
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(invalid.body.errors.map(error => error.field).sort(), ['customer.email', 'customer.name']);
+    assert.equal(stockOf('G'), 2);
+  });
+
+  it('pagamento confirma a reserva e cancelamento devolve o estoque', async () => {
+    const { body } = await createOrder([{ productId: 1, color: 'Preto', size: 'M', quantity: 2 }]);
+    const path = `/api/orders/${body.order.id}/status`;
+
+    const paid = await request('PATCH', path, { token, body: { status: 'paid' } });
+    assert.equal(paid.status, 200);
+    assert.equal(tables.stock_reservations[0].status, 'confirmed');
+
+    const invalid = await request('PATCH', path, { token, body: { status: 'delivered' } });
+    assert.equal(invalid.status, 409);
+
+    const cancelled = await request('PATCH', path, { token, body: { status: 'cancelled', note: 'desistiu' } });
+    assert.equal(cancelled.status, 200);
+    assert.deepEqual(cancelled.body.order.status_history.map(entry => entry.status), ['pending', 'paid', 'cancelled']);
+    assert.equal(stockOf('M'), 5);
+  });
+
+  it('lista com filtros e recusa datas inválidas', async () => {
+    await createOrder([{ productId: 1, color: 'Preto', size: 'M', quantity: 1 }]);
+    await createOrder([{ productId: 1, color: 'Preto', size: 'G', quantity: 1 }], { customer: { name: 'Outra', email: 'outra@exemplo.com' } });
+
+    const byEmail = await request('GET', '/api/orders?email=outra@exemplo.com', { token });
+    assert.equal(byEmail.status, 200);
+    assert.equal(byEmail.body.total, 1);
+    assert.equal(byEmail.body.orders[0].customer_name, 'Outra');
+
+    const today = new Date().toISOString().slice(0, 10);
+    const fromToday = await request('GET', `/api/orders?from=${today}`, { token });
+    assert.equal(fromToday.body.total, 2);
+
+    const invalidDate = await request('GET', '/api/orders?from=ontem', { token });
+    assert.equal(invalidDate.status, 400);
+
+    const anonymous = await request('GET', '/api/orders');
+    assert.equal(anonymous.status, 401);
+  });
+});
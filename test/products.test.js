@@ -0,0 +1,172 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+import productsRepository from '../lib/repositories/products.js';
+
+describe('produtos', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas'), categoryRow('bones')],
+      products: [productRow(1), productRow(2, { category: 'bones', price: 39.9 })]
+    });
+    token = await login();
+  });
+
+  describe('POST /api/products (catálogo completo)', () => {
+    it('grava os produtos enviados e remove os ausentes', async () => {
+      const response = await request('POST', '/api/products', {
+        token,
+        body: {
+          products: [
+            { ...productRow(1), title: 'Camiseta Básica' },
+            {
+              title: 'Regata',
+              category: 'camisetas',
+              price: '29.90',
+              colors: [{ name: 'Branco', image: 'https://cdn.test/branco.png', sizes: [{ name: 'P', stock: 4 }] }]
+            }
+          ]
+        }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+
+      const titles = tables.products.map(product => product.title).sort();
+      assert.deepEqual(titles, ['Camiseta Básica', 'Regata']);
+
+      const regata = tables.products.find(product => product.title === 'Regata');
+      assert.ok(regata.id);
+      assert.equal(regata.price, 29.9);
+      assert.equal(regata.colors[0].sizes[0].stock, 4);
+    });
+
+    it('recusa produtos inválidos com 422 e não altera o catálogo', async () => {
+      const response = await request('POST', '/api/products', {
+        token,
+        body: { products: [{ category: 'inexistente', price: -1, colors: [] }] }
+      });
+
+      assert.equal(response.status, 422);
+      assert.equal(response.body.code, 'VALIDATION_ERROR');
+      const fields = response.body.errors.map(error => error.field);
+      assert.ok(fields.includes('products[0].title'));
+      assert.ok(fields.includes('products[0].category'));
+      assert.ok(fields.includes('products[0].price'));
+      assert.equal(tables.products.length, 2);
+    });
+
+    it('exige autenticação', async () => {
+      const response = await request('POST', '/api/products', { body: { products: [] } });
+      assert.equal(response.status, 401);
+    });
+  });
+
+  describe('PUT /api/products/:id', () => {
+    it('altera só os campos enviados', async () => {
+      const response = await request('PUT', '/api/products/1', { token, body: { title: 'Camiseta Nova', price: 69.9 } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.product.title, 'Camiseta Nova');
+      assert.equal(response.body.product.price, 69.9);
+      assert.equal(response.body.product.description, 'Algodão');
+      assert.equal(response.body.product.colors[0].sizes[0].stock, 5);
+
+      const stored = tables.products.find(product => product.id === 1);
+      assert.equal(stored.title, 'Camiseta Nova');
+    });
+
+    it('guarda a versão no histórico', async () => {
+      await request('PUT', '/api/products/1', { token, body: { title: 'Camiseta Nova' } });
+
+      const history = await request('GET', '/api/products/1/history', { token });
+      assert.equal(history.status, 200);
+      assert.equal(history.body.versions[0].action, 'update');
+      assert.ok(history.body.versions[0].changes.some(change => change.field === 'title'));
+    });
+
+    it('alterar as cores registra a movimentação de estoque', async () => {
+      const colors = [{ name: 'Preto', image: 'https://cdn.test/preto.png', sizes: [{ name: 'M', stock: 8 }, { name: 'G', stock: 2 }] }];
+      const response = await request('PUT', '/api/products/1', { token, body: { colors } });
+
+      assert.equal(response.status, 200);
+      assert.equal(tables.products.find(product => product.id === 1).version, 1);
+      assert.deepEqual(
+        tables.stock_movements.map(movement => [movement.size, movement.delta, movement.stock_after, movement.reason]),
+        [['M', 3, 8, 'adjustment']]
+      );
+    });
+
+    it('valida os campos enviados', async () => {
+      const response = await request('PUT', '/api/products/1', { token, body: { price: 'caro', category: 'inexistente' } });
+
+      assert.equal(response.status, 422);
+      assert.deepEqual(response.body.errors.map(error => error.field).sort(), ['product.category', 'product.price']);
+    });
+
+    it('responde 404 para produto inexistente', async () => {
+      const response = await request('PUT', '/api/products/999', { token, body: { title: 'Fantasma' } });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.error, 'Produto não encontrado');
+    });
+
+    it('exige autenticação', async () => {
+      const response = await request('PUT', '/api/products/1', { body: { title: 'Sem login' } });
+      assert.equal(response.status, 401);
+    });
+  });
+
+  describe('SKUs das variantes', () => {
+    it('grava o SKU padrão ao criar e o mantém ao renomear a cor', async () => {
+      const product = { title: 'Regata', category: 'camisetas', price: 49.9, colors: [{ name: 'Azul', image: 'https://cdn.test/azul.png', sizes: [{ name: 'P', stock: 1 }] }] };
+      const created = await request('POST', '/api/products/item', { token, body: { product } });
+
+      assert.equal(created.status, 201);
+      const { id } = created.body.product;
+      assert.equal(tables.products.find(row => row.id === id).colors[0].sizes[0].sku, `${id}-AZUL-P`);
+
+      const colors = [{ name: 'Marinho', image: 'https://cdn.test/azul.png', sizes: [{ name: 'P', stock: 1 }] }];
+      const renamed = await request('PUT', `/api/products/${id}`, { token, body: { colors } });
+
+      assert.equal(renamed.status, 200);
+      assert.equal(renamed.body.product.colors[0].sizes[0].sku, `${id}-AZUL-P`);
+      assert.equal(tables.products.find(row => row.id === id).colors[0].sizes[0].sku, `${id}-AZUL-P`);
+    });
+
+    it('o banco recusa com 409 um SKU usado por outra gravação depois da validação', async () => {
+      // Catálogo em cache, depois outra gravação usa o SKU
+      await request('GET', '/api/products', { token });
+      tables.products.find(row => row.id === 2).colors[0].sizes[0].sku = 'CAMISA-X';
+
+      const colors = [{ name: 'Preto', image: 'https://cdn.test/preto.png', sizes: [{ name: 'M', stock: 5, sku: 'camisa-x' }, { name: 'G', stock: 2 }] }];
+      const updated = await request('PUT', '/api/products/1', { token, body: { colors } });
+      assert.equal(updated.status, 409);
+      assert.equal(updated.body.error, 'SKU "CAMISA-X" já é usado');
+
+      const bulk = await request('POST', '/api/products/bulk', { token, body: { products: [{ ...productRow(1), colors }] } });
+      assert.equal(bulk.status, 409);
+
+      const stored = tables.products.find(row => row.id === 1);
+      assert.deepEqual([stored.version, stored.colors[0].sizes[0].sku], [0, undefined]);
+    });
+  });
+
+  describe('productsRepository.deleteExcept', () => {
+    it('mantém os ids da lista mesmo com vírgulas, aspas e barras', async () => {
+      tables.products.push(productRow('a,"b"\\'), productRow('c)'));
+
+      const removed = await productsRepository.deleteExcept([1, 'a,"b"\\', 'c)']);
+
+      assert.deepEqual(removed.map(product => product.id), [2]);
+      assert.deepEqual(tables.products.map(product => product.id), [1, 'a,"b"\\', 'c)']);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+
+describe('promoções e cupons', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas'), categoryRow('bones')],
+      products: [productRow(1, { price: 100 }), productRow(2, { category: 'bones', price: 50 })]
+    });
+    token = await login();
+  });
+
+  const cart = [
+    { productId: 1, color: 'Preto', size: 'M', quantity: 1 },
+    { productId: 2, color: 'Preto', size: 'M', quantity: 2 }
+  ];
+
+  it('promoção de categoria aparece no catálogo já em cache e no orçamento', async () => {
+    const before = await request('GET', '/api/products');
+    assert.ok(before.body.products.every(product => product.promotionalPrice === null));
+
+    const created = await request('POST', '/api/promotions', {
+      token,
+      body: { promotion: { name: 'Bonés 20%', type: 'percentage', value: 20, scope: 'category', target: 'bones' } }
+    });
+    assert.equal(created.status, 201);
+
+    const after = await request('GET', '/api/products');
+    assert.deepEqual(after.body.products.map(product => product.promotionalPrice), [null, 40]);
+
+    const quote = await request('POST', '/api/cart/quote', { body: { items: cart } });
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.subtotal, 180);
+    assert.equal(quote.body.promotionDiscount, 20);
+  });
+
+  it('valida o alvo da promoção', async () => {
+    const response = await request('POST', '/api/promotions', {
+      token,
+      body: { promotion: { name: 'Fantasma', type: 'fixed', value: 5, scope: 'product', target: '99' } }
+    });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.errors[0].field, 'promotion.target');
+  });
+
+  it('cupom desconta do total, respeita o valor mínimo e o limite de usos', async () => {
+    const created = await request('POST', '/api/coupons', {
+      token,
+      body: { coupon: { code: 'bemvindo', type: 'fixed', value: 30, minOrderValue: 150, maxUses: 1 } }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.coupon.code, 'BEMVINDO');
+
+    const duplicate = await request('POST', '/api/coupons', { token, body: { coupon: { code: 'BEMVINDO', type: 'fixed', value: 10 } } });
+    assert.equal(duplicate.status, 409);
+
+    const quote = await request('POST', '/api/cart/quote', { body: { items: cart, couponCode: 'bemvindo' } });
+    assert.equal(quote.body.couponDiscount, 30);
+    assert.equal(quote.body.total, 170);
+
+    const belowMinimum = await request('POST', '/api/cart/quote', { body: { items: cart.slice(0, 1), couponCode: 'BEMVINDO' } });
+    assert.equal(belowMinimum.body.couponDiscount, 0);
+    assert.ok(belowMinimum.body.coupon.error);
+
+    const customer = { name: 'Cliente', email: 'cliente@exemplo.com' };
+    const first = await request('POST', '/api/orders', { body: { customer, items: cart, couponCode: 'BEMVINDO' } });
+    assert.equal(first.status, 201);
+    assert.equal(first.body.order.discount, 30);
+
+    const second = await request('POST', '/api/orders', { body: { customer, items: cart, couponCode: 'BEMVINDO' } });
+    assert.equal(second.status, 422);
+    assert.equal(tables.coupons[0].used_count, 1);
+  });
+
+  it('exige a permissão promotions:write', async () => {
+    const response = await request('GET', '/api/promotions');
+    assert.equal(response.status, 401);
+  });
+});
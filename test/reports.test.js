@@ -0,0 +1,60 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+
+describe('relatórios', () => {
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1), productRow(2, { price: 100 })]
+    });
+    token = await login();
+  });
+
+  async function paidOrder(items) {
+    const { body } = await request('POST', '/api/orders', { body: { customer: { name: 'Cliente', email: 'cliente@exemplo.com' }, items } });
+    await request('PATCH', `/api/orders/${body.order.id}/status`, { token, body: { status: 'paid' } });
+  }
+
+  it('valor do estoque em JSON (camelCase) e em CSV (snake_case)', async () => {
+    const json = await request('GET', '/api/reports/inventory-value', { token });
+
+    assert.equal(json.status, 200);
+    assert.deepEqual(json.body.summary, { products: 2, units: 14, value: 1119.3 });
+    assert.deepEqual(json.body.rows.map(row => [row.productId, row.units, row.value]), [[2, 7, 700], [1, 7, 419.3]]);
+
+    const csv = await request('GET', '/api/reports/inventory-value?format=csv', { token });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.equal(csv.body.split('\n')[0].trim(), 'product_id,title,category,status,units,value');
+  });
+
+  it('mais vendidos e taxa de venda contam só pedidos pagos', async () => {
+    await paidOrder([{ productId: 1, color: 'Preto', size: 'M', quantity: 3 }]);
+    await request('POST', '/api/orders', { body: { customer: { name: 'Outra', email: 'outra@exemplo.com' }, items: [{ productId: 2, color: 'Preto', size: 'M', quantity: 1 }] } });
+
+    const sellers = await request('GET', '/api/reports/sellers', { token });
+    assert.equal(sellers.status, 200);
+    assert.deepEqual(sellers.body.rows.map(row => [row.productId, row.unitsSold, row.orders, row.revenue]), [[1, 3, 1, 179.7]]);
+
+    const sellThrough = await request('GET', '/api/reports/sell-through', { token });
+    const first = sellThrough.body.rows[0];
+    assert.deepEqual([first.productId, first.unitsSold, first.stock, first.sellThrough], [1, 3, 4, 0.4286]);
+
+    const csv = await request('GET', '/api/reports/sell-through?format=csv', { token });
+    assert.equal(csv.body.split('\n')[0].trim(), 'product_id,title,category,status,units_sold,stock,sell_through');
+  });
+
+  it('recusa período e formato inválidos e exige sessão', async () => {
+    assert.equal((await request('GET', '/api/reports/sellers?from=2024-02-01&to=2024-01-01', { token })).status, 400);
+    assert.equal((await request('GET', '/api/reports/sellers?from=ontem', { token })).status, 400);
+    assert.equal((await request('GET', '/api/reports/out-of-stock?format=xlsx', { token })).status, 400);
+    assert.equal((await request('GET', '/api/reports/out-of-stock')).status, 401);
+  });
+});
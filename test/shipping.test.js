@@ -0,0 +1,69 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+
+describe('frete', () => {
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1, { price: 100, shipping: { weight: 0.5 } })]
+    });
+    token = await login();
+  });
+
+  async function createRule(rule) {
+    const response = await request('POST', '/api/shipping/rules', { token, body: { rule } });
+    assert.equal(response.status, 201);
+    return response.body.rule;
+  }
+
+  it('cota as regras que atendem o CEP e o peso, com frete grátis acima do valor', async () => {
+    await createRule({ name: 'Motoboy', type: 'delivery', cepStart: '01000-000', cepEnd: '05999-999', price: 15, freeAbove: 250, deliveryDaysMin: 0, deliveryDaysMax: 1 });
+    await createRule({ name: 'Retirada', type: 'pickup', price: 0 });
+    await createRule({ name: 'Pesado', type: 'delivery', minWeight: 10, price: 80 });
+
+    const items = [{ productId: 1, color: 'Preto', size: 'M', quantity: 2 }];
+    const quote = await request('POST', '/api/shipping/quote', { body: { cep: '01310-100', items } });
+
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.weight, 1);
+    assert.deepEqual(quote.body.options.map(option => [option.name, option.price]), [['Retirada', 0], ['Motoboy', 15]]);
+
+    const free = await request('POST', '/api/shipping/quote', { body: { cep: '01310100', items: [{ ...items[0], quantity: 3 }] } });
+    assert.equal(free.body.options.find(option => option.name === 'Motoboy').free, true);
+
+    const outside = await request('POST', '/api/shipping/quote', { body: { cep: '90000-000', items } });
+    assert.deepEqual(outside.body.options.map(option => option.name), ['Retirada']);
+  });
+
+  it('o pedido recalcula o frete escolhido', async () => {
+    const rule = await createRule({ name: 'Motoboy', type: 'delivery', cepStart: '01000-000', cepEnd: '05999-999', price: 15 });
+    const order = {
+      customer: { name: 'Cliente', email: 'cliente@exemplo.com' },
+      items: [{ productId: 1, color: 'Preto', size: 'M', quantity: 1 }]
+    };
+
+    const response = await request('POST', '/api/orders', { body: { ...order, shipping: { cep: '01310-100', optionId: rule.id } } });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.order.shipping_cost, 15);
+    assert.equal(response.body.order.total, 115);
+
+    const unavailable = await request('POST', '/api/orders', { body: { ...order, shipping: { cep: '90000-000', optionId: rule.id } } });
+    assert.equal(unavailable.status, 422);
+  });
+
+  it('valida as regras e o CEP', async () => {
+    const rule = await request('POST', '/api/shipping/rules', { token, body: { rule: { name: 'Sem preço', type: 'delivery', cepStart: '01000-000' } } });
+    assert.equal(rule.status, 422);
+
+    const quote = await request('POST', '/api/shipping/quote', { body: { cep: '123', items: [{ productId: 1, color: 'Preto', size: 'M', quantity: 1 }] } });
+    assert.equal(quote.status, 422);
+    assert.equal(quote.body.errors[0].field, 'cep');
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow } from './helpers.js';
+
+describe('POST /api/stock/update', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1)]
+    });
+    token = await login();
+  });
+
+  function stockOf(size) {
+    return tables.products[0].colors[0].sizes.find(s => s.name === size).stock;
+  }
+
+  it('soma a quantidade à variante pela cor e tamanho e registra a movimentação', async () => {
+    const response = await request('POST', '/api/stock/update', {
+      token,
+      body: { productId: 1, color: 'Preto', size: 'M', quantityChange: 3, reason: 'return' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.newStock, 8);
+    assert.equal(response.body.sku, '1-PRETO-M');
+    assert.equal(stockOf('M'), 8);
+    assert.equal(tables.products[0].version, 1);
+
+    assert.equal(tables.stock_movements.length, 1);
+    assert.equal(tables.stock_movements[0].delta, 3);
+    assert.equal(tables.stock_movements[0].reason, 'return');
+    assert.equal(tables.stock_movements[0].actor, 'dona');
+  });
+
+  it('localiza a variante pelo SKU', async () => {
+    const response = await request('POST', '/api/stock/update', { token, body: { sku: '1-preto-g', quantityChange: -1 } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.newStock, 1);
+    assert.equal(stockOf('G'), 1);
+  });
+
+  it('não deixa o estoque negativo: a baixa maior que o estoque zera a variante', async () => {
+    const response = await request('POST', '/api/stock/update', {
+      token,
+      body: { productId: 1, color: 'Preto', size: 'G', quantityChange: -10, reason: 'sale' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.newStock, 0);
+    assert.equal(stockOf('G'), 0);
+
+    // A movimentação registra a baixa efetiva, não a pedida
+    assert.equal(tables.stock_movements[0].delta, -2);
+    assert.equal(tables.stock_movements[0].stock_after, 0);
+  });
+
+  it('recusa dados inválidos', async () => {
+    const notInteger = await request('POST', '/api/stock/update', { token, body: { productId: 1, color: 'Preto', size: 'M', quantityChange: 1.5 } });
+    const noVariant = await request('POST', '/api/stock/update', { token, body: { productId: 1, quantityChange: 1 } });
+    const badReason = await request('POST', '/api/stock/update', { token, body: { sku: '1-PRETO-M', quantityChange: 1, reason: 'presente' } });
+    const byIndex = await request('POST', '/api/stock/update', { token, body: { productId: 1, colorIndex: 0, size: 'M', quantityChange: 1 } });
+
+    assert.equal(notInteger.status, 400);
+    assert.equal(noVariant.status, 400);
+    assert.equal(badReason.status, 400);
+    assert.equal(byIndex.status, 400);
+    assert.equal(stockOf('M'), 5);
+  });
+
+  it('responde 404 para produto, variante ou SKU inexistente', async () => {
+    const product = await request('POST', '/api/stock/update', { token, body: { productId: 9, color: 'Preto', size: 'M', quantityChange: 1 } });
+    const variant = await request('POST', '/api/stock/update', { token, body: { productId: 1, color: 'Azul', size: 'M', quantityChange: 1 } });
+    const sku = await request('POST', '/api/stock/update', { token, body: { sku: 'NAO-EXISTE', quantityChange: 1 } });
+
+    assert.equal(product.status, 404);
+    assert.equal(variant.status, 404);
+    assert.equal(sku.status, 404);
+  });
+
+  it('exige autenticação', async () => {
+    const response = await request('POST', '/api/stock/update', { body: { sku: '1-PRETO-M', quantityChange: 1 } });
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('livro de estoque', () => {
+  let tables;
+  let token;
+
+  before(startServer);
+  after(stopServer);
+
+  beforeEach(async () => {
+    // Livro com a entrada do estoque inicial
+    const initial = { product_id: 1, color: 'Preto', reason: 'adjustment', actor: 'dona', created_at: '2024-01-01T00:00:00.000Z' };
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1)],
+      stock_movements: [
+        { ...initial, id: 1, size: 'M', delta: 5, stock_after: 5 },
+        { ...initial, id: 2, size: 'G', delta: 2, stock_after: 2 }
+      ]
+    });
+    token = await login();
+  });
+
+  it('lista as movimentações por produto e período', async () => {
+    await request('POST', '/api/stock/update', { token, body: { productId: 1, color: 'Preto', size: 'M', quantityChange: -1, reason: 'sale' } });
+
+    const all = await request('GET', '/api/stock/movements?productId=1', { token });
+    assert.equal(all.status, 200);
+    assert.equal(all.body.total, 3);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const recent = await request('GET', `/api/stock/movements?from=${today}`, { token });
+    assert.deepEqual(recent.body.movements.map(movement => [movement.size, movement.delta, movement.reason]), [['M', -1, 'sale']]);
+
+    const invalid = await request('GET', '/api/stock/movements?to=amanha', { token });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('a reconciliação aponta estoque alterado fora do livro', async () => {
+    await request('POST', '/api/stock/update', { token, body: { productId: 1, color: 'Preto', size: 'G', quantityChange: 3 } });
+
+    const consistent = await request('GET', '/api/stock/reconciliation', { token });
+    assert.equal(consistent.body.consistent, true);
+    assert.equal(consistent.body.checked, 2);
+
+    tables.products[0].colors[0].sizes[0].stock = 9;
+    const tampered = await request('GET', '/api/stock/reconciliation', { token });
+    assert.equal(tampered.body.consistent, false);
+    assert.deepEqual(tampered.body.discrepancies.map(variant => [variant.size, variant.currentStock, variant.ledgerStock]), [['M', 9, 5]]);
+  });
+
+  it('alerta as variantes no limite de estoque baixo', async () => {
+    const alerts = await request('GET', '/api/stock/alerts', { token });
+    assert.deepEqual(alerts.body.variants.map(variant => [variant.size, variant.stock]), [['G', 2]]);
+
+    const higher = await request('GET', '/api/stock/alerts?threshold=5', { token });
+    assert.equal(higher.body.total, 2);
+
+    const invalid = await request('GET', '/api/stock/alerts?threshold=-1', { token });
+    assert.equal(invalid.status, 400);
+  });
+});
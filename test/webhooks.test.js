@@ -0,0 +1,136 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { startServer, stopServer, resetState, request, login, adminCredentials, productRow, categoryRow, cronHeaders } from './helpers.js';
+import { signPayload } from '../lib/webhooks.js';
+
+// Destino dos webhooks: guarda as requisições recebidas e responde com
+// o status configurado
+function createReceiver() {
+  const received = [];
+  const receiver = { received, status: 200, url: null };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(receiver.status).end();
+    });
+  });
+
+  receiver.start = async () => {
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+  };
+  receiver.stop = () => new Promise(resolve => server.close(resolve));
+
+  return receiver;
+}
+
+describe('webhooks', () => {
+  const receiver = createReceiver();
+  let tables;
+  let token;
+
+  before(async () => {
+    await startServer();
+    await receiver.start();
+  });
+  after(async () => {
+    await receiver.stop();
+    await stopServer();
+  });
+
+  beforeEach(async () => {
+    tables = resetState({
+      admin_credentials: [await adminCredentials()],
+      categories: [categoryRow('camisetas')],
+      products: [productRow(1), productRow(2)]
+    });
+    token = await login();
+    receiver.received.length = 0;
+    receiver.status = 200;
+  });
+
+  async function subscribe(events) {
+    const response = await request('POST', '/api/webhooks', { token, body: { webhook: { url: receiver.url, events } } });
+    assert.equal(response.status, 201);
+    return response.body.webhook;
+  }
+
+  it('a requisição só enfileira; o cron entrega o evento assinado', async () => {
+    const webhook = await subscribe(['stock.changed']);
+    assert.match(webhook.secret, /^whsec_/);
+
+    const update = await request('POST', '/api/stock/update', { token, body: { productId: 1, color: 'Preto', size: 'M', quantityChange: -2, reason: 'sale' } });
+    assert.equal(update.status, 200);
+    assert.equal(receiver.received.length, 0);
+    assert.deepEqual(tables.webhook_deliveries.map(delivery => [delivery.status, delivery.attempts]), [['pending', 0]]);
+
+    const unauthorized = await request('GET', '/api/cron/webhook-deliveries');
+    assert.equal(unauthorized.status, 401);
+
+    const cron = await request('GET', '/api/cron/webhook-deliveries', { headers: cronHeaders });
+    assert.equal(cron.body.delivered, 1);
+    assert.equal(receiver.received.length, 1);
+    const [{ headers, body }] = receiver.received;
+    const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    assert.equal(signature, signPayload(webhook.secret, body, timestamp));
+    assert.equal(headers['x-webhook-event'], 'stock.changed');
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.data.productId, 1);
+    assert.deepEqual(payload.data.changes, [{ color: 'Preto', size: 'M', delta: -2, stockAfter: 3 }]);
+
+    const log = await request('GET', '/api/webhooks/deliveries', { token });
+    assert.equal(log.body.deliveries[0].status, 'delivered');
+  });
+
+  it('gravações em lote enfileiram uma entrega por produto', async () => {
+    await subscribe(['product.updated']);
+    const { body: catalog } = await request('GET', '/api/products', { token });
+
+    const saved = await request('POST', '/api/products/bulk', {
+      token,
+      body: { products: catalog.products.map(product => ({ ...product, price: 79.9 })) }
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(receiver.received.length, 0);
+    assert.deepEqual(tables.webhook_deliveries.map(delivery => [delivery.status, delivery.attempts]), [['pending', 0], ['pending', 0]]);
+
+    const cron = await request('GET', '/api/cron/webhook-deliveries', { headers: cronHeaders });
+    assert.equal(cron.status, 200);
+    assert.equal(cron.body.delivered, 2);
+    assert.deepEqual(receiver.received.map(({ body }) => JSON.parse(body).data.product.id).sort(), [1, 2]);
+  });
+
+  it('falha fica pendente para nova tentativa e pode ser reenviada', async () => {
+    await subscribe(['stock.changed']);
+    receiver.status = 500;
+
+    await request('POST', '/api/stock/update', { token, body: { productId: 1, color: 'Preto', size: 'G', quantityChange: 1 } });
+    await request('GET', '/api/cron/webhook-deliveries', { headers: cronHeaders });
+
+    const [delivery] = tables.webhook_deliveries;
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.last_error, 'Destino respondeu 500');
+    assert.ok(new Date(delivery.next_attempt_at) > new Date());
+
+    receiver.status = 200;
+    const replay = await request('POST', `/api/webhooks/deliveries/${delivery.id}/replay`, { token });
+    assert.equal(replay.status, 201);
+    assert.equal(replay.body.delivery.status, 'delivered');
+    assert.equal(replay.body.delivery.replayOf, delivery.id);
+    assert.equal(receiver.received.length, 2);
+  });
+
+  it('valida a assinatura', async () => {
+    const response = await request('POST', '/api/webhooks', { token, body: { webhook: { url: 'ftp://destino', events: ['pedido.pago'] } } });
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors.map(error => error.field).sort(), ['webhook.events[0]', 'webhook.url']);
+  });
+});